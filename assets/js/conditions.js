@@ -11,11 +11,17 @@
 
     // Configuration from PHP
     const config = window.conditionsData || {};
-    const conditions = config.conditions || {};
+    const sets = config.sets || {};
     const operators = config.operators || {};
     const restUrl = config.restUrl || '';
     const nonce = config.nonce || '';
     const i18n = config.i18n || {};
+    const maxDepth = config.maxDepth || 3;
+    const regexMaxLength = config.regexMaxLength || 255;
+    const valueLists = config.valueLists || {};
+
+    // Custom field types, added through window.ConditionsBuilder.registerFieldType()
+    const fieldTypes = {};
 
     /**
      * Generate unique ID
@@ -24,11 +30,87 @@
         return Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Get the builder an element belongs to
+     */
+    function getBuilder($element) {
+        return $element.closest('.conditions-builder');
+    }
+
+    /**
+     * Get a builder's own state (rules model, undo history, pending preview and lint), created on first use
+     */
+    function getState($builder) {
+        let state = $builder.data('conditionsState');
+
+        if (!state) {
+            state = {
+                historyStack: [],
+                historyIndex: -1,
+                historyTimer: null,
+                restoringHistory: false,
+                previewTimer: null,
+                previewRequest: null,
+                lintTimer: null,
+                lintRequest: null,
+                conditionOptions: null,
+                model: [],
+                hydration: {},
+                hydrationTimer: null
+            };
+            $builder.data('conditionsState', state);
+        }
+
+        return state;
+    }
+
+    /**
+     * Get the condition definitions for the set an element's builder edits
+     */
+    function getSetConditions($element) {
+        return sets[getBuilder($element).data('set-id')] || config.conditions || {};
+    }
+
+    /**
+     * Get a condition definition from an element's builder
+     */
+    function getCondition($element, conditionId) {
+        return getSetConditions($element)[conditionId];
+    }
+
+    /**
+     * Get the registered field type for a condition, if any
+     */
+    function getFieldType(condition) {
+        return condition ? fieldTypes[condition.type] || null : null;
+    }
+
+    /**
+     * Fire a lifecycle event (e.g. conditions:rule-added) on the builder element
+     */
+    function triggerEvent($element, name, args) {
+        $element.closest('.conditions-builder').trigger('conditions:' + name, args);
+    }
+
+    /**
+     * Tear down Select2 and custom field types before fields are removed or replaced
+     */
+    function destroyFields($scope) {
+        $scope.find('.select2-hidden-accessible').select2('destroy');
+
+        $scope.find('.value-field-wrapper[data-field-type]').addBack('.value-field-wrapper[data-field-type]').each(function () {
+            const fieldType = fieldTypes[$(this).attr('data-field-type')];
+
+            if (fieldType && typeof fieldType.destroy === 'function') {
+                fieldType.destroy($(this));
+            }
+        }).removeAttr('data-field-type');
+    }
+
     /**
      * Get operators for a condition type
      */
-    function getOperators(conditionId) {
-        const condition = conditions[conditionId];
+    function getOperators(condition) {
         if (!condition) return {};
 
         // Use condition-specific operators if defined
@@ -42,9 +124,11 @@
 
         switch (type) {
             case 'number':
-            case 'number_unit':
                 return operators.number || {};
 
+            case 'number_unit':
+                return operators.number_unit || operators.number || {};
+
             case 'text_unit':
                 return operators.text || {};
 
@@ -103,6 +187,30 @@
         return option.text;
     }
 
+    /**
+     * Build the condition <option>s for a builder's set, grouped by category
+     * (groups sorted alphabetically, as the meta box did)
+     */
+    function getConditionOptions($builder) {
+        const state = getState($builder);
+        if (state.conditionOptions !== null) return state.conditionOptions;
+
+        const grouped = {};
+
+        $.each(getSetConditions($builder), function (id, condition) {
+            const group = condition.group || 'General';
+            (grouped[group] = grouped[group] || []).push(
+                '<option value="' + escapeHtml(id) + '">' + escapeHtml(condition.label || id) + '</option>'
+            );
+        });
+
+        state.conditionOptions = Object.keys(grouped).sort().map(function (group) {
+            return '<optgroup label="' + escapeHtml(group) + '">' + grouped[group].join('') + '</optgroup>';
+        }).join('');
+
+        return state.conditionOptions;
+    }
+
     /**
      * Initialize Select2 on condition select
      */
@@ -131,86 +239,168 @@
     /**
      * Render value field based on condition type
      */
-    function renderValueField(conditionId, groupId, ruleId, currentValue) {
-        const condition = conditions[conditionId];
+    function renderValueField($row, conditionId, currentValue, operator) {
+        const condition = getCondition($row, conditionId);
+
         if (!condition) {
             return '<input type="text" class="value-input" disabled placeholder="' + i18n.selectCondition + '">';
         }
 
-        const name = '_conditions[' + groupId + '][rules][' + ruleId + '][value]';
         const type = condition.type || 'text';
 
+        if (fieldTypes[type]) {
+            return fieldTypes[type].render($row.attr('data-name') + '[value]', condition, currentValue, operator) || '';
+        }
+
         switch (type) {
             case 'text':
-                return renderTextInput(name, condition, currentValue);
+                return renderTextInput(condition, currentValue, operator);
 
             case 'number':
-                return renderNumberInput(name, condition, currentValue);
+                return renderNumberInput(condition, currentValue, operator);
 
             case 'number_unit':
-                return renderNumberUnitInput(name, condition, currentValue);
+                return renderNumberUnitInput(condition, currentValue);
 
             case 'text_unit':
-                return renderTextUnitInput(name, condition, currentValue);
+                return renderTextUnitInput(condition, currentValue);
 
             case 'select':
-                return renderSelectInput(name, condition, currentValue);
+                // Lazy options are searched a page at a time instead
+                if (condition.lazy_options) {
+                    return renderCustomAjaxSelect(condition, conditionId, currentValue, getBuilder($row).data('set-id'), 'options');
+                }
+
+                return renderSelectInput(condition, currentValue);
 
             case 'tags':
-                return renderTagsInput(name, condition, currentValue);
+                return renderTagsInput(condition, currentValue);
 
             case 'ip':
-                return renderIpInput(name, condition, currentValue);
+                return renderIpInput(condition, currentValue);
 
             case 'email':
-                return renderEmailInput(name, condition, currentValue);
+                return renderEmailInput(condition, currentValue);
 
             case 'post':
             case 'term':
             case 'user':
-                return renderAjaxSelect(name, condition, currentValue);
+                return renderAjaxSelect(condition, currentValue);
 
             case 'ajax':
-                return renderCustomAjaxSelect(name, condition, conditionId, currentValue);
+                return renderCustomAjaxSelect(condition, conditionId, currentValue, getBuilder($row).data('set-id'));
 
             case 'date':
-                return renderDateInput(name, condition, currentValue);
+                return renderDateInput(condition, currentValue, operator);
 
             case 'time':
-                return renderTimeInput(name, condition, currentValue);
+                return renderTimeInput(condition, currentValue, operator);
 
             case 'boolean':
                 return ''; // Boolean uses operator only
 
             default:
-                return renderTextInput(name, condition, currentValue);
+                return renderTextInput(condition, currentValue, operator);
         }
     }
 
     /**
      * Render text input
      */
-    function renderTextInput(name, condition, value) {
+    function renderTextInput(condition, value, operator) {
         const placeholder = condition.placeholder || '';
-        return '<input type="text" class="value-input" name="' + name + '" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+
+        if (isRegexOperator(operator)) {
+            return renderRegexInput(value);
+        }
+
+        return '<input type="text" class="value-input" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+    }
+
+    /**
+     * Render a regex pattern input with a sample tester below it
+     */
+    function renderRegexInput(value) {
+        return '<div class="regex-input">' +
+            '<input type="text" class="value-input regex-pattern" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(i18n.regexPattern || 'e.g. ^Mozilla.*Firefox') + '" spellcheck="false">' +
+            '<div class="regex-tester">' +
+            '<input type="text" class="regex-sample" placeholder="' + escapeHtml(i18n.regexSample || 'Test a sample value...') + '" spellcheck="false">' +
+            '<span class="regex-result"></span>' +
+            '</div></div>';
+    }
+
+    /**
+     * Check if an operator takes a from/to range (matching PHP Operators::RANGE)
+     */
+    function isRangeOperator(operator) {
+        return operator === 'between' || operator === 'not_between';
+    }
+
+    /**
+     * Check if an operator takes a relative number/unit date value (matching PHP Operators::RELATIVE)
+     */
+    function isRelativeOperator(operator) {
+        return ['in_last', 'not_in_last', 'in_next', 'not_in_next'].indexOf(operator) !== -1;
+    }
+
+    /**
+     * Check if an operator takes a regular expression (matching PHP Operators::REGEX)
+     */
+    function isRegexOperator(operator) {
+        return operator === 'regex' || operator === 'not_regex';
+    }
+
+    /**
+     * Get the kind of value field an operator needs: single, range, relative or regex
+     */
+    function getOperatorKind(operator) {
+        if (isRangeOperator(operator)) return 'range';
+        if (isRelativeOperator(operator)) return 'relative';
+        if (isRegexOperator(operator)) return 'regex';
+        return 'single';
+    }
+
+    /**
+     * Number and unit constraints for relative date values (matching TypeSanitizer::get_relative_config)
+     */
+    function getRelativeCondition() {
+        return {units: config.periods || [], min: 1, step: 1};
+    }
+
+    /**
+     * Render a two-field from/to input for the between operators
+     */
+    function renderRangeInput(inputType, attrs, value, placeholder) {
+        const range = (value && typeof value === 'object') ? value : {from: value, to: ''};
+        const field = function (bound) {
+            return '<input type="' + inputType + '" class="range-' + bound + '" value="' + escapeHtml(range[bound] ?? '') + '"' + attrs + ' placeholder="' + escapeHtml(placeholder) + '">';
+        };
+
+        return '<div class="range-input">' + field('from') +
+            '<span class="range-separator">' + escapeHtml(i18n.rangeAnd || 'and') + '</span>' +
+            field('to') + '</div>';
     }
 
     /**
      * Render number input
      */
-    function renderNumberInput(name, condition, value) {
+    function renderNumberInput(condition, value, operator) {
         const placeholder = condition.placeholder || '';
         const min = condition.min !== undefined ? ' min="' + condition.min + '"' : '';
         const max = condition.max !== undefined ? ' max="' + condition.max + '"' : '';
         const step = condition.step !== undefined ? ' step="' + condition.step + '"' : ' step="any"';
 
-        return '<input type="number" class="value-input" name="' + name + '" value="' + escapeHtml(value || '') + '"' + min + max + step + ' placeholder="' + escapeHtml(placeholder) + '">';
+        if (isRangeOperator(operator)) {
+            return renderRangeInput('number', min + max + step, value, placeholder);
+        }
+
+        return '<input type="number" class="value-input" value="' + escapeHtml(value || '') + '"' + min + max + step + ' placeholder="' + escapeHtml(placeholder) + '">';
     }
 
     /**
      * Render number with unit input
      */
-    function renderNumberUnitInput(name, condition, value) {
+    function renderNumberUnitInput(condition, value) {
         const numValue = (value && typeof value === 'object') ? value.number : value;
         const unitValue = (value && typeof value === 'object') ? value.unit : '';
         const units = condition.units || [];
@@ -220,8 +410,8 @@
         const step = condition.step !== undefined ? ' step="' + condition.step + '"' : ' step="any"';
 
         let html = '<div class="number-with-unit">';
-        html += '<input type="number" class="number-input" name="' + name + '[number]" value="' + escapeHtml(numValue || '') + '"' + min + max + step + ' placeholder="' + escapeHtml(placeholder) + '">';
-        html += '<select class="unit-select" name="' + name + '[unit]">';
+        html += '<input type="number" class="number-input" value="' + escapeHtml(numValue || '') + '"' + min + max + step + ' placeholder="' + escapeHtml(placeholder) + '">';
+        html += '<select class="unit-select">';
 
         units.forEach(function (unit) {
             const selected = unit.value === unitValue ? ' selected' : '';
@@ -237,15 +427,15 @@
     /**
      * Render text with unit input
      */
-    function renderTextUnitInput(name, condition, value) {
+    function renderTextUnitInput(condition, value) {
         const textValue = (value && typeof value === 'object') ? value.text : (typeof value === 'string' ? value : '');
         const unitValue = (value && typeof value === 'object') ? value.unit : '';
         const units = condition.units || [];
         const placeholder = condition.placeholder || '';
 
         let html = '<div class="text-with-unit">';
-        html += '<input type="text" class="text-input" name="' + name + '[text]" value="' + escapeHtml(textValue || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
-        html += '<select class="unit-select" name="' + name + '[unit]">';
+        html += '<input type="text" class="text-input" value="' + escapeHtml(textValue || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+        html += '<select class="unit-select">';
 
         units.forEach(function (unit) {
             const selected = unit.value === unitValue ? ' selected' : '';
@@ -261,7 +451,7 @@
     /**
      * Render select input
      */
-    function renderSelectInput(name, condition, value) {
+    function renderSelectInput(condition, value) {
         let options = condition.options || [];
 
         // Handle callable options (shouldn't happen after PHP resolves, but just in case)
@@ -283,11 +473,10 @@
         }
 
         const multiple = condition.multiple ? ' multiple' : '';
-        const nameAttr = condition.multiple ? name + '[]' : name;
         const values = Array.isArray(value) ? value : (value ? [value] : []);
         const placeholder = condition.placeholder || i18n.selectValue;
 
-        let html = '<select class="value-select conditions-select2' + (condition.multiple ? ' multiple' : '') + '" name="' + nameAttr + '"' + multiple + ' data-placeholder="' + escapeHtml(placeholder) + '">';
+        let html = '<select class="value-select conditions-select2' + (condition.multiple ? ' multiple' : '') + '"' + multiple + ' data-placeholder="' + escapeHtml(placeholder) + '">';
 
         // Add empty option for single select (allows placeholder and clear)
         if (!condition.multiple) {
@@ -306,72 +495,131 @@
         return html;
     }
 
+    /**
+     * Check whether a value references a value list ("list:12")
+     */
+    function isListReference(value) {
+        return /^list:\d+$/.test(String(value));
+    }
+
+    /**
+     * Render "Use list: ..." options for the value lists of a type,
+     * keeping references to lists that no longer exist selectable
+     */
+    function renderListOptions(type, values) {
+        const lists = valueLists[type] || [];
+        let html = '';
+
+        lists.forEach(function (list) {
+            const selected = values.includes(list.value) ? ' selected' : '';
+            const label = (i18n.useList || 'Use list: %s').replace('%s', list.label);
+            html += '<option value="' + escapeHtml(list.value) + '"' + selected + '>' + escapeHtml(label) + '</option>';
+        });
+
+        values.filter(function (val) {
+            return isListReference(val) && !lists.some(function (list) { return list.value === val; });
+        }).forEach(function (val) {
+            html += '<option value="' + escapeHtml(val) + '" selected>' + escapeHtml((i18n.missingList || 'Missing list') + ' (' + val + ')') + '</option>';
+        });
+
+        return html;
+    }
+
     /**
      * Render tags input (user-creatable tags)
      */
-    function renderTagsInput(name, condition, value) {
-        const nameAttr = name + '[]';
+    function renderTagsInput(condition, value) {
         const placeholder = condition.placeholder || 'Type and press Enter...';
         const values = Array.isArray(value) ? value : (value ? [value] : []);
 
-        let html = '<select class="value-select conditions-tags-select multiple" name="' + nameAttr + '" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+        let html = '<select class="value-select conditions-tags-select multiple" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+
+        html += renderListOptions('text', values);
 
         // Add existing values as options
-        values.forEach(function (val) {
+        values.filter(function (val) { return !isListReference(val); }).forEach(function (val) {
             html += '<option value="' + escapeHtml(val) + '" selected>' + escapeHtml(val) + '</option>';
         });
 
         html += '</select>';
 
-        return html;
+        return renderBulkField('text', html, values);
     }
 
     /**
      * Render IP address input (creatable tags for IPs/CIDRs)
      */
-    function renderIpInput(name, condition, value) {
-        const nameAttr = name + '[]';
+    function renderIpInput(condition, value) {
         const placeholder = condition.placeholder || 'Enter IP or CIDR, press Enter...';
         const values = Array.isArray(value) ? value : (value ? [value] : []);
 
-        let html = '<select class="value-select conditions-ip-select multiple" name="' + nameAttr + '" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+        let html = '<select class="value-select conditions-ip-select multiple" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+
+        html += renderListOptions('ip', values);
 
         // Add existing values as options
-        values.forEach(function (val) {
+        values.filter(function (val) { return !isListReference(val); }).forEach(function (val) {
             html += '<option value="' + escapeHtml(val) + '" selected>' + escapeHtml(val) + '</option>';
         });
 
         html += '</select>';
 
-        return html;
+        return renderBulkField('ip', html, values);
     }
 
     /**
      * Render email address input (creatable tags for email patterns)
      */
-    function renderEmailInput(name, condition, value) {
-        const nameAttr = name + '[]';
+    function renderEmailInput(condition, value) {
         const placeholder = condition.placeholder || 'Enter email pattern, press Enter...';
         const values = Array.isArray(value) ? value : (value ? [value] : []);
 
-        let html = '<select class="value-select conditions-email-select multiple" name="' + nameAttr + '" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+        let html = '<select class="value-select conditions-email-select multiple" multiple data-placeholder="' + escapeHtml(placeholder) + '">';
+
+        html += renderListOptions('email', values);
 
         // Add existing values as options
-        values.forEach(function (val) {
+        values.filter(function (val) { return !isListReference(val); }).forEach(function (val) {
             html += '<option value="' + escapeHtml(val) + '" selected>' + escapeHtml(val) + '</option>';
         });
 
         html += '</select>';
 
-        return html;
+        return renderBulkField('email', html, values);
+    }
+
+    /**
+     * Wrap a tags, IP or email select with a value count and a bulk editor
+     *
+     * Lists longer than bulkCompactLimit are shown as a count instead of a
+     * Select2 token per value.
+     */
+    function renderBulkField(type, selectHtml, values) {
+        const count = values.filter(function (val) { return !isListReference(val); }).length;
+
+        return '<div class="conditions-bulk-field' + (count > bulkCompactLimit ? ' is-compact' : '') + '" data-bulk-type="' + type + '">' +
+            selectHtml +
+            '<div class="bulk-bar">' +
+            '<span class="bulk-count"></span>' +
+            '<button type="button" class="button-link bulk-edit">' + escapeHtml(i18n.bulkEdit || 'Bulk edit') + '</button>' +
+            '</div>' +
+            '<div class="bulk-editor" hidden>' +
+            '<textarea class="bulk-values" rows="8" spellcheck="false" placeholder="' + escapeHtml(i18n.bulkPlaceholder || 'One value per line, or separated by commas.') + '"></textarea>' +
+            '<div class="bulk-actions">' +
+            '<button type="button" class="button button-primary bulk-apply">' + escapeHtml(i18n.bulkApply || 'Apply') + '</button>' +
+            '<button type="button" class="button bulk-upload">' + escapeHtml(i18n.bulkUpload || 'Load .txt or .csv file') + '</button>' +
+            '<input type="file" class="bulk-file" accept=".txt,.csv,text/plain,text/csv" hidden>' +
+            '<button type="button" class="button-link bulk-cancel">' + escapeHtml(i18n.bulkCancel || 'Cancel') + '</button>' +
+            '</div></div>' +
+            '<div class="bulk-results" aria-live="polite"></div>' +
+            '</div>';
     }
 
     /**
      * Render AJAX-powered select (for posts, terms, users)
      */
-    function renderAjaxSelect(name, condition, value) {
+    function renderAjaxSelect(condition, value) {
         const multiple = condition.multiple ? ' multiple' : '';
-        const nameAttr = condition.multiple ? name + '[]' : name;
         const type = condition.type;
         const placeholder = condition.placeholder || i18n.selectValue;
 
@@ -390,7 +638,7 @@
             dataAttrs += ' data-role="' + escapeHtml(roles) + '"';
         }
 
-        let html = '<select class="value-select conditions-ajax-select' + (condition.multiple ? ' multiple' : '') + '" name="' + nameAttr + '"' + multiple + dataAttrs + '>';
+        let html = '<select class="value-select conditions-ajax-select' + (condition.multiple ? ' multiple' : '') + '"' + multiple + dataAttrs + '>';
 
         // Pre-populate with existing values (will be hydrated via AJAX)
         const values = Array.isArray(value) ? value : (value ? [value] : []);
@@ -404,21 +652,19 @@
     }
 
     /**
-     * Render custom AJAX select (for type => 'ajax' conditions)
+     * Render custom AJAX select (for type => 'ajax' conditions and 'lazy_options' selects)
      */
-    function renderCustomAjaxSelect(name, condition, conditionId, value) {
+    function renderCustomAjaxSelect(condition, conditionId, value, setId, source) {
         const multiple = condition.multiple ? ' multiple' : '';
-        const nameAttr = condition.multiple ? name + '[]' : name;
         const placeholder = condition.placeholder || i18n.selectValue;
-        const setId = $('.conditions-builder').data('set-id');
 
         // Build data attributes
-        let dataAttrs = ' data-type="ajax"';
+        let dataAttrs = ' data-type="' + escapeHtml(source || 'ajax') + '"';
         dataAttrs += ' data-set-id="' + escapeHtml(setId) + '"';
         dataAttrs += ' data-condition-id="' + escapeHtml(conditionId) + '"';
         dataAttrs += ' data-placeholder="' + escapeHtml(placeholder) + '"';
 
-        let html = '<select class="value-select conditions-custom-ajax-select' + (condition.multiple ? ' multiple' : '') + '" name="' + nameAttr + '"' + multiple + dataAttrs + '>';
+        let html = '<select class="value-select conditions-custom-ajax-select' + (condition.multiple ? ' multiple' : '') + '"' + multiple + dataAttrs + '>';
 
         // Pre-populate with existing values (will be hydrated via AJAX)
         const values = Array.isArray(value) ? value : (value ? [value] : []);
@@ -434,23 +680,52 @@
     /**
      * Render date input
      */
-    function renderDateInput(name, condition, value) {
+    function renderDateInput(condition, value, operator) {
         const placeholder = condition.placeholder || '';
-        return '<input type="date" class="value-input" name="' + name + '" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+
+        if (isRangeOperator(operator)) {
+            return renderRangeInput('date', '', value, placeholder);
+        }
+
+        if (isRelativeOperator(operator)) {
+            return renderNumberUnitInput(getRelativeCondition(), value);
+        }
+
+        return '<input type="date" class="value-input" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
     }
 
     /**
      * Render time input
      */
-    function renderTimeInput(name, condition, value) {
+    function renderTimeInput(condition, value, operator) {
         const placeholder = condition.placeholder || '';
-        return '<input type="time" class="value-input" name="' + name + '" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+
+        if (isRangeOperator(operator)) {
+            return renderRangeInput('time', '', value, placeholder);
+        }
+
+        return '<input type="time" class="value-input" value="' + escapeHtml(value || '') + '" placeholder="' + escapeHtml(placeholder) + '">';
+    }
+
+    /**
+     * Check whether a select belongs to a bulk field showing only its count
+     */
+    function isCompactSelect($select) {
+        return $select.closest('.conditions-bulk-field').hasClass('is-compact');
     }
 
     /**
      * Initialize Select2 for a select element
      */
     function initSelect2($select) {
+        // Very long lists are shown as a count and edited in bulk, without Select2
+        if (isCompactSelect($select)) {
+            if ($select.hasClass('select2-hidden-accessible')) {
+                $select.select2('destroy');
+            }
+            return;
+        }
+
         if ($select.hasClass('select2-hidden-accessible')) {
             return; // Already initialized
         }
@@ -495,9 +770,9 @@
                 if (term === '') {
                     return null;
                 }
-                // Basic validation - must look like an IP or CIDR
+                // Must be an IP, CIDR range or wildcard pattern
                 // Matches: 192.168.1.1, 192.168.1.0/24, 10.*, 2001:db8::1, etc.
-                if (!/^[\d.\:\/*a-fA-F]+$/.test(term)) {
+                if (!isValidIpPattern(term)) {
                     return null;
                 }
                 return {
@@ -575,40 +850,20 @@
                 cache: true
             };
 
-            // Get current values BEFORE initializing Select2
-            const currentValues = $select.val();
-
-            // Initialize Select2 first
             $select.select2(options);
 
-            // Then hydrate existing values
-            if (currentValues && currentValues.length) {
-                const ids = Array.isArray(currentValues) ? currentValues : [currentValues];
-
-                $.ajax({
-                    url: endpoint,
-                    data: {
-                        include: ids.join(','),
-                        post_type: $select.data('post-type'),
-                        taxonomy: $select.data('taxonomy'),
-                        role: $select.data('role')
-                    },
-                    headers: {'X-WP-Nonce': nonce}
-                }).done(function (results) {
-                    // Clear and re-add options with proper labels
-                    $select.empty();
-                    results.forEach(function (item) {
-                        const option = new Option(item.label, item.value, true, true);
-                        $select.append(option);
-                    });
-                    $select.trigger('change.select2');
-                });
-            }
+            // Saved values show as IDs until the builder's label request returns
+            const source = type === 'post' ? $select.data('post-type')
+                : (type === 'term' ? $select.data('taxonomy') : $select.data('role'));
+
+            queueHydration($select, type, source);
         } else if (isCustomAjax) {
-            // Custom AJAX type - uses /ajax endpoint with set_id and condition_id
+            // Custom AJAX type - uses /ajax endpoint with set_id and condition_id,
+            // or the paginated /options endpoint for lazy selects
             const setId = $select.data('set-id');
             const conditionId = $select.data('condition-id');
-            const endpoint = restUrl + '/ajax';
+            const source = $select.data('type');
+            const endpoint = restUrl + '/' + source;
 
             options.ajax = {
                 url: endpoint,
@@ -621,50 +876,32 @@
                     return {
                         set_id: setId,
                         condition_id: conditionId,
-                        search: params.term
+                        search: params.term,
+                        page: params.page || 1
                     };
                 },
                 processResults: function (data) {
+                    // /options pages its results; /ajax returns a plain list
+                    const items = Array.isArray(data) ? data : (data.results || []);
+
                     return {
-                        results: data.map(function (item) {
+                        results: items.map(function (item) {
                             return {
                                 id: item.value,
                                 text: item.label
                             };
-                        })
+                        }),
+                        pagination: {
+                            more: !Array.isArray(data) && !!data.more
+                        }
                     };
                 },
                 cache: true
             };
 
-            // Get current values BEFORE initializing Select2
-            const currentValues = $select.val();
-
-            // Initialize Select2 first
             $select.select2(options);
 
-            // Then hydrate existing values
-            if (currentValues && currentValues.length) {
-                const ids = Array.isArray(currentValues) ? currentValues : [currentValues];
-
-                $.ajax({
-                    url: endpoint,
-                    data: {
-                        set_id: setId,
-                        condition_id: conditionId,
-                        include: ids.join(',')
-                    },
-                    headers: {'X-WP-Nonce': nonce}
-                }).done(function (results) {
-                    // Clear and re-add options with proper labels
-                    $select.empty();
-                    results.forEach(function (item) {
-                        const option = new Option(item.label, item.value, true, true);
-                        $select.append(option);
-                    });
-                    $select.trigger('change.select2');
-                });
-            }
+            queueHydration($select, source, conditionId);
         } else {
             // Non-AJAX select
             $select.select2(options);
@@ -680,6 +917,94 @@
         });
     }
 
+    /**
+     * Queue an AJAX select's saved values for the builder's next label request
+     *
+     * Selects set up together (a rule loading, an undo step, an import) are
+     * resolved in one request rather than one per select.
+     */
+    function queueHydration($select, type, source) {
+        const values = $select.val();
+        const ids = Array.isArray(values) ? values : (values ? [values] : []);
+
+        if (!ids.length) return;
+
+        const $builder = getBuilder($select);
+        const state = getState($builder);
+        const key = type + ':' + (source || '');
+
+        if (!state.hydration[key]) {
+            state.hydration[key] = {type: type, source: source || '', ids: [], selects: []};
+        }
+
+        ids.forEach(function (id) {
+            if (!state.hydration[key].ids.includes(id)) {
+                state.hydration[key].ids.push(id);
+            }
+        });
+        state.hydration[key].selects.push($select);
+
+        clearTimeout(state.hydrationTimer);
+        state.hydrationTimer = setTimeout(function () {
+            hydrateLabels($builder);
+        }, 0);
+    }
+
+    /**
+     * Fetch labels for every queued select in one request and apply them
+     *
+     * Values that no longer exist come back labelled "#123 (deleted)".
+     */
+    function hydrateLabels($builder) {
+        const state = getState($builder);
+        const pending = state.hydration;
+        const lookups = {};
+
+        state.hydration = {};
+
+        Object.keys(pending).forEach(function (key) {
+            lookups[key] = {
+                type: pending[key].type,
+                source: pending[key].source,
+                ids: pending[key].ids
+            };
+        });
+
+        if (!Object.keys(lookups).length) return;
+
+        $.ajax({
+            url: restUrl + '/labels',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                set_id: $builder.data('set-id'),
+                lookups: lookups
+            }),
+            headers: {'X-WP-Nonce': nonce}
+        }).done(function (results) {
+            Object.keys(results || {}).forEach(function (key) {
+                if (!pending[key]) return;
+
+                const labels = {};
+                results[key].forEach(function (item) {
+                    labels[item.value] = item.label;
+                });
+
+                // Only relabel; values may have changed while the request ran
+                pending[key].selects.forEach(function ($select) {
+                    $select.find('option').each(function () {
+                        if (labels[this.value] !== undefined) {
+                            $(this).text(labels[this.value]);
+                        }
+                    });
+                    $select.trigger('change.select2');
+                });
+            });
+
+            updateSummary($builder);
+        });
+    }
+
     /**
      * Escape HTML
      */
@@ -690,13 +1015,132 @@
         return div.innerHTML;
     }
 
+    /**
+     * Get the items list of a group or subgroup
+     */
+    function getList($parent) {
+        return $parent.children('.conditions-list');
+    }
+
+    /**
+     * Get the direct items (rules and subgroups) of a group or subgroup
+     */
+    function getItems($parent) {
+        return getList($parent).children('.condition-row, .condition-subgroup');
+    }
+
+    /**
+     * Get the group or subgroup an item belongs to
+     */
+    function getParent($item) {
+        return $item.parent().closest('.condition-subgroup, .condition-group');
+    }
+
+    /**
+     * Get the nesting depth of a group (0) or subgroup (1+)
+     */
+    function getDepth($parent) {
+        return $parent.parents('.condition-subgroup').addBack('.condition-subgroup').length;
+    }
+
+    /**
+     * Get how many levels of subgroups an item brings with it
+     */
+    function getSubtreeDepth($item) {
+        if (!$item.hasClass('condition-subgroup')) return 0;
+
+        let depth = 0;
+        getList($item).children('.condition-subgroup').each(function () {
+            depth = Math.max(depth, getSubtreeDepth($(this)));
+        });
+
+        return depth + 1;
+    }
+
+    /**
+     * Get the model node of a group, subgroup or rule
+     */
+    function getNode($item) {
+        return $item.data('conditionsNode');
+    }
+
+    /**
+     * Get the model list a group, subgroup or rule belongs to
+     */
+    function getSiblingNodes($item) {
+        return $item.hasClass('condition-group')
+            ? getState(getBuilder($item)).model
+            : getNode(getParent($item)).rules;
+    }
+
+    /**
+     * Take a removed group, subgroup or rule out of the model
+     */
+    function removeNode($item) {
+        const nodes = getSiblingNodes($item);
+        const index = nodes.indexOf(getNode($item));
+
+        if (index !== -1) {
+            nodes.splice(index, 1);
+        }
+    }
+
+    /**
+     * Put a group's or subgroup's model items in the order they now appear in
+     */
+    function syncNodeOrder($parent) {
+        const nodes = $parent.hasClass('condition-groups')
+            ? getState(getBuilder($parent)).model
+            : getNode($parent).rules;
+        const $items = $parent.hasClass('condition-groups') ? $parent.children('.condition-group') : getItems($parent);
+
+        nodes.splice(0, nodes.length, ...$items.map(function () {
+            return getNode($(this));
+        }).get());
+    }
+
+    /**
+     * Copy model items so they can be re-added, without their IDs
+     */
+    function copyItems(items) {
+        return items.map(function (item) {
+            const copy = $.extend(true, {}, item);
+
+            delete copy.id;
+
+            if (copy.rules) {
+                copy.rules = copyItems(copy.rules);
+            }
+
+            return copy;
+        });
+    }
+
+    /**
+     * Add saved items (rules and subgroups) to a group or subgroup
+     */
+    function addItems($parent, items) {
+        if (!items || !items.length) {
+            addCondition($parent);
+            return;
+        }
+
+        items.forEach(function (item) {
+            if (item.type === 'group') {
+                addSubgroup($parent, item);
+            } else {
+                addCondition($parent, item);
+            }
+        });
+    }
+
     /**
      * Add a condition group
      */
-    function addGroup(savedData) {
-        const $container = $('.condition-groups');
+    function addGroup($builder, savedData) {
+        const $container = $builder.find('.condition-groups');
         const groupId = savedData?.id || generateId();
-        const index = $container.find('.condition-group').length;
+        const index = $container.children('.condition-group').length;
 
         // Add OR connector if not first group
         if (index > 0) {
@@ -706,80 +1150,263 @@
         // Render group from template
         const groupHtml = wp.template('condition-group')({
             id: groupId,
-            index: index
+            index: index,
+            name: ($builder.attr('data-name') || '_conditions') + '[' + groupId + ']'
         });
 
         const $group = $(groupHtml);
+        const node = {id: groupId, disabled: !!savedData?.disabled, rules: []};
+
+        getState($builder).model.push(node);
+        $group.data('conditionsNode', node);
         $container.append($group);
 
+        initRuleSorting(getList($group));
+
         // Add conditions
-        const rules = savedData?.rules || [];
-        if (rules.length === 0) {
-            addCondition($group, groupId);
-        } else {
-            rules.forEach(function (rule) {
-                addCondition($group, groupId, rule);
-            });
-        }
+        addItems($group, savedData?.rules);
 
         // Update remove button states
         updateRemoveButtons($group);
+        refreshNesting($group);
+        setItemDisabled($group, !!savedData?.disabled);
+
+        triggerEvent($group, 'group-added', [$group]);
 
         return $group;
     }
 
+    /**
+     * Add a nested subgroup with its own AND/OR mode
+     */
+    function addSubgroup($parent, savedData) {
+        const groupId = savedData?.id || generateId();
+
+        const $subgroup = $(wp.template('condition-subgroup')({
+            id: groupId,
+            name: $parent.attr('data-name') + '[rules][' + groupId + ']',
+            match: savedData?.match === 'any' ? 'any' : 'all'
+        }));
+
+        const node = {
+            id: groupId,
+            type: 'group',
+            match: savedData?.match === 'any' ? 'any' : 'all',
+            disabled: !!savedData?.disabled,
+            rules: []
+        };
+
+        getNode($parent).rules.push(node);
+        $subgroup.data('conditionsNode', node);
+        getList($parent).append($subgroup);
+        initRuleSorting(getList($subgroup));
+
+        addItems($subgroup, savedData?.rules);
+
+        updateRemoveButtons($subgroup);
+        updateRemoveButtons($parent);
+        refreshNesting($subgroup);
+        setItemDisabled($subgroup, !!savedData?.disabled);
+
+        triggerEvent($subgroup, 'group-added', [$subgroup]);
+
+        return $subgroup;
+    }
+
     /**
      * Add a condition row
      */
-    function addCondition($group, groupId, savedData) {
-        const $list = $group.find('.conditions-list');
+    function addCondition($parent, savedData) {
         const ruleId = savedData?.id || generateId();
 
         // Render condition from template
         const conditionHtml = wp.template('condition-row')({
             id: ruleId,
-            groupId: groupId
+            name: $parent.attr('data-name') + '[rules][' + ruleId + ']',
+            options: getConditionOptions(getBuilder($parent))
         });
 
         const $row = $(conditionHtml);
-        $list.append($row);
+        const node = {id: ruleId, condition: '', operator: '', value: null, disabled: !!savedData?.disabled};
+
+        getNode($parent).rules.push(node);
+        $row.data('conditionsNode', node);
+        getList($parent).append($row);
+        setItemDisabled($row, node.disabled);
 
         // Initialize Select2 on condition select
         const $conditionSelect = $row.find('.condition-select');
         initConditionSelect($conditionSelect);
 
+        triggerEvent($row, 'rule-added', [$row]);
+
         // Set saved values
         if (savedData?.condition) {
             $conditionSelect.val(savedData.condition).trigger('change', [savedData]);
         }
 
         // Update remove button states
-        updateRemoveButtons($group);
+        updateRemoveButtons($parent);
 
         return $row;
     }
 
     /**
      * Update remove button disabled state
-     * Disable remove button if only one condition in group
+     * Disable remove buttons if only one item in a group or subgroup
      */
-    function updateRemoveButtons($group) {
-        const $rows = $group.find('.condition-row');
-        const $removeButtons = $group.find('.remove-condition');
+    function updateRemoveButtons($parent) {
+        const $items = getItems($parent);
+        const $removeButtons = $items.children('.condition-row-actions, .condition-subgroup-header')
+            .children('.remove-condition, .remove-subgroup');
 
-        if ($rows.length <= 1) {
+        if ($items.length <= 1) {
             $removeButtons.addClass('disabled').prop('disabled', true);
         } else {
             $removeButtons.removeClass('disabled').prop('disabled', false);
         }
     }
 
+    /**
+     * Check whether a group, subgroup or rule is switched off
+     */
+    function isItemDisabled($item) {
+        return $item.hasClass('is-disabled');
+    }
+
+    /**
+     * Switch a group, subgroup or rule off (greyed out, skipped when matching) or back on
+     */
+    function setItemDisabled($item, disabled) {
+        const label = disabled ? (i18n.enable || 'Enable') : (i18n.disable || 'Disable');
+        const $header = $item.children('.condition-group-header, .condition-subgroup-header, .condition-row-actions');
+
+        $item.toggleClass('is-disabled', disabled);
+        $header.children('.item-disabled').val(disabled ? '1' : '');
+
+        const $toggle = $header.children('.toggle-item')
+            .attr({'aria-pressed': disabled ? 'true' : 'false', title: label});
+
+        $toggle.find('.dashicons').toggleClass('dashicons-visibility', !disabled).toggleClass('dashicons-hidden', disabled);
+        $toggle.find('.screen-reader-text').text(label);
+    }
+
+    /**
+     * Hide "Add Subgroup" buttons where another level would be too deep
+     */
+    function refreshNesting($scope) {
+        $scope.find('.add-subgroup').each(function () {
+            const $parent = $(this).closest('.condition-subgroup, .condition-group');
+            $(this).toggle(getDepth($parent) < maxDepth);
+        });
+    }
+
+    /**
+     * Rebuild OR connectors and group labels after groups are added,
+     * removed or reordered
+     */
+    function refreshGroups($container) {
+        $container.children('.group-connector').remove();
+
+        $container.children('.condition-group').each(function (index) {
+            const $group = $(this);
+
+            if (index > 0) {
+                $group.before(wp.template('group-connector')({}));
+            }
+
+            $group.find('.group-label').first().text(index === 0
+                ? (i18n.matchAll || 'Match all of the following rules')
+                : (i18n.orMatchAll || 'Or match all of the following rules'));
+        });
+    }
+
+    /**
+     * Point a moved rule or subgroup's field names (used to key custom fields) at its new parent
+     */
+    function renameItemFields($item, $parent) {
+        const itemId = $item.attr('data-condition-id') || $item.attr('data-group-id');
+        const oldName = $item.attr('data-name');
+        const newName = $parent.attr('data-name') + '[rules][' + itemId + ']';
+
+        if (oldName === newName) return;
+
+        $item.find('[data-name]').addBack().each(function () {
+            const name = $(this).attr('data-name');
+            if (name.indexOf(oldName) === 0) {
+                $(this).attr('data-name', newName + name.slice(oldName.length));
+            }
+        });
+    }
+
+    /**
+     * Enable dragging groups into a new order
+     */
+    function initGroupSorting($container) {
+        $container.sortable({
+            items: '> .condition-group',
+            handle: '.group-drag-handle',
+            placeholder: 'condition-group-placeholder',
+            forcePlaceholderSize: true,
+            tolerance: 'pointer',
+            start: function () {
+                $container.addClass('is-sorting');
+            },
+            stop: function () {
+                $container.removeClass('is-sorting');
+                syncNodeOrder($container);
+                refreshGroups($container);
+                builderChanged(getBuilder($container));
+            }
+        });
+    }
+
+    /**
+     * Enable dragging rules and subgroups within a group and between groups
+     */
+    function initRuleSorting($list) {
+        const $builder = getBuilder($list);
+
+        $list.sortable({
+            items: '> .condition-row, > .condition-subgroup',
+            handle: '.condition-drag-handle',
+            // Only between lists of the same builder
+            connectWith: '#' + $builder.attr('id') + ' .condition-groups .conditions-list',
+            placeholder: 'condition-row-placeholder',
+            forcePlaceholderSize: true,
+            tolerance: 'pointer',
+            receive: function (e, ui) {
+                const $sender = $(ui.sender);
+                const $parent = $(this).closest('.condition-subgroup, .condition-group');
+
+                // A group must keep at least one item, and nesting is limited
+                if (!$sender.children('.condition-row, .condition-subgroup').length ||
+                    getDepth($parent) + getSubtreeDepth(ui.item) > maxDepth) {
+                    $sender.sortable('cancel');
+                    return;
+                }
+
+                renameItemFields(ui.item, $parent);
+
+                updateRemoveButtons($parent);
+                updateRemoveButtons($sender.closest('.condition-subgroup, .condition-group'));
+                refreshNesting(ui.item);
+            },
+            stop: function (e, ui) {
+                // The list the item came from, and the one it was dropped in (the same when reordered)
+                syncNodeOrder($(this).closest('.condition-subgroup, .condition-group'));
+                syncNodeOrder(getParent(ui.item));
+                builderChanged($builder);
+            }
+        });
+    }
+
     /**
      * Update operators when condition changes
      */
     function updateOperators($row, conditionId, savedOperator) {
         const $operatorSelect = $row.find('.operator-select');
-        const ops = getOperators(conditionId);
+        const ops = getOperators(getCondition($row, conditionId));
         const opsArray = Object.entries(ops);
 
         $operatorSelect.empty();
@@ -803,19 +1430,47 @@
     /**
      * Update value field when condition changes
      */
-    function updateValueField($row, conditionId, groupId, ruleId, savedValue) {
+    function updateValueField($row, conditionId, savedValue) {
         const $wrapper = $row.find('.value-field-wrapper');
 
-        // Destroy existing Select2
-        $wrapper.find('.select2-hidden-accessible').select2('destroy');
+        // Destroy existing Select2 and custom fields
+        destroyFields($wrapper);
 
         // Render new field
-        const html = renderValueField(conditionId, groupId, ruleId, savedValue);
-        $wrapper.html(html);
+        const operator = $row.find('.operator-select').val();
+        const html = renderValueField($row, conditionId, savedValue, operator);
+        $wrapper.html(html).attr('data-kind', getOperatorKind(operator));
+
+        // Initialize custom field types
+        const condition = getCondition($row, conditionId);
+        const fieldType = getFieldType(condition);
+        if (fieldType) {
+            $wrapper.attr('data-field-type', condition.type);
+
+            // Only the JSON payload is posted, so keep custom fields out of the form
+            // (radio buttons keep their name to stay grouped, outside any form)
+            $wrapper.find('[name]').each(function () {
+                if (this.type === 'radio') {
+                    $(this).attr('form', 'conditions-unsubmitted');
+                } else {
+                    $(this).removeAttr('name');
+                }
+            });
 
-        // Initialize Select2 if needed
+            if (typeof fieldType.init === 'function') {
+                fieldType.init($wrapper, condition, savedValue);
+            }
+        }
+
+        // Initialize Select2 if needed (compact bulk fields go without)
         $wrapper.find('.conditions-select2, .conditions-ajax-select, .conditions-custom-ajax-select, .conditions-tags-select, .conditions-ip-select, .conditions-email-select').each(function () {
-            initSelect2($(this));
+            if (!isCompactSelect($(this))) {
+                initSelect2($(this));
+            }
+        });
+
+        $wrapper.find('.conditions-bulk-field').each(function () {
+            updateBulkCount($(this));
         });
     }
 
@@ -833,26 +1488,88 @@
     }
 
     /**
-     * Initialize the builder
+     * Show a badge for conditions that run a query or call a remote service
+     */
+    function updateCostBadge($row, condition) {
+        const $badge = $row.find('.condition-cost');
+        const cost = condition && condition.cost;
+        const badges = {
+            query: [i18n.costQuery || 'Query', i18n.costQueryTip || 'Runs a database query when checked.'],
+            remote: [i18n.costRemote || 'Remote', i18n.costRemoteTip || 'Calls an external service when checked.']
+        };
+
+        if (!badges[cost]) {
+            $badge.removeAttr('data-cost title').text('').hide();
+            return;
+        }
+
+        $badge.attr({'data-cost': cost, title: badges[cost][1]}).text(badges[cost][0]).show();
+    }
+
+    /**
+     * Initialize every builder on the page
      */
     function init() {
-        const $builder = $('.conditions-builder');
-        if (!$builder.length) return;
+        $('.conditions-builder').each(function () {
+            initBuilder($(this));
+        });
+
+        initHistoryShortcuts();
+    }
+
+    /**
+     * Initialize a builder
+     */
+    function initBuilder($builder) {
+        if ($builder.data('conditionsState')) return;
+
+        // Rule dragging is limited to lists under this ID
+        if (!$builder.attr('id')) {
+            $builder.attr('id', 'conditions-builder-' + generateId());
+        }
+
+        getState($builder);
 
         // Register event handlers FIRST (before loading saved data)
 
         // Event: Add group
         $builder.on('click', '.add-group', function (e) {
             e.preventDefault();
-            addGroup();
+            addGroup($builder);
+            builderChanged($builder);
         });
 
-        // Event: Add condition (button in group footer)
+        // Event: Add condition (button in group or subgroup footer)
         $builder.on('click', '.conditions-list-footer .add-condition', function (e) {
             e.preventDefault();
-            const $group = $(this).closest('.condition-group');
-            const groupId = $group.data('group-id');
-            addCondition($group, groupId);
+            addCondition($(this).closest('.condition-subgroup, .condition-group'));
+            builderChanged($builder);
+        });
+
+        // Event: Add subgroup
+        $builder.on('click', '.conditions-list-footer .add-subgroup', function (e) {
+            e.preventDefault();
+            addSubgroup($(this).closest('.condition-subgroup, .condition-group'));
+            builderChanged($builder);
+        });
+
+        // Event: Remove subgroup
+        $builder.on('click', '.remove-subgroup', function (e) {
+            e.preventDefault();
+            const $button = $(this);
+            if ($button.hasClass('disabled') || $button.prop('disabled')) {
+                return;
+            }
+
+            const $subgroup = $button.closest('.condition-subgroup');
+            const $parent = getParent($subgroup);
+
+            destroyFields($subgroup);
+            removeNode($subgroup);
+            $subgroup.remove();
+
+            updateRemoveButtons($parent);
+            builderChanged($builder);
         });
 
         // Event: Delete group
@@ -860,23 +1577,33 @@
             e.preventDefault();
             const $group = $(this).closest('.condition-group');
             const $container = $group.parent();
+            const configured = $group.find('.condition-select').filter(function () {
+                return !!$(this).val();
+            }).length > 0;
 
-            // Remove preceding OR connector
-            $group.prev('.group-connector').remove();
-            // Or following if first group
-            $group.next('.group-connector').remove();
-
+            destroyFields($group);
+            removeNode($group);
             $group.remove();
 
             // Ensure at least one group exists
             if ($container.find('.condition-group').length === 0) {
-                addGroup();
+                addGroup($builder);
             }
 
-            // Update first group label
-            $container.find('.condition-group').first().find('.group-label').text(
-                i18n.matchAll || 'Match all of the following rules'
-            );
+            // Fix up OR connectors and the first group label
+            refreshGroups($container);
+
+            builderChanged($builder);
+
+            // Offer a way back instead of asking for confirmation first
+            if (configured) {
+                showBuilderNotice($builder, 'info', i18n.groupDeleted || 'Group deleted.', null, {
+                    label: i18n.undo || 'Undo',
+                    callback: function () {
+                        undoHistory($builder);
+                    }
+                });
+            }
         });
 
         // Event: Duplicate group
@@ -884,18 +1611,18 @@
             e.preventDefault();
             const $group = $(this).closest('.condition-group');
 
-            // Gather current data
-            const rules = [];
-            $group.find('.condition-row').each(function () {
-                const $row = $(this);
-                rules.push({
-                    condition: $row.find('.condition-select').val(),
-                    operator: $row.find('.operator-select').val(),
-                    value: getRowValue($row)
-                });
-            });
+            addGroup($builder, {rules: copyItems(getNode($group).rules)});
+            builderChanged($builder);
+        });
 
-            addGroup({rules: rules});
+        // Event: Switch a group, subgroup or rule off or back on
+        $builder.on('click', '.toggle-item', function (e) {
+            e.preventDefault();
+            const $item = $(this).closest('.condition-row, .condition-subgroup, .condition-group');
+
+            getNode($item).disabled = !isItemDisabled($item);
+            setItemDisabled($item, getNode($item).disabled);
+            builderChanged($builder);
         });
 
         // Event: Remove condition
@@ -907,42 +1634,100 @@
             }
 
             const $row = $(this).closest('.condition-row');
-            const $group = $row.closest('.condition-group');
+            const $group = getParent($row);
 
-            // Destroy Select2 before removing
-            $row.find('.select2-hidden-accessible').select2('destroy');
+            // Destroy Select2 and custom fields before removing
+            destroyFields($row);
+            removeNode($row);
 
             $row.remove();
 
             // Update remove button states
             updateRemoveButtons($group);
+
+            builderChanged($builder);
         });
 
         // Event: Condition changed (using Select2 event)
         $builder.on('change', '.condition-select', function (e, savedData) {
             const $row = $(this).closest('.condition-row');
-            const $group = $row.closest('.condition-group');
             const conditionId = $(this).val();
-            const groupId = $group.data('group-id');
-            const ruleId = $row.data('condition-id');
-            const condition = conditions[conditionId];
+            const condition = getCondition($row, conditionId);
 
             updateOperators($row, conditionId, savedData?.operator);
-            updateValueField($row, conditionId, groupId, ruleId, savedData?.value);
+            updateValueField($row, conditionId, savedData?.value);
+            setRuleNode($row);
             updateTooltip($row, condition);
+            updateCostBadge($row, condition);
+            syncPreviewArgs($builder, condition);
+
+            triggerEvent($row, 'condition-changed', [$row, conditionId]);
+        });
+
+        // Event: Value changed (custom field types can trigger 'change' on their wrapper)
+        $builder.on('change input', '.value-field-wrapper', function () {
+            const $row = $(this).closest('.condition-row');
+
+            getNode($row).value = getRowValue($row);
+            triggerEvent($row, 'value-changed', [$row, getNode($row).value]);
+        });
+
+        // Event: Operator changed - swap between single, from/to and relative value fields
+        $builder.on('change', '.operator-select', function () {
+            const $row = $(this).closest('.condition-row');
+            const previous = $row.find('.value-field-wrapper').attr('data-kind') || 'single';
+            const kind = getOperatorKind($(this).val());
+
+            getNode($row).operator = $(this).val();
+
+            if (previous === kind) return;
+
+            // Carry the value over where the shapes are compatible
+            const value = getNode($row).value;
+            let carried;
+
+            if (previous === 'range' && kind === 'single') carried = value.from;
+            if (previous === 'single' && kind === 'range') carried = {from: value, to: ''};
+            if ((previous === 'single' && kind === 'regex') || (previous === 'regex' && kind === 'single')) carried = value;
+
+            updateValueField($row, $row.find('.condition-select').val(), carried);
+            getNode($row).value = getRowValue($row);
+        });
+
+        // Event: Subgroup match mode changed
+        $builder.on('change', '.subgroup-match', function () {
+            getNode($(this).closest('.condition-subgroup')).match = $(this).val() === 'any' ? 'any' : 'all';
+        });
+
+        // Event: Keep the summary and payload in step with condition, operator and value edits
+        $builder.on('change input', '.condition-groups', function () {
+            updateModel($builder);
+            updateSummary($builder);
+            scheduleLint($builder);
         });
 
+        initPreview($builder);
+        initValidation($builder);
+        initRegexTester($builder);
+        initBulkEditing($builder);
+        initTransfer($builder);
+        initHistory($builder);
+
         // NOW load saved conditions
         const $container = $builder.find('.condition-groups');
+        initGroupSorting($container);
+
         const savedData = $container.data('conditions');
 
         if (savedData && savedData.length) {
             savedData.forEach(function (group) {
-                addGroup(group);
+                addGroup($builder, group);
             });
         } else {
-            addGroup();
+            addGroup($builder);
         }
+
+        builderChanged($builder);
     }
 
     /**
@@ -950,6 +1735,13 @@
      */
     function getRowValue($row) {
         const $wrapper = $row.find('.value-field-wrapper');
+        const condition = getCondition($row, $row.find('.condition-select').val());
+
+        // Custom field types read their own value
+        const fieldType = getFieldType(condition);
+        if (fieldType && typeof fieldType.getValue === 'function') {
+            return fieldType.getValue($wrapper, condition);
+        }
 
         // Number with unit
         const $numberUnit = $wrapper.find('.number-with-unit');
@@ -981,6 +1773,15 @@
             return $select.val();
         }
 
+        // From/to range
+        const $range = $wrapper.find('.range-input');
+        if ($range.length) {
+            return {
+                from: $range.find('.range-from').val(),
+                to: $range.find('.range-to').val()
+            };
+        }
+
         // Input
         const $input = $wrapper.find('input');
         if ($input.length) {
@@ -990,6 +1791,1446 @@
         return null;
     }
 
+    /**
+     * Refresh everything that follows the builder's rules after an edit
+     */
+    function builderChanged($builder) {
+        updateModel($builder);
+        schedulePreview($builder);
+        scheduleLint($builder);
+        recordHistory($builder);
+        updateSummary($builder);
+    }
+
+    /**
+     * Read a rule's condition, operator and value into its model node after its fields are rebuilt
+     */
+    function setRuleNode($row) {
+        const node = getNode($row);
+
+        node.condition = $row.find('.condition-select').val() || '';
+        node.operator = $row.find('.operator-select').val() || '';
+        node.value = getRowValue($row);
+    }
+
+    /**
+     * Write the builder's model to the JSON payload field it is saved through
+     *
+     * Rules are submitted as one field rather than an input per value, so
+     * large rule sets can't run into PHP's max_input_vars limit.
+     */
+    function updateModel($builder) {
+        $builder.find('.conditions-payload').val(JSON.stringify(serializeConditions($builder)));
+    }
+
+    /**
+     * Get the builder's model in the same shape as the saved payload
+     */
+    function serializeConditions($builder) {
+        const data = {};
+
+        getState($builder).model.forEach(function (group) {
+            data[group.id] = {
+                disabled: group.disabled,
+                rules: serializeItems(group.rules)
+            };
+        });
+
+        return data;
+    }
+
+    /**
+     * Key the rules and subgroups of a model group by ID
+     */
+    function serializeItems(items) {
+        const data = {};
+
+        items.forEach(function (item) {
+            data[item.id] = item.type === 'group'
+                ? {type: 'group', match: item.match, disabled: item.disabled, rules: serializeItems(item.rules)}
+                : {condition: item.condition, operator: item.operator, value: item.value, disabled: item.disabled};
+        });
+
+        return data;
+    }
+
+    /* Preview panel
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Add a sample argument row to the preview panel
+     */
+    function addPreviewArg($builder, key, value) {
+        const $panel = $builder.find('.conditions-preview');
+        const $row = $(wp.template('preview-arg')({
+            key: key || '',
+            value: value || '',
+            list: $panel.data('args-list')
+        }));
+
+        $panel.find('.preview-args').append($row);
+
+        return $row;
+    }
+
+    /**
+     * Make sure the preview panel has a row for every argument the
+     * selected condition reads
+     */
+    function syncPreviewArgs($builder, condition) {
+        if (!condition || !$builder.find('.conditions-preview').length) return;
+
+        const wanted = (condition.required_args || []).slice();
+        if (condition.arg) {
+            wanted.push(condition.arg);
+        }
+
+        const existing = getPreviewArgs($builder);
+        wanted.forEach(function (key) {
+            if (!(key in existing)) {
+                addPreviewArg($builder, key);
+                existing[key] = '';
+            }
+        });
+    }
+
+    /**
+     * Get the sample arguments entered in the preview panel
+     */
+    function getPreviewArgs($builder) {
+        const args = {};
+
+        $builder.find('.conditions-preview .preview-arg').each(function () {
+            const key = $.trim($(this).find('.preview-arg-key').val());
+            if (key) {
+                args[key] = $(this).find('.preview-arg-value').val();
+            }
+        });
+
+        return args;
+    }
+
+    /**
+     * Debounce preview requests while the user is editing
+     */
+    function schedulePreview($builder) {
+        if (!$builder.find('.conditions-preview').length) return;
+
+        const state = getState($builder);
+
+        clearTimeout(state.previewTimer);
+        state.previewTimer = setTimeout(function () {
+            runPreview($builder);
+        }, 400);
+    }
+
+    /**
+     * Evaluate the unsaved rules against the sample arguments
+     */
+    function runPreview($builder) {
+        const state = getState($builder);
+
+        if (state.previewRequest) {
+            state.previewRequest.abort();
+        }
+
+        state.previewRequest = $.ajax({
+            url: restUrl + '/preview',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                set_id: $builder.data('set-id'),
+                conditions: serializeConditions($builder),
+                args: getPreviewArgs($builder)
+            }),
+            headers: {'X-WP-Nonce': nonce}
+        }).done(function (result) {
+            renderPreview($builder, result);
+        }).fail(function (xhr, status) {
+            if (status === 'abort') return;
+
+            clearPreview($builder);
+            $builder.find('.preview-summary')
+                .attr('class', 'preview-summary is-error')
+                .text(i18n.previewError || 'Could not run the preview.');
+        });
+    }
+
+    /**
+     * Remove preview results from the builder
+     */
+    function clearPreview($builder) {
+        $builder.find('.condition-group').removeClass('preview-matched preview-unmatched');
+        $builder.find('.preview-group-status').text('');
+        $builder.find('.condition-row, .condition-subgroup').removeClass('preview-pass preview-fail preview-skip preview-off');
+        $builder.find('.preview-status').removeAttr('title');
+        $builder.find('.condition-explain').remove();
+        $builder.find('.condition-row').removeClass('has-explain');
+    }
+
+    /**
+     * Show preview results next to each group and rule
+     */
+    function renderPreview($builder, result) {
+        const labels = {
+            pass: i18n.previewPass || 'Passed',
+            fail: i18n.previewFail || 'Failed',
+            skip: i18n.previewSkip || 'Skipped',
+            off: i18n.previewOff || 'Disabled'
+        };
+        const explain = $builder.find('.preview-explain').is(':checked');
+
+        clearPreview($builder);
+
+        (result.groups || []).forEach(function (group) {
+            const $group = $builder.find('.condition-group[data-group-id="' + group.id + '"]');
+
+            if (isItemDisabled($group)) {
+                $group.find('.preview-group-status').first().text(labels.off);
+                return;
+            }
+
+            $group.addClass(group.matched ? 'preview-matched' : 'preview-unmatched');
+            $group.find('.preview-group-status').text(
+                group.matched ? (i18n.groupMatched || 'Matches') : (i18n.groupUnmatched || 'No match')
+            );
+
+            applyPreviewResults($group, group.rules || [], labels, explain);
+        });
+
+        // Rules whose condition is missing are left out of matching, invalid rules fail
+        (result.errors || []).forEach(function (error) {
+            const $row = $builder.find('.condition-row[data-condition-id="' + error.rule + '"]');
+
+            $row.children('.condition-explain').remove();
+            $row.addClass(error.code === 'invalid' ? 'has-explain' : 'preview-skip has-explain')
+                .append($('<div class="condition-explain"></div>').text(error.message));
+        });
+
+        $builder.find('.preview-summary')
+            .attr('class', 'preview-summary ' + (result.matched ? 'is-match' : 'is-no-match'))
+            .text(result.matched
+                ? (i18n.previewMatch || 'These rules would match.')
+                : (i18n.previewNoMatch || 'These rules would not match.'));
+    }
+
+    /**
+     * Mark each rule and subgroup of a group with its preview result
+     */
+    function applyPreviewResults($parent, items, labels, explain) {
+        items.forEach(function (item) {
+            const $item = item.type === 'group'
+                ? getItems($parent).filter('.condition-subgroup[data-group-id="' + item.id + '"]')
+                : getItems($parent).filter('.condition-row[data-condition-id="' + item.id + '"]');
+
+            $item.addClass('preview-' + item.result)
+                .children('.condition-row-actions, .condition-subgroup-header')
+                .children('.preview-status').attr('title', labels[item.result] || '');
+
+            if (item.type === 'group') {
+                applyPreviewResults($item, item.rules || [], labels, explain);
+            } else if (explain && item.result !== 'off') {
+                $item.addClass('has-explain').append(
+                    $('<div class="condition-explain"></div>').text(labels[item.result] + ': ' + describeTrace(item))
+                );
+            }
+        });
+    }
+
+    /**
+     * Describe how a rule was evaluated, e.g. "resolved value 150"
+     */
+    function describeTrace(item) {
+        if (item.reason === 'missing_args') {
+            return (i18n.explainMissing || 'missing arguments %s').replace('%s', (item.missing_args || []).join(', '));
+        }
+
+        if (item.reason === 'invalid') {
+            return i18n.explainInvalid || 'its operator or value is not valid, so it always fails';
+        }
+
+        if (item.reason) {
+            return i18n.explainUnknown || 'the rule is incomplete or its condition no longer exists';
+        }
+
+        return (i18n.explainValue || 'resolved value %s').replace('%s', formatTraceValue(item.compare_value));
+    }
+
+    /**
+     * Format a resolved compare value for display
+     */
+    function formatTraceValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return i18n.explainEmpty || '(empty)';
+        }
+
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Initialize the preview panel
+     */
+    function initPreview($builder) {
+        if (!$builder.find('.conditions-preview').length) return;
+
+        $builder.on('click', '.add-preview-arg', function (e) {
+            e.preventDefault();
+            addPreviewArg($builder).find('.preview-arg-key').trigger('focus');
+        });
+
+        $builder.on('click', '.remove-preview-arg', function (e) {
+            e.preventDefault();
+            $(this).closest('.preview-arg').remove();
+            schedulePreview($builder);
+        });
+
+        // Any edit inside the builder re-runs the preview
+        $builder.on('change input', '.condition-groups, .preview-args, .preview-explain', function () {
+            schedulePreview($builder);
+        });
+    }
+
+    /* Lint
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Debounce lint requests while the user is editing
+     */
+    function scheduleLint($builder) {
+        const state = getState($builder);
+
+        clearTimeout(state.lintTimer);
+        state.lintTimer = setTimeout(function () {
+            runLint($builder);
+        }, 600);
+    }
+
+    /**
+     * Check the unsaved rules for contradictions, redundant rules and covered groups
+     */
+    function runLint($builder) {
+        const state = getState($builder);
+
+        if (state.lintRequest) {
+            state.lintRequest.abort();
+        }
+
+        state.lintRequest = $.ajax({
+            url: restUrl + '/lint',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                set_id: $builder.data('set-id'),
+                conditions: serializeConditions($builder)
+            }),
+            headers: {'X-WP-Nonce': nonce}
+        }).done(function (result) {
+            renderLint($builder, result.warnings || []);
+        }).fail(function (xhr, status) {
+            // Linting is advisory, so a failed request just leaves no warnings
+            if (status !== 'abort') clearLint($builder);
+        });
+    }
+
+    /**
+     * Remove lint warnings from the builder
+     */
+    function clearLint($builder) {
+        $builder.find('.condition-lint, .group-lint').remove();
+        $builder.find('.condition-row, .condition-subgroup, .condition-group').removeClass('has-lint is-lint-related');
+    }
+
+    /**
+     * Show lint warnings on the rules and groups they are about
+     *
+     * Redundant rules get the message on the row itself; contradictions and
+     * covered groups get it under the group header, with the rules involved
+     * highlighted.
+     */
+    function renderLint($builder, warnings) {
+        clearLint($builder);
+
+        warnings.forEach(function (warning) {
+            const $group = $builder.find('.condition-group, .condition-subgroup')
+                .filter('[data-group-id="' + warning.group + '"]');
+            const $rows = (warning.rules || []).map(function (id) {
+                return $group.find('.condition-row[data-condition-id="' + id + '"]');
+            });
+
+            if (warning.type === 'redundant' && $rows.length && $rows[0].length) {
+                $rows[0].addClass('has-lint').append(
+                    $('<div class="condition-lint"></div>').text(warning.message)
+                );
+                return;
+            }
+
+            $group.addClass('has-lint')
+                .children('.condition-group-header, .condition-subgroup-header')
+                .after($('<div class="group-lint"></div>').text(warning.message));
+
+            $rows.forEach(function ($row) {
+                $row.addClass('is-lint-related');
+            });
+        });
+    }
+
+    /* Summary
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Lowercase the first letter of an operator label ("Is any of" → "is any of")
+     */
+    function lowerFirst(text) {
+        return text ? text.charAt(0).toLowerCase() + text.slice(1) : '';
+    }
+
+    /**
+     * Describe a row's value using the labels shown in the builder
+     */
+    function describeRowValue($row) {
+        const $wrapper = $row.find('.value-field-wrapper');
+
+        // Selects show option, post, term and user labels
+        const $select = $wrapper.find('select.value-select');
+        if ($select.length) {
+            return $select.find('option:selected').map(function () {
+                return $(this).text();
+            }).get().filter(Boolean).join(', ');
+        }
+
+        const value = getRowValue($row);
+
+        // Range
+        if (value && typeof value === 'object' && 'from' in value) {
+            return value.from + ' ' + (i18n.rangeAnd || 'and') + ' ' + value.to;
+        }
+
+        // Number/text with unit
+        if (value && typeof value === 'object') {
+            const text = 'number' in value ? value.number : value.text;
+            if (text === '' || text === null || text === undefined) return '';
+
+            const unit = $wrapper.find('.unit-select option:selected').text();
+            return unit ? text + ' ' + unit : String(text);
+        }
+
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Describe a single row, e.g. "Cart Total is greater than 100"
+     * (mirrors Summary::describe_rule)
+     */
+    function describeRow($row) {
+        const conditionId = $row.find('.condition-select').val();
+        const condition = getCondition($row, conditionId);
+        const operator = $row.find('.operator-select').val();
+
+        if (!condition || !operator) return '';
+
+        const label = condition.label || conditionId;
+        const operatorLabel = getOperators(condition)[operator] || operator;
+
+        // Boolean conditions are answered by the operator alone
+        if (condition.type === 'boolean') {
+            return label + ': ' + operatorLabel;
+        }
+
+        return $.trim(label + ' ' + lowerFirst(operatorLabel) + ' ' + describeRowValue($row));
+    }
+
+    /**
+     * Describe the items of a group or subgroup, joined by its match mode
+     */
+    function describeItems($parent, match) {
+        const parts = getItems($parent).not('.is-disabled').map(function () {
+            const $item = $(this);
+
+            if ($item.hasClass('condition-subgroup')) {
+                const matchValue = $item.children('.condition-subgroup-header').find('.subgroup-match').val();
+                const description = describeItems($item, matchValue);
+
+                return description ? '(' + description + ')' : '';
+            }
+
+            return describeRow($item);
+        }).get().filter(Boolean);
+
+        const joiner = match === 'any' ? (i18n.or || 'OR') : (i18n.and || 'AND');
+
+        return parts.join(' ' + joiner + ' ');
+    }
+
+    /**
+     * Get a plain-language summary of every group in the builder
+     */
+    function getSummary($builder) {
+        const groups = $builder.find('.condition-groups').children('.condition-group').not('.is-disabled').map(function () {
+            return describeItems($(this), 'all');
+        }).get().filter(Boolean);
+
+        return groups.join(', ' + (i18n.or || 'OR') + ' ');
+    }
+
+    /**
+     * Refresh the summary at the top of the builder
+     */
+    function updateSummary($builder) {
+        $builder.find('.conditions-summary-text').text(getSummary($builder) || i18n.summaryEmpty || 'No rules yet.');
+    }
+
+    /* Undo / redo
+     * ---------------------------------------------------------------------- */
+
+    const historyLimit = 100;
+
+    /**
+     * Save the builder's current state as a new undo step
+     */
+    function recordHistory($builder) {
+        const state = getState($builder);
+
+        clearTimeout(state.historyTimer);
+
+        if (state.restoringHistory) return;
+
+        const snapshot = JSON.stringify(state.model);
+        if (snapshot === state.historyStack[state.historyIndex]) return;
+
+        // A new edit discards anything that could have been redone
+        state.historyStack = state.historyStack.slice(0, state.historyIndex + 1);
+        state.historyStack.push(snapshot);
+
+        if (state.historyStack.length > historyLimit) {
+            state.historyStack.shift();
+        }
+
+        state.historyIndex = state.historyStack.length - 1;
+        updateHistoryButtons($builder);
+    }
+
+    /**
+     * Record an undo step once typing and other edits settle
+     */
+    function scheduleHistory($builder) {
+        const state = getState($builder);
+
+        clearTimeout(state.historyTimer);
+        state.historyTimer = setTimeout(function () {
+            recordHistory($builder);
+        }, 500);
+    }
+
+    /**
+     * Restore the builder to a recorded state
+     */
+    function restoreHistory($builder, index) {
+        const state = getState($builder);
+
+        if (index < 0 || index >= state.historyStack.length) return;
+
+        // Keep the step being left if it hasn't been recorded yet
+        recordHistory($builder);
+
+        state.historyIndex = Math.min(index, state.historyStack.length - 1);
+        state.restoringHistory = true;
+        loadConditions($builder, JSON.parse(state.historyStack[state.historyIndex]));
+        state.restoringHistory = false;
+
+        $builder.find('.conditions-builder-notice').empty();
+        updateHistoryButtons($builder);
+    }
+
+    /**
+     * Undo the last edit
+     */
+    function undoHistory($builder) {
+        recordHistory($builder);
+        restoreHistory($builder, getState($builder).historyIndex - 1);
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    function redoHistory($builder) {
+        restoreHistory($builder, getState($builder).historyIndex + 1);
+    }
+
+    /**
+     * Enable or disable the undo and redo buttons
+     */
+    function updateHistoryButtons($builder) {
+        const state = getState($builder);
+
+        $builder.find('.undo-conditions').prop('disabled', state.historyIndex <= 0);
+        $builder.find('.redo-conditions').prop('disabled', state.historyIndex >= state.historyStack.length - 1);
+    }
+
+    /**
+     * Initialize undo/redo buttons
+     */
+    function initHistory($builder) {
+        $builder.on('click', '.undo-conditions', function (e) {
+            e.preventDefault();
+            undoHistory($builder);
+        });
+
+        $builder.on('click', '.redo-conditions', function (e) {
+            e.preventDefault();
+            redoHistory($builder);
+        });
+
+        // Condition, operator, match mode and value edits
+        $builder.on('change input', '.condition-groups', function () {
+            scheduleHistory($builder);
+        });
+
+        updateHistoryButtons($builder);
+    }
+
+    /**
+     * Bind Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) to the builder being worked in
+     */
+    function initHistoryShortcuts() {
+        $(document).on('keydown', function (e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || String(e.key).toLowerCase() !== 'z') return;
+
+            const $target = $(e.target);
+            let $builder = $target.closest('.conditions-builder');
+
+            if ($target.closest('.conditions-preview').length) return;
+
+            // Nothing focused: only act when there is no doubt which builder is meant
+            if (!$builder.length && e.target === document.body) {
+                const $builders = $('.conditions-builder');
+                $builder = $builders.length === 1 ? $builders : $();
+            }
+
+            if (!$builder.length || !$builder.data('conditionsState')) return;
+
+            e.preventDefault();
+
+            if (e.shiftKey) {
+                redoHistory($builder);
+            } else {
+                undoHistory($builder);
+            }
+        });
+    }
+
+    /* Import / export
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Show a notice below the builder, optionally with a list and an action link
+     */
+    function showBuilderNotice($builder, type, message, items, action) {
+        const $message = $('<p></p>').text(message);
+        const $notice = $('<div class="notice inline"></div>').addClass('notice-' + type).append($message);
+
+        if (action) {
+            $message.append(' ', $('<a href="#"></a>').text(action.label).on('click', function (e) {
+                e.preventDefault();
+                $notice.remove();
+                action.callback();
+            }));
+        }
+
+        if (items && items.length) {
+            const $list = $('<ul></ul>');
+            items.forEach(function (item) {
+                $list.append($('<li></li>').text(item));
+            });
+            $notice.append($list);
+        }
+
+        $builder.find('.conditions-builder-notice').empty().append($notice);
+    }
+
+    /**
+     * Get the error message from a failed REST request
+     */
+    function getRequestError(xhr, fallback) {
+        return (xhr.responseJSON && xhr.responseJSON.message) || fallback;
+    }
+
+    /**
+     * Download the builder's rules as a JSON document
+     */
+    function exportConditions($builder) {
+        const setId = $builder.data('set-id');
+
+        $.ajax({
+            url: restUrl + '/export',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                set_id: setId,
+                conditions: serializeConditions($builder)
+            }),
+            headers: {'X-WP-Nonce': nonce}
+        }).done(function (documentData) {
+            const blob = new Blob([JSON.stringify(documentData, null, 2)], {type: 'application/json'});
+            const url = URL.createObjectURL(blob);
+            const date = new Date().toISOString().slice(0, 10);
+
+            $('<a></a>').attr({href: url, download: setId + '-conditions-' + date + '.json'})
+                .appendTo('body')[0].click();
+
+            setTimeout(function () {
+                URL.revokeObjectURL(url);
+                $('a[href="' + url + '"]').remove();
+            }, 0);
+        }).fail(function (xhr) {
+            showBuilderNotice($builder, 'error', getRequestError(xhr, i18n.exportError || 'Could not export the rules.'));
+        });
+    }
+
+    /**
+     * Replace every group in the builder
+     */
+    function loadConditions($builder, groups) {
+        const $container = $builder.find('.condition-groups');
+
+        destroyFields($container);
+        $container.empty();
+        getState($builder).model.length = 0;
+
+        if (groups && groups.length) {
+            groups.forEach(function (group) {
+                addGroup($builder, group);
+            });
+        } else {
+            addGroup($builder);
+        }
+
+        builderChanged($builder);
+    }
+
+    /**
+     * Read a JSON document and load its rules into the builder
+     */
+    function importConditions($builder, file) {
+        const reader = new FileReader();
+
+        reader.onload = function () {
+            let documentData;
+
+            try {
+                documentData = JSON.parse(reader.result);
+            } catch (err) {
+                showBuilderNotice($builder, 'error', i18n.importInvalid || 'This file is not a conditions export.');
+                return;
+            }
+
+            if (!window.confirm(i18n.importConfirm || 'Replace the current rules with the imported rules?')) {
+                return;
+            }
+
+            $.ajax({
+                url: restUrl + '/import',
+                method: 'POST',
+                contentType: 'application/json',
+                data: JSON.stringify({
+                    set_id: $builder.data('set-id'),
+                    document: documentData
+                }),
+                headers: {'X-WP-Nonce': nonce}
+            }).done(function (result) {
+                loadConditions($builder, result.conditions);
+
+                const problems = [];
+
+                (result.unknown || []).forEach(function (conditionId) {
+                    problems.push((i18n.importUnknown || 'Unknown condition "%s" was skipped.').replace('%s', conditionId));
+                });
+
+                (result.unresolved || []).forEach(function (ref) {
+                    problems.push((i18n.importMissing || 'No %1$s found for ID %2$s (%3$s) in "%4$s".')
+                        .replace('%1$s', ref.type)
+                        .replace('%2$s', ref.id)
+                        .replace('%3$s', ref.slug || '?')
+                        .replace('%4$s', ref.condition));
+                });
+
+                if (problems.length) {
+                    showBuilderNotice($builder, 'warning', i18n.importPartial || 'Rules imported with problems. Review them before saving.', problems);
+                } else {
+                    showBuilderNotice($builder, 'success', i18n.importDone || 'Rules imported. Review them and save to apply.');
+                }
+            }).fail(function (xhr) {
+                showBuilderNotice($builder, 'error', getRequestError(xhr, i18n.importError || 'Could not import the rules.'));
+            });
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Initialize the export and import actions
+     */
+    function initTransfer($builder) {
+        const $file = $builder.find('.conditions-import-file');
+
+        $builder.on('click', '.export-conditions', function (e) {
+            e.preventDefault();
+            exportConditions($builder);
+        });
+
+        $builder.on('click', '.import-conditions', function (e) {
+            e.preventDefault();
+            $file.trigger('click');
+        });
+
+        $file.on('change', function () {
+            if (this.files && this.files[0]) {
+                importConditions($builder, this.files[0]);
+            }
+
+            // Allow the same file to be picked again
+            this.value = '';
+        });
+    }
+
+    /* Validation
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Check if a value is empty (mirrors TypeSanitizer::is_empty)
+     */
+    function isEmptyValue(value) {
+        if (value === null || value === undefined || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+
+        if (typeof value === 'object') {
+            if ('from' in value) return isEmptyValue(value.from) || isEmptyValue(value.to);
+            if ('number' in value) return value.number === '' || value.number === null;
+            if ('text' in value) return value.text === '' || value.text === null;
+        }
+
+        return false;
+    }
+
+    /**
+     * Check if a string is a valid IPv4 address
+     */
+    function isValidIpv4(ip) {
+        const parts = ip.split('.');
+
+        return parts.length === 4 && parts.every(function (part) {
+            return /^\d{1,3}$/.test(part) && parseInt(part, 10) <= 255;
+        });
+    }
+
+    /**
+     * Check if a string is a valid IPv6 address
+     */
+    function isValidIpv6(ip) {
+        const halves = ip.split('::');
+        if (halves.length > 2) return false;
+
+        const groups = [];
+        halves.forEach(function (half) {
+            if (half !== '') {
+                groups.push.apply(groups, half.split(':'));
+            }
+        });
+
+        if (!groups.every(function (group) { return /^[0-9a-f]{1,4}$/i.test(group); })) {
+            return false;
+        }
+
+        // "::" stands in for at least one group of zeros
+        return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+    }
+
+    /**
+     * Check if a string is a valid IP, CIDR range or IPv4 wildcard pattern
+     */
+    function isValidIpPattern(term) {
+        const parts = term.split('/');
+
+        // CIDR range
+        if (parts.length === 2) {
+            if (!/^\d{1,3}$/.test(parts[1])) return false;
+
+            const bits = parseInt(parts[1], 10);
+            if (isValidIpv4(parts[0])) return bits <= 32;
+            if (isValidIpv6(parts[0])) return bits <= 128;
+
+            return false;
+        }
+
+        if (parts.length > 2) return false;
+
+        // Wildcard pattern (192.168.1.*, 10.*)
+        if (term.indexOf('*') !== -1) {
+            const octets = term.split('.');
+
+            return octets.length <= 4 && octets.every(function (octet) {
+                return octet === '*' || (/^\d{1,3}$/.test(octet) && parseInt(octet, 10) <= 255);
+            });
+        }
+
+        return isValidIpv4(term) || isValidIpv6(term);
+    }
+
+    /**
+     * Check if a string is a valid email, @domain, .tld or domain pattern
+     */
+    function isValidEmailPattern(term) {
+        const value = term.toLowerCase();
+        const isDomain = function (domain) {
+            return domain.indexOf('.') !== -1 && domain.split('.').every(function (part) {
+                return /^[a-z0-9-]+$/.test(part);
+            });
+        };
+
+        if (value.charAt(0) === '@') return isDomain(value.slice(1));
+
+        if (value.charAt(0) === '.') {
+            return value.length > 2 && value.slice(1).split('.').every(function (part) {
+                return /^[a-z]+$/.test(part);
+            });
+        }
+
+        if (value.indexOf('@') !== -1) {
+            const at = value.lastIndexOf('@');
+            return at > 0 && !/\s/.test(value.slice(0, at)) && isDomain(value.slice(at + 1));
+        }
+
+        return isDomain(value);
+    }
+
+    /**
+     * Check if a string is a real calendar date in YYYY-MM-DD format
+     */
+    function isValidDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+        const date = new Date(value + 'T00:00:00Z');
+
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * Validate a number against a condition's min, max and step
+     */
+    function getNumberError(value, condition) {
+        const number = Number(value);
+
+        if (value === '' || isNaN(number)) {
+            return i18n.errorNumber || 'Enter a number.';
+        }
+
+        if (condition.min !== undefined && condition.min !== null && number < Number(condition.min)) {
+            return (i18n.errorMin || 'Must be at least %s.').replace('%s', condition.min);
+        }
+
+        if (condition.max !== undefined && condition.max !== null && number > Number(condition.max)) {
+            return (i18n.errorMax || 'Must be no more than %s.').replace('%s', condition.max);
+        }
+
+        const step = Number(condition.step);
+        if (step > 0) {
+            const base = condition.min !== undefined && condition.min !== null ? Number(condition.min) : 0;
+            const steps = (number - base) / step;
+
+            if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+                return (i18n.errorStep || 'Must be in steps of %s.').replace('%s', condition.step);
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Validate both bounds of a range, and their order
+     * (time ranges may wrap past midnight)
+     */
+    function getRangeError(value, condition) {
+        const error = getValueError(value.from, condition) || getValueError(value.to, condition);
+        if (error) return error;
+
+        const reversed = condition.type === 'number'
+            ? Number(value.from) > Number(value.to)
+            : condition.type === 'date' && value.from > value.to;
+
+        return reversed ? (i18n.errorRange || 'The first value must not be after the second.') : '';
+    }
+
+    /**
+     * Validate a rule value using its condition definition
+     * (mirrors TypeSanitizer::validate)
+     */
+    function getValueError(value, condition) {
+        const type = condition.type || 'text';
+
+        if (type === 'boolean') return '';
+
+        if (isEmptyValue(value)) {
+            return condition.required === false ? '' : (i18n.errorRequired || 'Enter a value.');
+        }
+
+        // Custom sanitizers define their own format
+        if (condition.sanitize) return '';
+
+        // Range (between operators)
+        if (typeof value === 'object' && 'from' in value) {
+            return getRangeError(value, condition);
+        }
+
+        // Relative date (in the last/next operators)
+        if (type === 'date' && typeof value === 'object' && 'number' in value) {
+            return getNumberError(value.number, getRelativeCondition());
+        }
+
+        const values = Array.isArray(value) ? value : [value];
+        let invalid = [];
+
+        switch (type) {
+            case 'number':
+                return getNumberError(value, condition);
+
+            case 'number_unit':
+                return getNumberError(value.number, condition);
+
+            case 'date':
+                return isValidDate(value) ? '' : (i18n.errorDate || 'Enter a valid date.');
+
+            case 'time':
+                return /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value) ? '' : (i18n.errorTime || 'Enter a valid time.');
+
+            case 'ip':
+                invalid = values.filter(function (val) { return !isListReference(val) && !isValidIpPattern(val); });
+                return invalid.length ? (i18n.errorIp || 'Invalid IP address or range: %s').replace('%s', invalid.join(', ')) : '';
+
+            case 'email':
+                invalid = values.filter(function (val) { return !isListReference(val) && !isValidEmailPattern(val); });
+                return invalid.length ? (i18n.errorEmail || 'Invalid email pattern: %s').replace('%s', invalid.join(', ')) : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the first problem with a condition row, or an empty string
+     */
+    function getRowError($row) {
+        const condition = getCondition($row, $row.find('.condition-select').val());
+
+        if (!condition) {
+            return i18n.errorCondition || 'Select a condition.';
+        }
+
+        const operator = $row.find('.operator-select').val();
+
+        if (!operator) {
+            return i18n.errorOperator || 'Select an operator.';
+        }
+
+        if (isRegexOperator(operator)) {
+            return getRegexError(getRowValue($row), condition);
+        }
+
+        return getValueError(getRowValue($row), condition);
+    }
+
+    /**
+     * Validate a regex pattern (mirrors Regex::get_error)
+     */
+    function getRegexError(pattern, condition) {
+        if (isEmptyValue(pattern)) {
+            return condition.required === false ? '' : (i18n.errorRequired || 'Enter a value.');
+        }
+
+        if (pattern.length > regexMaxLength) {
+            return (i18n.errorRegexLen || 'Patterns must be no longer than %d characters.').replace('%d', regexMaxLength);
+        }
+
+        return toRegExp(pattern) ? '' : (i18n.errorRegex || 'Enter a valid regular expression.');
+    }
+
+    /**
+     * Validate a condition row and show or clear its inline error
+     */
+    function validateRow($row) {
+        const message = getRowError($row);
+
+        $row.children('.condition-error').remove();
+        $row.toggleClass('has-error', message !== '');
+
+        if (message) {
+            $row.append($('<div class="condition-error" role="alert"></div>').text(message));
+        }
+
+        return message === '';
+    }
+
+    /**
+     * Validate every row in the builder
+     */
+    function validateBuilder($builder) {
+        let valid = true;
+
+        $builder.find('.condition-row').each(function () {
+            valid = validateRow($(this)) && valid;
+        });
+
+        $builder.prev('.conditions-validation-notice').toggle(!valid);
+
+        return valid;
+    }
+
+    /**
+     * Validate rows as they are edited and block saving invalid rules
+     */
+    function initValidation($builder) {
+        const $form = $builder.closest('form');
+
+        $builder.before(
+            $('<div class="notice notice-error inline conditions-validation-notice" style="display: none;"></div>')
+                .append($('<p></p>').text(i18n.errorSummary || 'Some rules are incomplete or invalid. Fix the highlighted rules before saving.'))
+        );
+
+        // Validate a row when one of its fields loses focus
+        $builder.on('focusout', '.condition-row input', function () {
+            validateRow($(this).closest('.condition-row'));
+        });
+
+        $builder.on('select2:close', '.condition-row select', function () {
+            validateRow($(this).closest('.condition-row'));
+        });
+
+        // Clear errors as soon as a row is fixed
+        $builder.on('change input', '.condition-row.has-error', function () {
+            validateRow($(this));
+
+            if (!$builder.find('.condition-row.has-error').length) {
+                $builder.prev('.conditions-validation-notice').hide();
+            }
+        });
+
+        $form.on('submit', function (e) {
+            if (validateBuilder($builder)) {
+                updateModel($builder);
+                return;
+            }
+
+            e.preventDefault();
+
+            // Undo the spinner and disabled buttons WordPress shows on submit
+            setTimeout(function () {
+                $form.find('#publishing-action .spinner, #save-action .spinner').removeClass('is-active');
+                $form.find('#publish, #save-post').removeClass('disabled');
+            }, 0);
+
+            const $first = $builder.find('.condition-row.has-error').first();
+            $('html, body').animate({scrollTop: $first.offset().top - 100}, 200);
+        });
+    }
+
+    /* Regex tester
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Build a RegExp from a pattern (mirrors Regex::to_pcre)
+     *
+     * Patterns without delimiters are case-insensitive; delimited ones like
+     * "/.../i" or "#...#" keep their own flags, minus the PCRE-only ones.
+     * Returns null if invalid.
+     */
+    function toRegExp(pattern) {
+        const delimited = /^([^\w\s\\(){}\[\]<>])([\s\S]+)\1([imsxuADSUXJn]*)$/.exec(pattern);
+
+        try {
+            return delimited
+                ? new RegExp(delimited[2], delimited[3].replace(/[^ims]|(.)(?=.*\1)/g, ''))
+                : new RegExp(pattern, 'i');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Show whether a row's sample value matches its pattern
+     */
+    function updateRegexTester($row) {
+        const pattern = $row.find('.regex-pattern').val() || '';
+        const sample = $row.find('.regex-sample').val() || '';
+        const $result = $row.find('.regex-result');
+        const regex = pattern ? toRegExp(pattern) : null;
+
+        $result.removeClass('is-match is-no-match is-invalid');
+
+        if (pattern && !regex) {
+            $result.addClass('is-invalid').text(i18n.regexInvalid || 'Invalid pattern');
+        } else if (!pattern || sample === '') {
+            $result.text('');
+        } else if (regex.test(sample)) {
+            $result.addClass('is-match').text(i18n.regexMatch || 'Matches');
+        } else {
+            $result.addClass('is-no-match').text(i18n.regexNoMatch || 'No match');
+        }
+    }
+
+    /**
+     * Initialize the pattern tester on regex rows
+     */
+    function initRegexTester($builder) {
+        $builder.on('input', '.regex-pattern', function () {
+            updateRegexTester($(this).closest('.condition-row'));
+        });
+
+        // The sample isn't part of the rule, so keep it out of the summary, preview and history
+        $builder.on('input change focusout', '.regex-sample', function (e) {
+            e.stopPropagation();
+            updateRegexTester($(this).closest('.condition-row'));
+        });
+    }
+
+    /* Bulk editing
+     * ---------------------------------------------------------------------- */
+
+    const bulkCompactLimit = 100;
+    const bulkResultLimit = 20;
+    const bulkFileLimit = 2 * 1024 * 1024;
+
+    /**
+     * Get the values typed into a bulk field, leaving out value list references
+     */
+    function getBulkValues($field) {
+        return ($field.find('select[multiple]').val() || []).filter(function (val) {
+            return !isListReference(val);
+        });
+    }
+
+    /**
+     * Show how many values a bulk field holds
+     */
+    function updateBulkCount($field) {
+        const count = getBulkValues($field).length;
+
+        $field.find('.bulk-count')
+            .text(count ? (i18n.bulkCount || '%s values').replace('%s', count.toLocaleString()) : '')
+            .toggle(count > 0);
+    }
+
+    /**
+     * Split pasted or loaded text into values, dropping duplicates and
+     * collecting lines that fail the field's checks
+     */
+    function parseBulkValues(type, text) {
+        const result = {valid: [], invalid: [], duplicates: 0};
+        const seen = {};
+
+        text.split(/\r\n|\r|\n/).forEach(function (line, index) {
+            // Commas, semicolons and spaces separate values, as they do when typing
+            line.split(/[,;\s]+/).forEach(function (entry) {
+                // CSV exports may quote their cells
+                const value = $.trim(entry).replace(/^"(.*)"$/, '$1').trim();
+
+                if (value === '') return;
+
+                const key = value.toLowerCase();
+
+                if (seen[key]) {
+                    result.duplicates++;
+                    return;
+                }
+
+                const valid = !isListReference(value) && (
+                    type === 'ip' ? isValidIpPattern(value) : (type === 'email' ? isValidEmailPattern(value) : true)
+                );
+
+                if (!valid) {
+                    result.invalid.push({line: index + 1, value: value});
+                    return;
+                }
+
+                seen[key] = true;
+                result.valid.push(value);
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Replace a bulk field's typed values with the editor's valid values
+     *
+     * Selected value lists are kept. Select2 is rebuilt (or dropped for
+     * very long lists) once, rather than once per value.
+     */
+    function applyBulkValues($field) {
+        const $select = $field.find('select[multiple]');
+        const result = parseBulkValues($field.attr('data-bulk-type'), $field.find('.bulk-values').val());
+
+        if ($select.hasClass('select2-hidden-accessible')) {
+            $select.select2('destroy');
+        }
+
+        $select.find('option').filter(function () {
+            return !isListReference(this.value);
+        }).remove();
+
+        $select.append(result.valid.map(function (value) {
+            return '<option value="' + escapeHtml(value) + '" selected>' + escapeHtml(value) + '</option>';
+        }).join(''));
+
+        $field.toggleClass('is-compact', result.valid.length > bulkCompactLimit);
+        initSelect2($select);
+        updateBulkCount($field);
+        renderBulkResults($field, result);
+
+        if (!result.invalid.length) {
+            $field.find('.bulk-editor').prop('hidden', true);
+        }
+
+        $select.trigger('change');
+    }
+
+    /**
+     * Report how many values were kept, merged and rejected, line by line
+     */
+    function renderBulkResults($field, result) {
+        const $results = $field.find('.bulk-results').empty();
+
+        $('<p></p>').text(
+            (i18n.bulkResult || '%1$s values kept, %2$s duplicates removed, %3$s invalid.')
+                .replace('%1$s', result.valid.length.toLocaleString())
+                .replace('%2$s', result.duplicates.toLocaleString())
+                .replace('%3$s', result.invalid.length.toLocaleString())
+        ).appendTo($results);
+
+        if (!result.invalid.length) return;
+
+        const $list = $('<ul class="bulk-invalid"></ul>').appendTo($results);
+
+        result.invalid.slice(0, bulkResultLimit).forEach(function (item) {
+            $('<li></li>').text(
+                (i18n.bulkInvalidLine || 'Line %1$s: %2$s').replace('%1$s', item.line).replace('%2$s', item.value)
+            ).appendTo($list);
+        });
+
+        if (result.invalid.length > bulkResultLimit) {
+            $('<li></li>').text(
+                (i18n.bulkMore || 'and %s more').replace('%s', (result.invalid.length - bulkResultLimit).toLocaleString())
+            ).appendTo($list);
+        }
+    }
+
+    /**
+     * Add a .txt or .csv file's contents to a bulk editor
+     */
+    function loadBulkFile($field, file) {
+        const $textarea = $field.find('.bulk-values');
+
+        if (file.size > bulkFileLimit) {
+            $field.find('.bulk-results').empty().append(
+                $('<p class="bulk-error"></p>').text(i18n.bulkFileSize || 'Files must be smaller than 2 MB.')
+            );
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = function () {
+            const current = $textarea.val();
+            $textarea.val(current + (current && !/\n$/.test(current) ? '\n' : '') + reader.result);
+        };
+
+        reader.onerror = function () {
+            $field.find('.bulk-results').empty().append(
+                $('<p class="bulk-error"></p>').text(i18n.bulkFileError || 'Could not read the file.')
+            );
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Open, fill and apply bulk editors
+     */
+    function initBulkEditing($builder) {
+        $builder.on('click', '.bulk-edit', function (e) {
+            e.preventDefault();
+            const $field = $(this).closest('.conditions-bulk-field');
+
+            $field.find('.bulk-values').val(getBulkValues($field).join('\n'));
+            $field.find('.bulk-results').empty();
+            $field.find('.bulk-editor').prop('hidden', false).find('.bulk-values').trigger('focus');
+        });
+
+        $builder.on('click', '.bulk-cancel', function (e) {
+            e.preventDefault();
+            const $field = $(this).closest('.conditions-bulk-field');
+
+            $field.find('.bulk-editor').prop('hidden', true);
+            $field.find('.bulk-results').empty();
+        });
+
+        $builder.on('click', '.bulk-apply', function (e) {
+            e.preventDefault();
+            applyBulkValues($(this).closest('.conditions-bulk-field'));
+        });
+
+        $builder.on('click', '.bulk-upload', function (e) {
+            e.preventDefault();
+            $(this).siblings('.bulk-file').trigger('click');
+        });
+
+        // The editor isn't part of the rule until applied, so keep it out of the summary, preview and history
+        $builder.on('input change focusout', '.bulk-values, .bulk-file', function (e) {
+            e.stopPropagation();
+
+            if (e.type === 'change' && this.files && this.files[0]) {
+                loadBulkFile($(this).closest('.conditions-bulk-field'), this.files[0]);
+                this.value = '';
+            }
+        });
+
+        // Keep the count in step with values added or removed one at a time
+        $builder.on('change', '.conditions-bulk-field select', function () {
+            updateBulkCount($(this).closest('.conditions-bulk-field'));
+        });
+    }
+
+    /* Public API
+     * ---------------------------------------------------------------------- */
+
+    /**
+     * Register a field type for conditions with a custom 'type'
+     *
+     * handlers.render(name, condition, value, operator) returns the field HTML.
+     * `name` is unique to the rule; fields aren't posted, as the rule is saved
+     * from the builder's JSON payload using getValue().
+     * Optional: init($wrapper, condition, value) after insertion,
+     * getValue($wrapper, condition) for preview, export, duplicate and undo,
+     * destroy($wrapper) before the field is removed or replaced.
+     */
+    function registerFieldType(type, handlers) {
+        if (!type || !handlers || typeof handlers.render !== 'function') {
+            throw new Error('ConditionsBuilder.registerFieldType() needs a type and a render function.');
+        }
+
+        fieldTypes[type] = handlers;
+    }
+
+    window.ConditionsBuilder = {
+        registerFieldType: registerFieldType,
+        getRowValue: getRowValue,
+
+        // For builders inserted after page load
+        init: function (element) {
+            initBuilder($(element).closest('.conditions-builder'));
+        }
+    };
+
     // Initialize on document ready
     $(document).ready(init);
 
@@ -0,0 +1,101 @@
+/**
+ * Rules List Ordering
+ *
+ * Drag ordering of rules on the list screen, saved as their priority.
+ *
+ * @package ArrayPress\Conditions
+ */
+
+(function ($) {
+    'use strict';
+
+    // Configuration from PHP
+    const config = window.conditionsOrderData || {};
+    const i18n = config.i18n || {};
+
+    /**
+     * Show a notice above the list table
+     */
+    function showNotice(message, type) {
+        $('.conditions-order-notice').remove();
+
+        const $notice = $('<div class="notice is-dismissible conditions-order-notice"><p></p></div>')
+            .addClass('notice-' + type);
+
+        $notice.find('p').text(message);
+        $('.wp-header-end').after($notice);
+    }
+
+    /**
+     * Get the post IDs of the rows, in their current order
+     */
+    function getIds($list) {
+        return $list.children('tr').map(function () {
+            return parseInt(String(this.id).replace('post-', ''), 10) || 0;
+        }).get().filter(Boolean);
+    }
+
+    /**
+     * Save the new order and update the priority shown on each row
+     */
+    function saveOrder($list) {
+        const ids = getIds($list);
+
+        $list.sortable('disable');
+
+        $.ajax({
+            url: config.restUrl + '/order',
+            method: 'POST',
+            contentType: 'application/json',
+            data: JSON.stringify({
+                set_id: config.setId,
+                ids: ids
+            }),
+            headers: {'X-WP-Nonce': config.nonce}
+        }).done(function (result) {
+            const order = (result && result.order) || {};
+
+            $.each(order, function (id, priority) {
+                $('#post-' + id).find('.conditions-priority').text(priority);
+            });
+
+            showNotice(i18n.saved || 'Rule order saved.', 'success');
+        }).fail(function () {
+            $list.sortable('cancel');
+            showNotice(i18n.error || 'Could not save the rule order.', 'error');
+        }).always(function () {
+            $list.sortable('enable');
+        });
+    }
+
+    $(function () {
+        const $list = $('#the-list');
+
+        if (!config.sortable || !$list.length || $list.children('tr').length < 2) {
+            $('.conditions-order-handle').remove();
+            return;
+        }
+
+        $list.addClass('conditions-sortable').sortable({
+            items: '> tr',
+            handle: '.conditions-order-handle',
+            axis: 'y',
+            cursor: 'move',
+            helper: function (e, $row) {
+                // Keep cell widths while dragging
+                $row.children().each(function () {
+                    $(this).width($(this).width());
+                });
+
+                return $row;
+            },
+            stop: function (e, ui) {
+                ui.item.children().css('width', '');
+            },
+            update: function () {
+                saveOrder($list);
+            }
+        });
+    });
+
+})(jQuery);
\ No newline at end of file
@@ -96,6 +96,23 @@ abstract class Condition {
 	 */
 	protected string|array|null $role = null;
 
+	/**
+	 * How expensive the compare value is to get: 'cheap', 'query' or 'remote'.
+	 *
+	 * Cheaper rules are evaluated first within a group.
+	 *
+	 * @var string
+	 */
+	protected string $cost = 'cheap';
+
+	/**
+	 * Whether options are searched through the REST API rather than sent
+	 * to the builder up front. Use for selects with thousands of options.
+	 *
+	 * @var bool
+	 */
+	protected bool $lazy_options = false;
+
 	/**
 	 * Get the condition name/identifier.
 	 *
@@ -150,6 +167,15 @@ abstract class Condition {
 		return $this->required_args;
 	}
 
+	/**
+	 * Get the cost of getting the compare value.
+	 *
+	 * @return string 'cheap', 'query' or 'remote'.
+	 */
+	public function get_cost(): string {
+		return $this->cost;
+	}
+
 	/**
 	 * Get the operators available for this condition.
 	 *
@@ -253,12 +279,14 @@ abstract class Condition {
 			'multiple'      => $this->is_multiple(),
 			'required_args' => $this->get_required_args(),
 			'operators'     => $this->get_operators(),
-			'options'       => $this->get_options(),
+			'options'       => $this->lazy_options ? [ $this, 'get_options' ] : $this->get_options(),
+			'lazy_options'  => $this->lazy_options,
 			'units'         => $this->get_units(),
 			'post_type'     => $this->post_type,
 			'taxonomy'      => $this->taxonomy,
 			'role'          => $this->role,
 			'arg'           => $this->arg,
+			'cost'          => $this->get_cost(),
 			'instance'      => $this,
 		];
 	}
@@ -15,7 +15,10 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Admin;
 
+use ArrayPress\Conditions\Helpers\Regex;
+use ArrayPress\Conditions\Helpers\ValueLists;
 use ArrayPress\Conditions\Operators;
+use ArrayPress\Conditions\Options\Periods;
 use ArrayPress\Conditions\Registry;
 
 /**
@@ -32,6 +35,13 @@ class Assets {
 	 */
 	private array $set_ids = [];
 
+	/**
+	 * Set IDs whose conditions have been passed to JavaScript.
+	 *
+	 * @var string[]
+	 */
+	private array $localized_sets = [];
+
 	/**
 	 * Constructor.
 	 *
@@ -78,6 +88,12 @@ class Assets {
 			return;
 		}
 
+		if ( $hook === 'edit.php' ) {
+			$this->enqueue_rules_order( $post_type );
+
+			return;
+		}
+
 		if ( ! in_array( $hook, [ 'post.php', 'post-new.php' ], true ) ) {
 			return;
 		}
@@ -86,6 +102,41 @@ class Assets {
 		$this->enqueue_conditions_ui( $post_type );
 	}
 
+	/**
+	 * Enqueue assets for a builder rendered on any admin screen.
+	 *
+	 * Safe to call once per builder: the first call enqueues everything,
+	 * later calls only add the conditions of sets not yet on the page.
+	 *
+	 * @param string $set_id The condition set ID.
+	 *
+	 * @return void
+	 */
+	public function enqueue_builder( string $set_id ): void {
+		if ( in_array( $set_id, $this->localized_sets, true ) ) {
+			return;
+		}
+
+		if ( ! wp_script_is( 'conditions-admin' ) ) {
+			$this->enqueue_select2();
+			$this->enqueue_conditions_ui( $set_id );
+
+			return;
+		}
+
+		wp_add_inline_script(
+			'conditions-admin',
+			sprintf(
+				'conditionsData.sets[%s] = %s;',
+				wp_json_encode( $set_id ),
+				wp_json_encode( Registry::get_conditions( $set_id ) )
+			),
+			'before'
+		);
+
+		$this->localized_sets[] = $set_id;
+	}
+
 	/**
 	 * Enqueue Select2 assets.
 	 *
@@ -113,11 +164,11 @@ class Assets {
 	/**
 	 * Enqueue conditions UI assets.
 	 *
-	 * @param string $post_type The current post type.
+	 * @param string $set_id The condition set ID.
 	 *
 	 * @return void
 	 */
-	private function enqueue_conditions_ui( string $post_type ): void {
+	private function enqueue_conditions_ui( string $set_id ): void {
 		wp_enqueue_composer_style(
 			'conditions-admin',
 			__FILE__,
@@ -130,38 +181,99 @@ class Assets {
 			'conditions-admin',
 			__FILE__,
 			'js/conditions.js',
-			[ 'jquery', 'conditions-select2', 'wp-util' ],
+			[ 'jquery', 'jquery-ui-sortable', 'conditions-select2', 'wp-util' ],
 			'1.0.0',
 			true
 		);
 
 		// Localize script
-		wp_localize_script( 'conditions-admin', 'conditionsData', $this->get_localized_data( $post_type ) );
+		wp_localize_script( 'conditions-admin', 'conditionsData', $this->get_localized_data( $set_id ) );
+
+		$this->localized_sets[] = $set_id;
+	}
+
+	/**
+	 * Enqueue drag ordering for the rules list screen.
+	 *
+	 * Dragging is only offered while the list shows rules in priority order,
+	 * i.e. not sorted by another column or searched.
+	 *
+	 * @param string $set_id The condition set ID.
+	 *
+	 * @return void
+	 */
+	private function enqueue_rules_order( string $set_id ): void {
+		wp_enqueue_composer_style(
+			'conditions-rules-order',
+			__FILE__,
+			'css/rules-order.css',
+			[],
+			'1.0.0'
+		);
+
+		wp_enqueue_composer_script(
+			'conditions-rules-order',
+			__FILE__,
+			'js/rules-order.js',
+			[ 'jquery', 'jquery-ui-sortable' ],
+			'1.0.0',
+			true
+		);
+
+		wp_localize_script( 'conditions-rules-order', 'conditionsOrderData', [
+			'restUrl'  => rest_url( 'conditions/v1' ),
+			'nonce'    => wp_create_nonce( 'wp_rest' ),
+			'setId'    => $set_id,
+			'sortable' => empty( $_GET['orderby'] ) && empty( $_GET['s'] ),
+			'i18n'     => [
+				'saved' => __( 'Rule order saved.', 'arraypress' ),
+				'error' => __( 'Could not save the rule order.', 'arraypress' ),
+			],
+		] );
 	}
 
 	/**
 	 * Get localized data for JavaScript.
 	 *
-	 * @param string $post_type The current post type.
+	 * @param string $set_id The condition set ID.
 	 *
 	 * @return array
 	 */
-	private function get_localized_data( string $post_type ): array {
+	private function get_localized_data( string $set_id ): array {
+		$conditions = Registry::get_conditions( $set_id );
+
 		$data = [
-			'conditions' => Registry::get_conditions( $post_type ),
-			'operators'  => Operators::get_all(),
-			'restUrl'    => rest_url( 'conditions/v1' ),
-			'nonce'      => wp_create_nonce( 'wp_rest' ),
-			'i18n'       => $this->get_i18n_strings(),
+			'sets'           => [ $set_id => $conditions ],
+			'conditions'     => $conditions,
+			'operators'      => Operators::get_all(),
+			'restUrl'        => rest_url( 'conditions/v1' ),
+			'nonce'          => wp_create_nonce( 'wp_rest' ),
+			'maxDepth'       => Sanitizer::MAX_DEPTH,
+			'periods'        => Periods::get_age_units(),
+			'regexMaxLength' => Regex::MAX_LENGTH,
+			'valueLists'     => ValueLists::get_options(),
+			'i18n'           => $this->get_i18n_strings(),
 		];
 
 		/**
 		 * Filter the localized data passed to JavaScript.
 		 *
-		 * @param array  $data      The localized data.
-		 * @param string $post_type The current post type.
+		 * The 'conditions' key is a deprecated alias for $data['sets'][ $set_id ],
+		 * kept so filters written before multiple builders still work.
+		 *
+		 * @param array  $data   The localized data.
+		 * @param string $set_id The condition set ID.
 		 */
-		return apply_filters( 'conditions_localized_data', $data, $post_type );
+		$data = apply_filters( 'conditions_localized_data', $data, $set_id );
+
+		// Carry changes made through the deprecated alias over to the set
+		if ( isset( $data['conditions'] ) && $data['conditions'] !== $conditions ) {
+			$data['sets'][ $set_id ] = $data['conditions'];
+		}
+
+		$data['conditions'] = $data['sets'][ $set_id ] ?? [];
+
+		return $data;
 	}
 
 	/**
@@ -182,11 +294,91 @@ class Assets {
 			'or'              => __( 'OR', 'arraypress' ),
 			'duplicate'       => __( 'Duplicate', 'arraypress' ),
 			'delete'          => __( 'Delete', 'arraypress' ),
+			'disable'         => __( 'Disable', 'arraypress' ),
+			'enable'          => __( 'Enable', 'arraypress' ),
 			'matchAll'        => __( 'Match all of the following rules', 'arraypress' ),
 			'orMatchAll'      => __( 'Or match all of the following rules', 'arraypress' ),
 			'noResults'       => __( 'No results found', 'arraypress' ),
 			'loading'         => __( 'Loading...', 'arraypress' ),
 			'errorLoading'    => __( 'Error loading results', 'arraypress' ),
+			'previewMatch'    => __( 'These rules would match.', 'arraypress' ),
+			'previewNoMatch'  => __( 'These rules would not match.', 'arraypress' ),
+			'groupMatched'    => __( 'Matches', 'arraypress' ),
+			'groupUnmatched'  => __( 'No match', 'arraypress' ),
+			'previewPass'     => __( 'Passed', 'arraypress' ),
+			'previewFail'     => __( 'Failed', 'arraypress' ),
+			'previewSkip'     => __( 'Skipped (missing arguments)', 'arraypress' ),
+			'previewOff'      => __( 'Disabled', 'arraypress' ),
+			/* translators: %s: resolved value */
+			'explainValue'    => __( 'resolved value %s', 'arraypress' ),
+			/* translators: %s: argument names */
+			'explainMissing'  => __( 'missing arguments %s', 'arraypress' ),
+			'explainUnknown'  => __( 'the rule is incomplete or its condition no longer exists', 'arraypress' ),
+			'explainInvalid'  => __( 'its operator or value is not valid, so it always fails', 'arraypress' ),
+			'explainEmpty'    => __( '(empty)', 'arraypress' ),
+			'previewError'    => __( 'Could not run the preview.', 'arraypress' ),
+			/* translators: %s: value list name */
+			'useList'         => __( 'Use list: %s', 'arraypress' ),
+			'missingList'     => __( 'Missing list', 'arraypress' ),
+			'costQuery'       => __( 'Query', 'arraypress' ),
+			'costQueryTip'    => __( 'Runs a database query when checked.', 'arraypress' ),
+			'costRemote'      => __( 'Remote', 'arraypress' ),
+			'costRemoteTip'   => __( 'Calls an external service when checked.', 'arraypress' ),
+			'errorCondition'  => __( 'Select a condition.', 'arraypress' ),
+			'errorOperator'   => __( 'Select an operator.', 'arraypress' ),
+			'errorRequired'   => __( 'Enter a value.', 'arraypress' ),
+			'errorNumber'     => __( 'Enter a number.', 'arraypress' ),
+			/* translators: %s: minimum value */
+			'errorMin'        => __( 'Must be at least %s.', 'arraypress' ),
+			/* translators: %s: maximum value */
+			'errorMax'        => __( 'Must be no more than %s.', 'arraypress' ),
+			/* translators: %s: step size */
+			'errorStep'       => __( 'Must be in steps of %s.', 'arraypress' ),
+			'errorDate'       => __( 'Enter a valid date.', 'arraypress' ),
+			'errorTime'       => __( 'Enter a valid time.', 'arraypress' ),
+			/* translators: %s: invalid IP patterns */
+			'errorIp'         => __( 'Invalid IP address or range: %s', 'arraypress' ),
+			/* translators: %s: invalid email patterns */
+			'errorEmail'      => __( 'Invalid email pattern: %s', 'arraypress' ),
+			'errorRange'      => __( 'The first value must not be after the second.', 'arraypress' ),
+			'rangeAnd'        => __( 'and', 'arraypress' ),
+			'errorRegex'      => __( 'Enter a valid regular expression.', 'arraypress' ),
+			/* translators: %d: maximum pattern length */
+			'errorRegexLen'   => __( 'Patterns must be no longer than %d characters.', 'arraypress' ),
+			'regexPattern'    => __( 'e.g. ^Mozilla.*Firefox', 'arraypress' ),
+			'regexSample'     => __( 'Test a sample value...', 'arraypress' ),
+			'regexMatch'      => __( 'Matches', 'arraypress' ),
+			'regexNoMatch'    => __( 'No match', 'arraypress' ),
+			'regexInvalid'    => __( 'Invalid pattern', 'arraypress' ),
+			'bulkEdit'        => __( 'Bulk edit', 'arraypress' ),
+			'bulkPlaceholder' => __( 'One value per line, or separated by commas.', 'arraypress' ),
+			'bulkApply'       => __( 'Apply', 'arraypress' ),
+			'bulkUpload'      => __( 'Load .txt or .csv file', 'arraypress' ),
+			'bulkCancel'      => __( 'Cancel', 'arraypress' ),
+			/* translators: %s: number of values */
+			'bulkCount'       => __( '%s values', 'arraypress' ),
+			/* translators: 1: values kept, 2: duplicates removed, 3: invalid values */
+			'bulkResult'      => __( '%1$s values kept, %2$s duplicates removed, %3$s invalid.', 'arraypress' ),
+			/* translators: 1: line number, 2: invalid value */
+			'bulkInvalidLine' => __( 'Line %1$s: %2$s', 'arraypress' ),
+			/* translators: %s: number of further invalid values */
+			'bulkMore'        => __( 'and %s more', 'arraypress' ),
+			'bulkFileSize'    => __( 'Files must be smaller than 2 MB.', 'arraypress' ),
+			'bulkFileError'   => __( 'Could not read the file.', 'arraypress' ),
+			'errorSummary'    => __( 'Some rules are incomplete or invalid. Fix the highlighted rules before saving.', 'arraypress' ),
+			'summaryEmpty'    => __( 'No rules yet.', 'arraypress' ),
+			'groupDeleted'    => __( 'Group deleted.', 'arraypress' ),
+			'undo'            => __( 'Undo', 'arraypress' ),
+			'exportError'     => __( 'Could not export the rules.', 'arraypress' ),
+			'importError'     => __( 'Could not import the rules.', 'arraypress' ),
+			'importInvalid'   => __( 'This file is not a conditions export.', 'arraypress' ),
+			'importConfirm'   => __( 'Replace the current rules with the imported rules?', 'arraypress' ),
+			'importDone'      => __( 'Rules imported. Review them and save to apply.', 'arraypress' ),
+			'importPartial'   => __( 'Rules imported with problems. Review them before saving.', 'arraypress' ),
+			/* translators: %s: condition ID */
+			'importUnknown'   => __( 'Unknown condition "%s" was skipped.', 'arraypress' ),
+			/* translators: 1: object type, 2: object ID, 3: object slug, 4: condition ID */
+			'importMissing'   => __( 'No %1$s found for ID %2$s (%3$s) in "%4$s".', 'arraypress' ),
 		];
 
 		/**
@@ -15,6 +15,11 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Admin;
 
+use ArrayPress\Conditions\Compiler;
+use ArrayPress\Conditions\Helpers\Schedule;
+use ArrayPress\Conditions\Helpers\ValueLists;
+use ArrayPress\Conditions\Matcher;
+use ArrayPress\Conditions\Registration\MetaBox;
 use ArrayPress\Conditions\Registry;
 use WP_Post;
 
@@ -25,6 +30,20 @@ use WP_Post;
  */
 class MetaBoxRenderer {
 
+    /**
+     * Builder IDs used on the current page.
+     *
+     * @var string[]
+     */
+    private static array $builder_ids = [];
+
+    /**
+     * Whether the JavaScript templates have been printed.
+     *
+     * @var bool
+     */
+    private static bool $templates_rendered = false;
+
     /**
      * Render the meta box.
      *
@@ -34,52 +53,457 @@ class MetaBoxRenderer {
      * @return void
      */
     public static function render( WP_Post $post, array $metabox ): void {
-        $set_id      = $metabox['args']['set_id'] ?? '';
-        $conditions  = Registry::get_conditions( $set_id );
-        $saved       = get_post_meta( $post->ID, '_conditions', true );
-        $config      = Registry::get_set( $set_id );
-        $description = $config['description'] ?? '';
-
-        if ( empty( $saved ) || ! is_array( $saved ) ) {
-            $saved = [];
-        }
+        $set_id = $metabox['args']['set_id'] ?? '';
+        $saved  = get_post_meta( $post->ID, '_conditions', true );
 
         // Nonce for security
         wp_nonce_field( 'save_conditions', 'conditions_nonce' );
+
+        self::render_payload_error( $post->ID );
+
+        if ( is_array( $saved ) && ! empty( $saved ) ) {
+            // Viewing a rule never stores a plan; the Matcher does that on first use
+            $plan = Compiler::get_stored_plan( $post->ID, $set_id ) ?? Compiler::compile( $set_id, $saved );
+
+            self::render_compile_errors( $plan['errors'] );
+            self::render_lint_warnings( $plan['warnings'] ?? [] );
+        }
+
+        self::render_builder( $set_id, is_array( $saved ) ? $saved : [] );
+    }
+
+    /**
+     * Render a notice when the last save's rules payload was rejected.
+     *
+     * @param int $post_id The rule post ID.
+     *
+     * @return void
+     */
+    private static function render_payload_error( int $post_id ): void {
+        $message = get_transient( MetaBox::get_payload_error_key( $post_id ) );
+
+        if ( ! is_string( $message ) || $message === '' ) {
+            return;
+        }
+
+        delete_transient( MetaBox::get_payload_error_key( $post_id ) );
+        ?>
+        <div class="notice notice-error inline conditions-payload-error">
+            <p>
+                <?php esc_html_e( 'Your condition changes were not saved because the submitted rules could not be read. The rules below are the last saved version; other settings were saved.', 'arraypress' ); ?>
+                <?php echo esc_html( $message ); ?>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a notice listing saved rules that couldn't be compiled.
+     *
+     * @param array $errors Compile errors from the rule's plan.
+     *
+     * @return void
+     */
+    private static function render_compile_errors( array $errors ): void {
+        if ( empty( $errors ) ) {
+            return;
+        }
+        ?>
+        <div class="notice notice-warning inline conditions-compile-errors">
+            <p><?php esc_html_e( 'Some rules could not be compiled. Rules whose condition is missing are ignored when matching, and invalid rules always fail:', 'arraypress' ); ?></p>
+            <ul>
+                <?php foreach ( $errors as $error ) : ?>
+                    <li><?php echo esc_html( $error['message'] ?? '' ); ?></li>
+                <?php endforeach; ?>
+            </ul>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a notice listing lint warnings for the saved rules.
+     *
+     * @param array $warnings Lint warnings from the rule's plan.
+     *
+     * @return void
+     */
+    private static function render_lint_warnings( array $warnings ): void {
+        if ( empty( $warnings ) ) {
+            return;
+        }
+        ?>
+        <div class="notice notice-warning inline conditions-lint-warnings">
+            <p><?php esc_html_e( 'Some rules may not work as intended:', 'arraypress' ); ?></p>
+            <ul>
+                <?php foreach ( $warnings as $warning ) : ?>
+                    <li><?php echo esc_html( $warning['message'] ?? '' ); ?></li>
+                <?php endforeach; ?>
+            </ul>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the schedule meta box.
+     *
+     * @param WP_Post $post The post object.
+     *
+     * @return void
+     */
+    public static function render_schedule( WP_Post $post ): void {
+        $window = Schedule::get_window( $post->ID );
+        $status = Schedule::get_status( $post->ID );
         ?>
-        <div class="conditions-builder" data-set-id="<?php echo esc_attr( $set_id ); ?>">
-            <?php if ( ! empty( $description ) ) : ?>
+        <div class="conditions-schedule">
+            <p>
+                <label for="conditions-active-from"><?php esc_html_e( 'Active from', 'arraypress' ); ?></label>
+                <input type="datetime-local" id="conditions-active-from" class="widefat"
+                       name="conditions_active_from"
+                       value="<?php echo esc_attr( Schedule::to_local( $window['from'] ) ); ?>">
+            </p>
+
+            <p>
+                <label for="conditions-active-until"><?php esc_html_e( 'Active until', 'arraypress' ); ?></label>
+                <input type="datetime-local" id="conditions-active-until" class="widefat"
+                       name="conditions_active_until"
+                       value="<?php echo esc_attr( Schedule::to_local( $window['until'] ) ); ?>">
+            </p>
+
+            <p class="description">
+                <?php
+                printf(
+                    /* translators: %s: site timezone */
+                    esc_html__( 'Times are in the site timezone (%s). Leave empty for no limit.', 'arraypress' ),
+                    esc_html( wp_timezone_string() )
+                );
+                ?>
+            </p>
+
+            <p class="conditions-schedule-status is-<?php echo esc_attr( $status ); ?>">
+                <?php esc_html_e( 'Status:', 'arraypress' ); ?>
+                <strong><?php echo esc_html( Schedule::get_status_label( $status ) ); ?></strong>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the processing meta box: the rule's priority and whether a
+     * match stops lower-priority rules from being checked.
+     *
+     * @param WP_Post $post The post object.
+     *
+     * @return void
+     */
+    public static function render_processing( WP_Post $post ): void {
+        $stop = (bool) get_post_meta( $post->ID, Matcher::STOP_PROCESSING_KEY, true );
+        ?>
+        <div class="conditions-processing">
+            <p>
+                <label for="conditions-priority"><?php esc_html_e( 'Priority', 'arraypress' ); ?></label>
+                <input type="number" id="conditions-priority" class="small-text"
+                       name="menu_order" step="1"
+                       value="<?php echo esc_attr( (string) $post->menu_order ); ?>">
+            </p>
+
+            <p class="description">
+                <?php esc_html_e( 'Lower numbers are checked first. Rules can also be dragged into order on the list screen.', 'arraypress' ); ?>
+            </p>
+
+            <p>
+                <label>
+                    <input type="checkbox" name="conditions_stop_processing" value="1" <?php checked( $stop ); ?>>
+                    <?php esc_html_e( 'Stop processing further rules when this rule matches', 'arraypress' ); ?>
+                </label>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the values meta box of a value list.
+     *
+     * @param WP_Post $post The post object.
+     *
+     * @return void
+     */
+    public static function render_value_list( WP_Post $post ): void {
+        $type   = (string) get_post_meta( $post->ID, ValueLists::TYPE_KEY, true );
+        $values = (array) get_post_meta( $post->ID, ValueLists::VALUES_KEY, true );
+
+        wp_nonce_field( 'save_conditions_list', 'conditions_list_nonce' );
+        ?>
+        <div class="conditions-value-list">
+            <p>
+                <label for="conditions-list-type"><?php esc_html_e( 'Type', 'arraypress' ); ?></label><br>
+                <select id="conditions-list-type" name="conditions_list_type">
+                    <?php foreach ( ValueLists::get_types() as $value => $label ) : ?>
+                        <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $type, $value ); ?>>
+                            <?php echo esc_html( $label ); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </p>
+
+            <p>
+                <label for="conditions-list-values"><?php esc_html_e( 'Values', 'arraypress' ); ?></label>
+                <textarea id="conditions-list-values" class="widefat code" rows="12"
+                          name="conditions_list_values"><?php echo esc_textarea( implode( "\n", $values ) ); ?></textarea>
+            </p>
+
+            <p class="description">
+                <?php esc_html_e( 'One value per line. Invalid IPs and email patterns are removed on save. IP lists are used by IP address rules, email lists by email rules and text lists by tags rules, in every condition set.', 'arraypress' ); ?>
+            </p>
+
+            <?php if ( $post->post_status === 'publish' ) : ?>
+                <p class="description">
+                    <?php
+                    printf(
+                        /* translators: %d: number of values */
+                        esc_html( _n( '%d value. Changes apply to every rule using this list.', '%d values. Changes apply to every rule using this list.', count( $values ), 'arraypress' ) ),
+                        count( $values )
+                    );
+                    ?>
+                </p>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a conditions builder.
+     *
+     * Can be used on any admin screen, and more than once per screen. Each
+     * builder posts its groups under its own field name; saving them (with
+     * Sanitizer::sanitize_conditions()) is up to the caller outside the
+     * rule meta box.
+     *
+     * @param string $set_id The condition set ID.
+     * @param array  $saved  The saved condition groups.
+     * @param array  $args   {
+     *                       Optional. Builder arguments.
+     *
+     * @type string  $name        Form field name for the groups. Default '_conditions'.
+     * @type string  $id          HTML ID for the builder. Default generated from the set ID.
+     * @type string  $description Text shown above the builder. Default the set's description.
+     * @type bool    $preview     Whether to show the "test these rules" panel. Default true.
+     *                       }
+     *
+     * @return void
+     */
+    public static function render_builder( string $set_id, array $saved = [], array $args = [] ): void {
+        $config = Registry::get_set( $set_id );
+
+        if ( ! $config ) {
+            return;
+        }
+
+        $args = wp_parse_args( $args, [
+            'name'        => '_conditions',
+            'id'          => '',
+            'description' => $config['description'] ?? '',
+            'preview'     => true,
+        ] );
+
+        $conditions = Registry::get_conditions( $set_id );
+        $builder_id = self::get_builder_id( $args['id'] !== '' ? (string) $args['id'] : 'conditions-builder-' . $set_id );
+
+        Registry::get_assets_instance()?->enqueue_builder( $set_id );
+        ?>
+        <div class="conditions-builder" id="<?php echo esc_attr( $builder_id ); ?>"
+             data-set-id="<?php echo esc_attr( $set_id ); ?>"
+             data-name="<?php echo esc_attr( $args['name'] ); ?>">
+            <?php if ( ! empty( $args['description'] ) ) : ?>
                 <p class="description">
-                    <?php echo esc_html( $description ); ?>
+                    <?php echo esc_html( $args['description'] ); ?>
                 </p>
             <?php endif; ?>
 
-            <div class="condition-groups" data-conditions='<?php echo esc_attr( wp_json_encode( $saved ) ); ?>'>
-                <!-- Groups will be rendered by JavaScript -->
+            <?php self::render_summary( $set_id, $saved ); ?>
+
+            <input type="hidden" class="conditions-payload" name="<?php echo esc_attr( $args['name'] ); ?>" value="">
+
+            <div class="conditions-builder-layout">
+                <div class="conditions-builder-main">
+                    <div class="condition-groups" data-conditions='<?php echo esc_attr( wp_json_encode( $saved ) ); ?>'>
+                        <!-- Groups will be rendered by JavaScript -->
+                    </div>
+
+                    <div class="conditions-builder-actions">
+                        <button type="button" class="button add-group">
+                            <?php esc_html_e( '+ Add "OR" Group', 'arraypress' ); ?>
+                        </button>
+
+                        <div class="conditions-history">
+                            <button type="button" class="button-link undo-conditions" disabled
+                                    title="<?php esc_attr_e( 'Undo (Ctrl+Z)', 'arraypress' ); ?>">
+                                <span class="dashicons dashicons-undo"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Undo', 'arraypress' ); ?></span>
+                            </button>
+                            <button type="button" class="button-link redo-conditions" disabled
+                                    title="<?php esc_attr_e( 'Redo (Ctrl+Shift+Z)', 'arraypress' ); ?>">
+                                <span class="dashicons dashicons-redo"></span>
+                                <span class="screen-reader-text"><?php esc_html_e( 'Redo', 'arraypress' ); ?></span>
+                            </button>
+                        </div>
+
+                        <div class="conditions-transfer">
+                            <button type="button" class="button-link export-conditions">
+                                <?php esc_html_e( 'Export', 'arraypress' ); ?>
+                            </button>
+                            <button type="button" class="button-link import-conditions">
+                                <?php esc_html_e( 'Import', 'arraypress' ); ?>
+                            </button>
+                            <input type="file" class="conditions-import-file" accept=".json,application/json" hidden>
+                        </div>
+                    </div>
+
+                    <div class="conditions-builder-notice" aria-live="polite"></div>
+                </div>
+
+                <?php if ( $args['preview'] ) : ?>
+                    <?php self::render_preview_panel( $builder_id, $conditions ); ?>
+                <?php endif; ?>
             </div>
+        </div>
 
-            <button type="button" class="button add-group">
-                <?php esc_html_e( '+ Add "OR" Group', 'arraypress' ); ?>
-            </button>
+        <?php self::render_templates(); ?>
+        <?php
+    }
+
+    /**
+     * Get a builder ID that is unique on the page.
+     *
+     * @param string $id The requested ID.
+     *
+     * @return string
+     */
+    private static function get_builder_id( string $id ): string {
+        $base   = sanitize_html_class( $id );
+        $id     = $base;
+        $suffix = 2;
+
+        while ( in_array( $id, self::$builder_ids, true ) ) {
+            $id = $base . '-' . $suffix++;
+        }
+
+        self::$builder_ids[] = $id;
+
+        return $id;
+    }
+
+    /**
+     * Render the plain-language summary of the rules.
+     *
+     * Rendered from the saved rules, then kept up to date by the builder.
+     *
+     * @param string $set_id The condition set ID.
+     * @param array  $saved  The saved condition groups.
+     *
+     * @return void
+     */
+    private static function render_summary( string $set_id, array $saved ): void {
+        $summary = Summary::describe( $set_id, $saved );
+        ?>
+        <div class="conditions-summary">
+            <span class="conditions-summary-label"><?php esc_html_e( 'Summary:', 'arraypress' ); ?></span>
+            <span class="conditions-summary-text" aria-live="polite">
+                <?php echo esc_html( $summary !== '' ? $summary : __( 'No rules yet.', 'arraypress' ) ); ?>
+            </span>
         </div>
+        <?php
+    }
+
+    /**
+     * Render the "test these rules" preview panel.
+     *
+     * @param string $builder_id The builder's HTML ID.
+     * @param array  $conditions The conditions array.
+     *
+     * @return void
+     */
+    private static function render_preview_panel( string $builder_id, array $conditions ): void {
+        $list_id = $builder_id . '-preview-args';
+        ?>
+        <div class="conditions-preview" data-args-list="<?php echo esc_attr( $list_id ); ?>">
+            <div class="conditions-preview-header">
+                <span class="conditions-preview-title"><?php esc_html_e( 'Test these rules', 'arraypress' ); ?></span>
+            </div>
+
+            <p class="description">
+                <?php esc_html_e( 'Enter sample arguments to see which groups and rules would match. Results update as you edit.', 'arraypress' ); ?>
+            </p>
+
+            <div class="preview-args">
+                <!-- Argument rows will be rendered by JavaScript -->
+            </div>
+
+            <button type="button" class="button-link add-preview-arg">
+                <?php esc_html_e( '+ Add argument', 'arraypress' ); ?>
+            </button>
 
-        <?php self::render_templates( $conditions ); ?>
+            <label class="preview-explain-toggle">
+                <input type="checkbox" class="preview-explain">
+                <?php esc_html_e( 'Show resolved values next to each rule', 'arraypress' ); ?>
+            </label>
+
+            <div class="preview-summary" aria-live="polite"></div>
+
+            <datalist id="<?php echo esc_attr( $list_id ); ?>">
+                <?php foreach ( self::get_known_args( $conditions ) as $arg ) : ?>
+                    <option value="<?php echo esc_attr( $arg ); ?>"></option>
+                <?php endforeach; ?>
+            </datalist>
+        </div>
         <?php
     }
 
     /**
-     * Render JavaScript templates.
+     * Get the argument names referenced by a set's conditions.
      *
      * @param array $conditions The conditions array.
      *
+     * @return string[]
+     */
+    private static function get_known_args( array $conditions ): array {
+        $args = [];
+
+        foreach ( $conditions as $condition ) {
+            if ( ! empty( $condition['arg'] ) ) {
+                $args[] = $condition['arg'];
+            }
+
+            foreach ( (array) ( $condition['required_args'] ?? [] ) as $arg ) {
+                $args[] = $arg;
+            }
+        }
+
+        $args = array_unique( $args );
+        sort( $args );
+
+        return $args;
+    }
+
+    /**
+     * Render JavaScript templates.
+     *
+     * Shared by every builder on the page, so only printed once.
+     *
      * @return void
      */
-    private static function render_templates( array $conditions ): void {
+    private static function render_templates(): void {
+        if ( self::$templates_rendered ) {
+            return;
+        }
+
+        self::$templates_rendered = true;
         ?>
         <!-- Templates for JavaScript -->
         <script type="text/html" id="tmpl-condition-group">
-            <div class="condition-group" data-group-id="{{ data.id }}">
+            <div class="condition-group" data-group-id="{{ data.id }}" data-name="{{ data.name }}">
                 <div class="condition-group-header">
+                    <span class="group-drag-handle dashicons dashicons-move"
+                          title="<?php esc_attr_e( 'Drag to reorder', 'arraypress' ); ?>"></span>
                     <span class="group-label">
                         <# if ( data.index === 0 ) { #>
                             <?php esc_html_e( 'Match all of the following rules', 'arraypress' ); ?>
@@ -87,6 +511,13 @@ class MetaBoxRenderer {
                             <?php esc_html_e( 'Or match all of the following rules', 'arraypress' ); ?>
                         <# } #>
                     </span>
+                    <span class="preview-group-status"></span>
+                    <input type="hidden" class="item-disabled" value="">
+                    <button type="button" class="button-link toggle-item" aria-pressed="false"
+                            title="<?php esc_attr_e( 'Disable', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-visibility"></span>
+                        <span class="screen-reader-text"><?php esc_html_e( 'Disable', 'arraypress' ); ?></span>
+                    </button>
                     <div class="group-actions">
                         <a href="#" class="duplicate-group"><?php esc_html_e( 'Duplicate', 'arraypress' ); ?></a>
                         <a href="#" class="delete-group"><?php esc_html_e( 'Delete', 'arraypress' ); ?></a>
@@ -101,21 +532,64 @@ class MetaBoxRenderer {
                     <button type="button" class="button add-condition">
                         <?php esc_html_e( '+ Add Condition', 'arraypress' ); ?>
                     </button>
+                    <button type="button" class="button-link add-subgroup">
+                        <?php esc_html_e( '+ Add Subgroup', 'arraypress' ); ?>
+                    </button>
+                </div>
+            </div>
+        </script>
+
+        <script type="text/html" id="tmpl-condition-subgroup">
+            <div class="condition-subgroup" data-group-id="{{ data.id }}" data-name="{{ data.name }}">
+                <div class="condition-subgroup-header">
+                    <span class="condition-drag-handle dashicons dashicons-menu"
+                          title="<?php esc_attr_e( 'Drag to reorder', 'arraypress' ); ?>"></span>
+                    <select class="subgroup-match">
+                        <option value="all"><?php esc_html_e( 'All of (AND)', 'arraypress' ); ?></option>
+                        <option value="any" <# if ( data.match === 'any' ) { #>selected<# } #>>
+                            <?php esc_html_e( 'Any of (OR)', 'arraypress' ); ?>
+                        </option>
+                    </select>
+                    <span class="preview-status"></span>
+                    <input type="hidden" class="item-disabled" value="">
+                    <button type="button" class="button-link toggle-item" aria-pressed="false"
+                            title="<?php esc_attr_e( 'Disable', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-visibility"></span>
+                        <span class="screen-reader-text"><?php esc_html_e( 'Disable', 'arraypress' ); ?></span>
+                    </button>
+                    <button type="button" class="button-link remove-subgroup"
+                            title="<?php esc_attr_e( 'Remove', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-no-alt"></span>
+                    </button>
+                </div>
+
+                <div class="conditions-list">
+                    <!-- Rules and subgroups will be rendered here -->
+                </div>
+
+                <div class="conditions-list-footer">
+                    <button type="button" class="button-link add-condition">
+                        <?php esc_html_e( '+ Add Condition', 'arraypress' ); ?>
+                    </button>
+                    <button type="button" class="button-link add-subgroup">
+                        <?php esc_html_e( '+ Add Subgroup', 'arraypress' ); ?>
+                    </button>
                 </div>
             </div>
         </script>
 
         <script type="text/html" id="tmpl-condition-row">
-            <div class="condition-row" data-condition-id="{{ data.id }}">
+            <div class="condition-row" data-condition-id="{{ data.id }}" data-name="{{ data.name }}">
+                <span class="condition-drag-handle dashicons dashicons-menu"
+                      title="<?php esc_attr_e( 'Drag to reorder', 'arraypress' ); ?>"></span>
+
                 <div class="condition-fields">
-                    <select class="condition-select conditions-condition-select"
-                            name="_conditions[{{ data.groupId }}][rules][{{ data.id }}][condition]">
+                    <select class="condition-select conditions-condition-select">
                         <option value=""><?php esc_html_e( 'Select condition...', 'arraypress' ); ?></option>
-                        <?php echo self::render_condition_options( $conditions ); ?>
+                        {{{ data.options }}}
                     </select>
 
-                    <select class="operator-select"
-                            name="_conditions[{{ data.groupId }}][rules][{{ data.id }}][operator]" disabled>
+                    <select class="operator-select" disabled>
                         <option value=""><?php esc_html_e( 'Select...', 'arraypress' ); ?></option>
                     </select>
 
@@ -124,12 +598,21 @@ class MetaBoxRenderer {
                                placeholder="<?php esc_attr_e( 'Select a condition first', 'arraypress' ); ?>">
                     </div>
 
+                    <span class="condition-cost" style="display: none;"></span>
+
                     <span class="condition-tooltip" style="display: none;">
                         <span class="dashicons dashicons-info-outline"></span>
                     </span>
                 </div>
 
                 <div class="condition-row-actions">
+                    <span class="preview-status"></span>
+                    <input type="hidden" class="item-disabled" value="">
+                    <button type="button" class="button-link toggle-item" aria-pressed="false"
+                            title="<?php esc_attr_e( 'Disable', 'arraypress' ); ?>">
+                        <span class="dashicons dashicons-visibility"></span>
+                        <span class="screen-reader-text"><?php esc_html_e( 'Disable', 'arraypress' ); ?></span>
+                    </button>
                     <button type="button" class="button-link remove-condition"
                             title="<?php esc_attr_e( 'Remove', 'arraypress' ); ?>">
                         <span class="dashicons dashicons-no-alt"></span>
@@ -141,40 +624,20 @@ class MetaBoxRenderer {
         <script type="text/html" id="tmpl-group-connector">
             <div class="group-connector"><?php esc_html_e( 'OR', 'arraypress' ); ?></div>
         </script>
-        <?php
-    }
-
-    /**
-     * Render condition options grouped by category.
-     *
-     * @param array $conditions The conditions to render.
-     *
-     * @return string
-     */
-    private static function render_condition_options( array $conditions ): string {
-        // Group conditions by their group property
-        $grouped = [];
-        foreach ( $conditions as $id => $condition ) {
-            $group               = $condition['group'] ?? 'General';
-            $grouped[ $group ][] = [
-                    'id'    => $id,
-                    'label' => $condition['label'] ?? $id,
-            ];
-        }
-
-        // Sort groups alphabetically
-        ksort( $grouped );
 
-        $html = '';
-        foreach ( $grouped as $group => $items ) {
-            $html .= '<optgroup label="' . esc_attr( $group ) . '">';
-            foreach ( $items as $item ) {
-                $html .= '<option value="' . esc_attr( $item['id'] ) . '">' . esc_html( $item['label'] ) . '</option>';
-            }
-            $html .= '</optgroup>';
-        }
-
-        return $html;
+        <script type="text/html" id="tmpl-preview-arg">
+            <div class="preview-arg">
+                <input type="text" class="preview-arg-key" list="{{ data.list }}" value="{{ data.key }}"
+                       placeholder="<?php esc_attr_e( 'Argument', 'arraypress' ); ?>">
+                <input type="text" class="preview-arg-value" value="{{ data.value }}"
+                       placeholder="<?php esc_attr_e( 'Value', 'arraypress' ); ?>">
+                <button type="button" class="button-link remove-preview-arg"
+                        title="<?php esc_attr_e( 'Remove', 'arraypress' ); ?>">
+                    <span class="dashicons dashicons-no-alt"></span>
+                </button>
+            </div>
+        </script>
+        <?php
     }
 
 }
\ No newline at end of file
@@ -15,6 +15,9 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Admin;
 
+use ArrayPress\Conditions\Operators;
+use WP_Error;
+
 /**
  * Class Sanitizer
  *
@@ -22,6 +25,22 @@ namespace ArrayPress\Conditions\Admin;
  */
 class Sanitizer {
 
+	/**
+	 * Maximum nesting depth for subgroups.
+	 *
+	 * @var int
+	 */
+	public const MAX_DEPTH = 3;
+
+	/**
+	 * Maximum JSON depth of a rules payload.
+	 *
+	 * Enough for groups, subgroups nested to MAX_DEPTH and structured values.
+	 *
+	 * @var int
+	 */
+	public const PAYLOAD_DEPTH = 16;
+
 	/**
 	 * Condition configurations for type-aware sanitization.
 	 *
@@ -32,12 +51,21 @@ class Sanitizer {
 	/**
 	 * Sanitize conditions data.
 	 *
-	 * @param array|mixed $conditions        Raw conditions data.
-	 * @param array       $condition_configs Optional condition configurations for type-aware sanitization.
+	 * Accepts the builder's JSON payload (unslashed) or the decoded groups.
+	 * A payload that can't be decoded sanitizes to no groups, and invalid
+	 * rules are dropped; use decode_payload() and validate_conditions()
+	 * first to reject a save rather than lose them.
+	 *
+	 * @param array|string|mixed $conditions        Raw conditions data.
+	 * @param array              $condition_configs Optional condition configurations for type-aware sanitization.
 	 *
 	 * @return array
 	 */
 	public static function sanitize_conditions( mixed $conditions, array $condition_configs = [] ): array {
+		if ( is_string( $conditions ) ) {
+			$conditions = self::decode_payload( $conditions );
+		}
+
 		if ( ! is_array( $conditions ) ) {
 			return [];
 		}
@@ -50,7 +78,7 @@ class Sanitizer {
 				continue;
 			}
 
-			$sanitized_group = self::sanitize_group( $group_id, $group );
+			$sanitized_group = self::sanitize_group( (string) $group_id, $group );
 
 			if ( ! empty( $sanitized_group['rules'] ) ) {
 				$sanitized[] = $sanitized_group;
@@ -60,6 +88,130 @@ class Sanitizer {
 		return $sanitized;
 	}
 
+	/**
+	 * Decode the builder's JSON payload.
+	 *
+	 * @param string $payload The unslashed JSON payload.
+	 *
+	 * @return array|WP_Error The raw groups, keyed by group ID, or an error if the payload is rejected.
+	 */
+	public static function decode_payload( string $payload ): array|WP_Error {
+		if ( trim( $payload ) === '' ) {
+			return new WP_Error(
+				'empty_payload',
+				__( 'No rules were submitted.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$decoded = json_decode( $payload, true, self::PAYLOAD_DEPTH );
+
+		if ( json_last_error() !== JSON_ERROR_NONE ) {
+			return new WP_Error(
+				'invalid_payload',
+				/* translators: %s: JSON error message */
+				sprintf( __( 'The submitted rules are not valid JSON (%s).', 'arraypress' ), json_last_error_msg() ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( ! is_array( $decoded ) ) {
+			return new WP_Error(
+				'invalid_payload',
+				__( 'The submitted rules are not a list of groups.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		foreach ( $decoded as $group ) {
+			if ( ! is_array( $group ) || ! is_array( $group['rules'] ?? [] ) ) {
+				return new WP_Error(
+					'invalid_payload',
+					__( 'The submitted rules contain a malformed group.', 'arraypress' ),
+					[ 'status' => 400 ]
+				);
+			}
+		}
+
+		return $decoded;
+	}
+
+	/**
+	 * Check decoded groups for rules that would not survive sanitizing.
+	 *
+	 * Rules with a condition but an operator or value that fails validation
+	 * would be dropped by sanitize_conditions(), so a save should be rejected
+	 * with this error instead. Rows without a condition are left alone, as
+	 * they hold nothing to lose.
+	 *
+	 * @param array $conditions        The decoded groups (see decode_payload()).
+	 * @param array $condition_configs Condition configurations.
+	 *
+	 * @return WP_Error|null An error listing the invalid rules, or null if every rule is valid.
+	 */
+	public static function validate_conditions( array $conditions, array $condition_configs = [] ): ?WP_Error {
+		$errors = [];
+
+		foreach ( $conditions as $group ) {
+			if ( is_array( $group ) ) {
+				self::collect_errors( $group['rules'] ?? [], $condition_configs, $errors );
+			}
+		}
+
+		if ( empty( $errors ) ) {
+			return null;
+		}
+
+		return new WP_Error(
+			'invalid_rules',
+			/* translators: %s: the invalid rules and their errors */
+			sprintf( __( 'The rules were not saved because some are not valid: %s', 'arraypress' ), implode( ' ', $errors ) ),
+			[ 'status' => 400, 'errors' => $errors ]
+		);
+	}
+
+	/**
+	 * Collect the errors of a group's rules, including those in subgroups.
+	 *
+	 * @param mixed $items             The raw items.
+	 * @param array $condition_configs Condition configurations.
+	 * @param array $errors            Collects "Label: error" messages.
+	 *
+	 * @return void
+	 */
+	private static function collect_errors( mixed $items, array $condition_configs, array &$errors ): void {
+		if ( ! is_array( $items ) ) {
+			return;
+		}
+
+		foreach ( $items as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			if ( self::get_string( $item, 'type' ) === 'group' ) {
+				self::collect_errors( $item['rules'] ?? [], $condition_configs, $errors );
+				continue;
+			}
+
+			$condition_id = sanitize_key( self::get_string( $item, 'condition' ) );
+
+			if ( $condition_id === '' ) {
+				continue;
+			}
+
+			$config   = $condition_configs[ $condition_id ] ?? [];
+			$operator = self::sanitize_operator( self::get_string( $item, 'operator' ) );
+			$error    = $operator === ''
+				? __( 'Select an operator.', 'arraypress' )
+				: TypeSanitizer::validate( $item['value'] ?? null, $config, $operator );
+
+			if ( $error !== null ) {
+				$errors[] = sprintf( '%s: %s', $config['label'] ?? $condition_id, $error );
+			}
+		}
+	}
+
 	/**
 	 * Sanitize a condition group.
 	 *
@@ -69,26 +221,70 @@ class Sanitizer {
 	 * @return array
 	 */
 	private static function sanitize_group( string $group_id, array $group ): array {
-		$sanitized = [
-			'id'    => sanitize_key( $group_id ),
-			'match' => 'all', // AND logic within group
-			'rules' => [],
+		return [
+			'id'       => sanitize_key( $group_id ),
+			'match'    => self::sanitize_match( self::get_string( $group, 'match' ) ),
+			'disabled' => ! empty( $group['disabled'] ),
+			'rules'    => self::sanitize_items( $group['rules'] ?? [], 0 ),
 		];
+	}
 
-		$rules = $group['rules'] ?? [];
+	/**
+	 * Sanitize a nested subgroup.
+	 *
+	 * @param string $group_id The subgroup ID.
+	 * @param array  $group    The subgroup data.
+	 * @param int    $depth    The subgroup's nesting depth.
+	 *
+	 * @return array
+	 */
+	private static function sanitize_subgroup( string $group_id, array $group, int $depth ): array {
+		return [
+			'id'       => sanitize_key( $group_id ),
+			'type'     => 'group',
+			'match'    => self::sanitize_match( self::get_string( $group, 'match' ) ),
+			'disabled' => ! empty( $group['disabled'] ),
+			'rules'    => self::sanitize_items( $group['rules'] ?? [], $depth ),
+		];
+	}
 
-		if ( ! is_array( $rules ) ) {
-			return $sanitized;
+	/**
+	 * Sanitize the items (rules and subgroups) of a group.
+	 *
+	 * @param mixed $items The raw items.
+	 * @param int   $depth The nesting depth of the group holding the items.
+	 *
+	 * @return array
+	 */
+	private static function sanitize_items( mixed $items, int $depth ): array {
+		if ( ! is_array( $items ) ) {
+			return [];
 		}
 
+		$sanitized       = [];
 		$seen_signatures = [];
 
-		foreach ( $rules as $rule_id => $rule ) {
-			if ( ! is_array( $rule ) ) {
+		foreach ( $items as $item_id => $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			// Nested subgroup
+			if ( self::get_string( $item, 'type' ) === 'group' ) {
+				if ( $depth >= self::MAX_DEPTH ) {
+					continue;
+				}
+
+				$subgroup = self::sanitize_subgroup( (string) $item_id, $item, $depth + 1 );
+
+				if ( ! empty( $subgroup['rules'] ) ) {
+					$sanitized[] = $subgroup;
+				}
+
 				continue;
 			}
 
-			$sanitized_rule = self::sanitize_rule( $rule_id, $rule );
+			$sanitized_rule = self::sanitize_rule( (string) $item_id, $item );
 
 			// Skip if no condition selected
 			if ( empty( $sanitized_rule['condition'] ) ) {
@@ -99,8 +295,18 @@ class Sanitizer {
 			$config = self::$conditions[ $sanitized_rule['condition'] ] ?? [];
 			$type   = $config['type'] ?? 'text';
 
-			// Skip if value is empty (but allow 0/'0' and skip check for boolean type)
-			if ( TypeSanitizer::is_empty( $sanitized_rule['value'], $type ) ) {
+			// Skip if no operator selected
+			if ( empty( $sanitized_rule['operator'] ) ) {
+				continue;
+			}
+
+			// Skip rules that fail the same checks the builder runs before saving
+			if ( TypeSanitizer::validate( $item['value'] ?? null, $config, $sanitized_rule['operator'] ) !== null ) {
+				continue;
+			}
+
+			// Skip if value is empty (but allow 0/'0', boolean type and optional values)
+			if ( ( $config['required'] ?? true ) && TypeSanitizer::is_empty( $sanitized_rule['value'], $type ) ) {
 				continue;
 			}
 
@@ -112,26 +318,56 @@ class Sanitizer {
 				continue;
 			}
 
-			$seen_signatures[]    = $signature;
-			$sanitized['rules'][] = $sanitized_rule;
+			$seen_signatures[] = $signature;
+			$sanitized[]       = $sanitized_rule;
 		}
 
 		return $sanitized;
 	}
 
+	/**
+	 * Sanitize a group match mode.
+	 *
+	 * @param mixed $match The raw match mode.
+	 *
+	 * @return string Either 'all' (AND) or 'any' (OR).
+	 */
+	private static function sanitize_match( mixed $match ): string {
+		return $match === 'any' ? 'any' : 'all';
+	}
+
+	/**
+	 * Get a string field from decoded payload data.
+	 *
+	 * The payload is client-supplied JSON, so fields may hold numbers,
+	 * nulls or arrays; anything but a string reads as empty.
+	 *
+	 * @param array  $data The group, subgroup or rule data.
+	 * @param string $key  The field key.
+	 *
+	 * @return string
+	 */
+	private static function get_string( array $data, string $key ): string {
+		return is_string( $data[ $key ] ?? null ) ? $data[ $key ] : '';
+	}
+
 	/**
 	 * Generate a unique signature for a rule to detect duplicates.
 	 *
+	 * Also used by the Linter to compare groups.
+	 *
 	 * @param array $rule The sanitized rule.
 	 *
 	 * @return string
 	 */
-	private static function get_rule_signature( array $rule ): string {
+	public static function get_rule_signature( array $rule ): string {
 		$condition = $rule['condition'] ?? '';
 		$operator  = $rule['operator'] ?? '';
 		$value     = $rule['value'] ?? '';
+		$state     = empty( $rule['disabled'] ) ? 'on' : 'off';
 
-		return $condition . '|' . $operator . '|' . self::normalize_value_for_signature( $value );
+		// A switched-off copy of a rule is kept alongside the rule itself
+		return $condition . '|' . $operator . '|' . self::normalize_value_for_signature( $value ) . '|' . $state;
 	}
 
 	/**
@@ -149,6 +385,11 @@ class Sanitizer {
 			return '';
 		}
 
+		// Handle range values (order matters)
+		if ( is_array( $value ) && isset( $value['from'] ) ) {
+			return $value['from'] . '..' . ( $value['to'] ?? '' );
+		}
+
 		// Handle number_unit type
 		if ( is_array( $value ) && isset( $value['number'] ) ) {
 			return $value['number'] . ':' . ( $value['unit'] ?? '' );
@@ -175,21 +416,29 @@ class Sanitizer {
 	 * @return array
 	 */
 	private static function sanitize_rule( string $rule_id, array $rule ): array {
-		$condition_id = sanitize_key( $rule['condition'] ?? '' );
-		$operator     = $rule['operator'] ?? '';
+		$condition_id = sanitize_key( self::get_string( $rule, 'condition' ) );
+		$operator     = self::get_string( $rule, 'operator' );
 		$value        = $rule['value'] ?? null;
 
 		// Get condition config for type-aware sanitization
 		$config = self::$conditions[ $condition_id ] ?? [];
 
+		$operator = self::sanitize_operator( $operator );
+
 		// Use TypeSanitizer for type-aware value sanitization
-		$value = TypeSanitizer::sanitize( $value, $config );
+		$value = match ( true ) {
+			Operators::is_range( $operator ) => TypeSanitizer::range( $value, $config ),
+			Operators::is_relative( $operator ) => TypeSanitizer::relative( $value ),
+			Operators::is_regex( $operator ) => TypeSanitizer::regex( $value ),
+			default => TypeSanitizer::sanitize( $value, $config ),
+		};
 
 		return [
 			'id'        => sanitize_key( $rule_id ),
 			'condition' => $condition_id,
-			'operator'  => self::sanitize_operator( $operator ),
+			'operator'  => $operator,
 			'value'     => $value,
+			'disabled'  => ! empty( $rule['disabled'] ),
 		];
 	}
 
@@ -209,6 +458,14 @@ class Sanitizer {
 			'<',
 			'>=',
 			'<=',
+			// Range
+			'between',
+			'not_between',
+			// Relative date
+			'in_last',
+			'not_in_last',
+			'in_next',
+			'not_in_next',
 			// Text
 			'contains',
 			'not_contains',
@@ -217,6 +474,7 @@ class Sanitizer {
 			'empty',
 			'not_empty',
 			'regex',
+			'not_regex',
 			// Array
 			'any',
 			'none',
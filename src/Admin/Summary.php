@@ -0,0 +1,309 @@
+<?php
+/**
+ * Rule Summary
+ *
+ * Describes saved conditions as a plain-language sentence.
+ *
+ * @package     ArrayPress\Conditions\Admin
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Admin;
+
+use ArrayPress\Conditions\Helpers\ValueLists;
+use ArrayPress\Conditions\Matcher;
+use ArrayPress\Conditions\Operators;
+use ArrayPress\Conditions\Options\Periods;
+use ArrayPress\Conditions\Registry;
+use Exception;
+use WP_Term;
+
+/**
+ * Class Summary
+ *
+ * Builds the same summary the builder shows, for use outside the editor
+ * (e.g. the rules list table).
+ */
+class Summary {
+
+	/**
+	 * Resolved condition configurations, by set ID.
+	 *
+	 * Cached because option callbacks can be expensive and list tables
+	 * describe many rules per request.
+	 *
+	 * @var array<string, array>
+	 */
+	private static array $configs = [];
+
+	/**
+	 * Describe a set of condition groups.
+	 *
+	 * Switched-off groups and rules are left out, as they don't take part
+	 * in matching.
+	 *
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $conditions The saved condition groups.
+	 *
+	 * @return string The summary, or an empty string if there are no rules.
+	 */
+	public static function describe( string $set_id, array $conditions ): string {
+		$configs = self::$configs[ $set_id ] ??= self::get_configs( $set_id );
+		$groups  = [];
+
+		foreach ( $conditions as $group ) {
+			if ( ! is_array( $group ) || Matcher::is_disabled( $group ) ) {
+				continue;
+			}
+
+			$description = self::describe_items( $group, $configs );
+
+			if ( $description !== '' ) {
+				$groups[] = $description;
+			}
+		}
+
+		$summary = implode( ', ' . __( 'OR', 'arraypress' ) . ' ', $groups );
+
+		/**
+		 * Filter the plain-language summary of a rule's conditions.
+		 *
+		 * @param string $summary    The summary.
+		 * @param string $set_id     The condition set ID.
+		 * @param array  $conditions The saved condition groups.
+		 */
+		return apply_filters( 'conditions_summary', $summary, $set_id, $conditions );
+	}
+
+	/**
+	 * Describe the items of a group or subgroup, joined by its match mode.
+	 *
+	 * @param array $group   The group or subgroup.
+	 * @param array $configs Condition configurations.
+	 *
+	 * @return string
+	 */
+	private static function describe_items( array $group, array $configs ): string {
+		$parts = [];
+
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( ! is_array( $item ) || Matcher::is_disabled( $item ) ) {
+				continue;
+			}
+
+			if ( Matcher::is_subgroup( $item ) ) {
+				$description = self::describe_items( $item, $configs );
+				$parts[]     = $description !== '' ? '(' . $description . ')' : '';
+			} else {
+				$parts[] = self::describe_rule( $item, $configs );
+			}
+		}
+
+		$joiner = ( $group['match'] ?? 'all' ) === 'any' ? __( 'OR', 'arraypress' ) : __( 'AND', 'arraypress' );
+
+		return implode( ' ' . $joiner . ' ', array_filter( $parts ) );
+	}
+
+	/**
+	 * Describe a single rule, e.g. "Cart Total is greater than 100".
+	 *
+	 * @param array $rule    The rule.
+	 * @param array $configs Condition configurations.
+	 *
+	 * @return string
+	 */
+	private static function describe_rule( array $rule, array $configs ): string {
+		$condition_id = $rule['condition'] ?? '';
+		$operator     = $rule['operator'] ?? '';
+		$config       = $configs[ $condition_id ] ?? null;
+
+		if ( ! $config || $operator === '' ) {
+			return '';
+		}
+
+		$type      = $config['type'] ?? 'text';
+		$operators = is_array( $config['operators'] ?? null )
+			? $config['operators']
+			: Operators::for_type( $type, (bool) ( $config['multiple'] ?? false ) );
+
+		$label          = $config['label'] ?? $condition_id;
+		$operator_label = $operators[ $operator ] ?? $operator;
+
+		// Boolean conditions are answered by the operator alone
+		if ( $type === 'boolean' ) {
+			return $label . ': ' . $operator_label;
+		}
+
+		$value = self::describe_value( $rule['value'] ?? null, $config );
+
+		return trim( $label . ' ' . self::lower_first( $operator_label ) . ' ' . $value );
+	}
+
+	/**
+	 * Describe a rule value using option, unit and object labels.
+	 *
+	 * @param mixed $value  The saved value.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return string
+	 */
+	private static function describe_value( mixed $value, array $config ): string {
+		$type = $config['type'] ?? 'text';
+
+		// Range (between operators)
+		if ( is_array( $value ) && array_key_exists( 'from', $value ) ) {
+			return sprintf(
+				/* translators: 1: start of range, 2: end of range */
+				__( '%1$s and %2$s', 'arraypress' ),
+				(string) $value['from'],
+				(string) ( $value['to'] ?? '' )
+			);
+		}
+
+		// Number/text with unit (relative dates use day-or-longer periods)
+		if ( is_array( $value ) && ( array_key_exists( 'number', $value ) || array_key_exists( 'text', $value ) ) ) {
+			$units = $type === 'date' ? Periods::get_age_units() : (array) ( $config['units'] ?? [] );
+			$text  = (string) ( $value['number'] ?? $value['text'] ?? '' );
+			$unit  = self::get_option_label( $units, (string) ( $value['unit'] ?? '' ) );
+
+			return trim( $text . ' ' . $unit );
+		}
+
+		$values = array_map( 'strval', array_filter( (array) $value, 'is_scalar' ) );
+
+		// Value lists by name, e.g. 'list "Disposable domains"'
+		$values = array_map( function ( $val ) {
+			$list = ValueLists::get_list( $val );
+
+			/* translators: %s: value list name */
+			return $list !== null ? sprintf( __( 'list "%s"', 'arraypress' ), $list['label'] ) : $val;
+		}, $values );
+
+		$labels = match ( $type ) {
+			'select' => array_map( fn( $val ) => self::get_option_label( (array) ( $config['options'] ?? [] ), $val ), $values ),
+			'post', 'term', 'user' => array_map( fn( $val ) => self::get_object_label( $type, $val ), $values ),
+			'ajax' => self::get_ajax_labels( $values, $config ),
+			default => $values,
+		};
+
+		return implode( ', ', $labels );
+	}
+
+	/**
+	 * Get a set's condition configurations, with lazy options resolved.
+	 *
+	 * @param string $set_id The condition set ID.
+	 *
+	 * @return array<string, array>
+	 */
+	private static function get_configs( string $set_id ): array {
+		$configs = Registry::get_conditions( $set_id );
+
+		foreach ( $configs as $condition_id => $config ) {
+			if ( ! empty( $config['lazy_options'] ) ) {
+				$configs[ $condition_id ]['options'] = Registry::get_options( $set_id, (string) $condition_id );
+			}
+		}
+
+		return $configs;
+	}
+
+	/**
+	 * Get the label of an option or unit.
+	 *
+	 * @param array  $options Options as value/label pairs or value => label.
+	 * @param string $value   The selected value.
+	 *
+	 * @return string The label, or the value if not found.
+	 */
+	private static function get_option_label( array $options, string $value ): string {
+		foreach ( $options as $key => $option ) {
+			if ( is_array( $option ) && (string) ( $option['value'] ?? '' ) === $value ) {
+				return (string) ( $option['label'] ?? $value );
+			}
+
+			if ( is_scalar( $option ) && (string) $key === $value ) {
+				return (string) $option;
+			}
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Get the display name of a post, term or user.
+	 *
+	 * @param string $type The condition type (post, term or user).
+	 * @param string $id   The object ID.
+	 *
+	 * @return string The name, or the ID if not found.
+	 */
+	private static function get_object_label( string $type, string $id ): string {
+		$label = '';
+
+		switch ( $type ) {
+			case 'post':
+				$label = get_the_title( (int) $id );
+				break;
+
+			case 'term':
+				$term  = get_term( (int) $id );
+				$label = $term instanceof WP_Term ? $term->name : '';
+				break;
+
+			case 'user':
+				$user  = get_userdata( (int) $id );
+				$label = $user ? $user->display_name : '';
+				break;
+		}
+
+		return $label !== '' ? $label : '#' . $id;
+	}
+
+	/**
+	 * Get labels for the values of a custom AJAX condition.
+	 *
+	 * @param string[] $values The selected values.
+	 * @param array    $config The condition configuration.
+	 *
+	 * @return string[]
+	 */
+	private static function get_ajax_labels( array $values, array $config ): array {
+		if ( empty( $values ) || ! is_callable( $config['ajax'] ?? null ) ) {
+			return $values;
+		}
+
+		try {
+			$results = call_user_func( $config['ajax'], '', $values );
+		} catch ( Exception $e ) {
+			return $values;
+		}
+
+		if ( ! is_array( $results ) ) {
+			return $values;
+		}
+
+		$options = array_map( fn( $item ) => is_array( $item ) ? $item : [ 'value' => $item, 'label' => $item ], $results );
+
+		return array_map( fn( $val ) => self::get_option_label( $options, $val ), $values );
+	}
+
+	/**
+	 * Lowercase the first letter of an operator label ("Is any of" → "is any of").
+	 *
+	 * @param string $text The text.
+	 *
+	 * @return string
+	 */
+	private static function lower_first( string $text ): string {
+		return function_exists( 'mb_strtolower' )
+			? mb_strtolower( mb_substr( $text, 0, 1 ) ) . mb_substr( $text, 1 )
+			: lcfirst( $text );
+	}
+
+}
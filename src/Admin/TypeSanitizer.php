@@ -15,6 +15,10 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Admin;
 
+use ArrayPress\Conditions\Helpers\Regex;
+use ArrayPress\Conditions\Helpers\ValueLists;
+use ArrayPress\Conditions\Operators;
+use ArrayPress\Conditions\Options\Periods;
 use ArrayPress\IPUtils\IP;
 use ArrayPress\EmailUtils\Email;
 use DateTime;
@@ -78,10 +82,29 @@ class TypeSanitizer {
 		return sanitize_text_field( (string) $value );
 	}
 
+	/**
+	 * Sanitize a regular expression for the regex operators.
+	 *
+	 * Unlike text, tags and percent-encoded characters are kept as they
+	 * are often part of a pattern. Line breaks and invalid UTF-8 are removed.
+	 *
+	 * @param mixed $value The value to sanitize.
+	 *
+	 * @return string The sanitized pattern.
+	 */
+	public static function regex( mixed $value ): string {
+		if ( ! is_scalar( $value ) ) {
+			return '';
+		}
+
+		return trim( wp_check_invalid_utf8( str_replace( [ "\r", "\n", "\0" ], '', (string) $value ) ) );
+	}
+
 	/**
 	 * Sanitize a number value with optional constraints.
 	 *
-	 * Determines whether to return an integer or float based on the step value.
+	 * Whole-number steps (1 or more) give an integer. Without a step any
+	 * number is allowed, as in the builder, and decimals are kept.
 	 * Applies min/max constraints if defined in the configuration.
 	 *
 	 * @param mixed $value  The value to sanitize.
@@ -101,10 +124,10 @@ class TypeSanitizer {
 		}
 
 		// Determine if integer based on step
-		$step       = $config['step'] ?? 1;
-		$is_integer = ( $step == (int) $step && $step >= 1 );
+		$step       = self::get_step( $config );
+		$is_integer = $step >= 1 && $step == floor( $step );
 
-		$value = $is_integer ? (int) $value : (float) $value;
+		$value = $is_integer ? (int) $value : 0 + $value;
 
 		// Apply min constraint
 		if ( isset( $config['min'] ) ) {
@@ -185,6 +208,55 @@ class TypeSanitizer {
 		];
 	}
 
+	/**
+	 * Sanitize a range value for the between operators.
+	 *
+	 * Each bound is sanitized as a value of the field's type.
+	 *
+	 * @param mixed $value  The value to sanitize (expected array with 'from' and 'to').
+	 * @param array $config The condition configuration.
+	 *
+	 * @return array{from: mixed, to: mixed} The sanitized range.
+	 */
+	public static function range( mixed $value, array $config = [] ): array {
+		if ( ! is_array( $value ) ) {
+			return [ 'from' => '', 'to' => '' ];
+		}
+
+		return [
+			'from' => self::sanitize( $value['from'] ?? '', $config ),
+			'to'   => self::sanitize( $value['to'] ?? '', $config ),
+		];
+	}
+
+	/**
+	 * Sanitize a relative date value for the "in the last/next" operators.
+	 *
+	 * A whole number of at least 1 and a unit from the standard time periods.
+	 *
+	 * @param mixed $value The value to sanitize (expected array with 'number' and 'unit').
+	 *
+	 * @return array{number: int|string, unit: string} The sanitized relative value.
+	 */
+	public static function relative( mixed $value ): array {
+		return self::number_unit( $value, self::get_relative_config() );
+	}
+
+	/**
+	 * Get the number and unit constraints for relative date values.
+	 *
+	 * Date values have no time of day, so the units start at days.
+	 *
+	 * @return array{units: array, min: int, step: int}
+	 */
+	public static function get_relative_config(): array {
+		return [
+			'units' => Periods::get_age_units(),
+			'min'   => 1,
+			'step'  => 1,
+		];
+	}
+
 	/**
 	 * Sanitize a date value.
 	 *
@@ -295,6 +367,11 @@ class TypeSanitizer {
 			return '';
 		}
 
+		// Reference to a value list
+		if ( ValueLists::is_reference( $value ) ) {
+			return $value;
+		}
+
 		// Use IP library for validation
 		// Single IP address
 		if ( IP::is_valid( $value ) ) {
@@ -369,6 +446,11 @@ class TypeSanitizer {
 			return '';
 		}
 
+		// Reference to a value list
+		if ( ValueLists::is_reference( $value ) ) {
+			return $value;
+		}
+
 		// Use Email library for full email validation
 		$email = Email::parse( $value );
 		if ( $email && $email->valid() ) {
@@ -446,6 +528,170 @@ class TypeSanitizer {
 		return sanitize_text_field( (string) $value );
 	}
 
+	/**
+	 * Validate a raw value against its field type and configuration.
+	 *
+	 * Runs the same checks as the builder does before saving: required values,
+	 * numeric min/max/step constraints, calendar dates, times, IP patterns and
+	 * email patterns. Conditions with a custom sanitize callback only get the
+	 * required check, as they define their own format. Regex operators check
+	 * the pattern compiles.
+	 *
+	 * @param mixed  $value    The raw value to validate.
+	 * @param array  $config   The condition configuration.
+	 * @param string $operator Optional. The rule operator.
+	 *
+	 * @return string|null An error message, or null if the value is valid.
+	 */
+	public static function validate( mixed $value, array $config = [], string $operator = '' ): ?string {
+		$type = $config['type'] ?? 'text';
+
+		if ( self::is_empty( $value, $type ) ) {
+			return ( $config['required'] ?? true ) && $type !== 'boolean'
+				? __( 'Enter a value.', 'arraypress' )
+				: null;
+		}
+
+		if ( Operators::is_regex( $operator ) ) {
+			return is_scalar( $value ) ? Regex::get_error( self::regex( $value ) ) : __( 'Enter a valid regular expression.', 'arraypress' );
+		}
+
+		if ( ! empty( $config['sanitize'] ) && is_callable( $config['sanitize'] ) ) {
+			return null;
+		}
+
+		// Range values (between operators)
+		if ( is_array( $value ) && array_key_exists( 'from', $value ) ) {
+			return self::validate_range( $value, $config );
+		}
+
+		// Relative date values (in the last/next operators)
+		if ( $type === 'date' && is_array( $value ) && array_key_exists( 'number', $value ) ) {
+			$relative = self::get_relative_config();
+
+			if ( ! in_array( $value['unit'] ?? '', array_column( $relative['units'], 'value' ), true ) ) {
+				return __( 'Select days, weeks, months or years.', 'arraypress' );
+			}
+
+			return self::validate_number( $value['number'], $relative );
+		}
+
+		return match ( $type ) {
+			'number' => self::validate_number( $value, $config ),
+			'number_unit' => self::validate_number( is_array( $value ) ? ( $value['number'] ?? '' ) : $value, $config ),
+			'date' => is_scalar( $value ) && self::date( $value ) !== '' ? null : __( 'Enter a valid date.', 'arraypress' ),
+			'time' => is_scalar( $value ) && self::time( $value ) !== '' ? null : __( 'Enter a valid time.', 'arraypress' ),
+			'ip' => self::validate_patterns( $value, [ self::class, 'sanitize_ip_pattern' ], __( 'Invalid IP address or range: %s', 'arraypress' ) ),
+			'email' => self::validate_patterns( $value, [ self::class, 'sanitize_email_pattern' ], __( 'Invalid email pattern: %s', 'arraypress' ) ),
+			default => null,
+		};
+	}
+
+	/**
+	 * Validate both bounds of a range, and their order.
+	 *
+	 * Time ranges may run past midnight (22:00 to 06:00), so only number
+	 * and date ranges must start before they end.
+	 *
+	 * @param array $value  The raw range with 'from' and 'to'.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return string|null An error message, or null if the range is valid.
+	 */
+	private static function validate_range( array $value, array $config ): ?string {
+		foreach ( [ 'from', 'to' ] as $bound ) {
+			$error = self::validate( $value[ $bound ] ?? null, $config );
+
+			if ( $error !== null ) {
+				return $error;
+			}
+		}
+
+		$reversed = match ( $config['type'] ?? 'text' ) {
+			'number' => (float) $value['from'] > (float) $value['to'],
+			'date' => strcmp( (string) $value['from'], (string) $value['to'] ) > 0,
+			default => false,
+		};
+
+		return $reversed ? __( 'The first value must not be after the second.', 'arraypress' ) : null;
+	}
+
+	/**
+	 * Validate a number against min, max and step constraints.
+	 *
+	 * Steps are counted from min (or 0), matching the browser's number input.
+	 *
+	 * @param mixed $value  The raw number.
+	 * @param array $config The condition configuration with optional min, max, step.
+	 *
+	 * @return string|null An error message, or null if the number is valid.
+	 */
+	private static function validate_number( mixed $value, array $config ): ?string {
+		if ( ! is_numeric( $value ) ) {
+			return __( 'Enter a number.', 'arraypress' );
+		}
+
+		$number = (float) $value;
+
+		if ( isset( $config['min'] ) && $number < $config['min'] ) {
+			/* translators: %s: minimum value */
+			return sprintf( __( 'Must be at least %s.', 'arraypress' ), $config['min'] );
+		}
+
+		if ( isset( $config['max'] ) && $number > $config['max'] ) {
+			/* translators: %s: maximum value */
+			return sprintf( __( 'Must be no more than %s.', 'arraypress' ), $config['max'] );
+		}
+
+		$step = self::get_step( $config );
+
+		if ( $step > 0 ) {
+			$steps = ( $number - (float) ( $config['min'] ?? 0 ) ) / $step;
+
+			if ( abs( $steps - round( $steps ) ) > 1e-9 ) {
+				/* translators: %s: step size */
+				return sprintf( __( 'Must be in steps of %s.', 'arraypress' ), $config['step'] );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the step of a number field.
+	 *
+	 * Shared by sanitizing and validation so both agree on which numbers
+	 * a field accepts.
+	 *
+	 * @param array $config The condition configuration with optional step.
+	 *
+	 * @return float The step, or 0 if any number is allowed.
+	 */
+	private static function get_step( array $config ): float {
+		return isset( $config['step'] ) && is_numeric( $config['step'] ) ? (float) $config['step'] : 0;
+	}
+
+	/**
+	 * Validate one or more patterns with a pattern sanitizer.
+	 *
+	 * @param mixed    $value     The raw pattern(s).
+	 * @param callable $sanitizer Returns an empty string for invalid patterns.
+	 * @param string   $message   Error message with a %s placeholder for the invalid patterns.
+	 *
+	 * @return string|null An error message, or null if every pattern is valid.
+	 */
+	private static function validate_patterns( mixed $value, callable $sanitizer, string $message ): ?string {
+		$invalid = [];
+
+		foreach ( (array) $value as $pattern ) {
+			if ( ! is_scalar( $pattern ) || call_user_func( $sanitizer, $pattern ) === '' ) {
+				$invalid[] = is_scalar( $pattern ) ? (string) $pattern : '';
+			}
+		}
+
+		return empty( $invalid ) ? null : sprintf( $message, implode( ', ', $invalid ) );
+	}
+
 	/**
 	 * Check if a value should be considered empty for a given type.
 	 *
@@ -485,6 +731,11 @@ class TypeSanitizer {
 			return false;
 		}
 
+		// Handle range values - both bounds are needed
+		if ( is_array( $value ) && array_key_exists( 'from', $value ) ) {
+			return self::is_empty( $value['from'], $type ) || self::is_empty( $value['to'] ?? null, $type );
+		}
+
 		// Handle text_unit type - check if text part is empty
 		if ( is_array( $value ) && array_key_exists( 'text', $value ) ) {
 			if ( $value['text'] === '' || $value['text'] === null ) {
@@ -15,8 +15,15 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Comparators;
 
+use ArrayPress\Conditions\Helpers\Regex;
+use ArrayPress\Conditions\Helpers\ValueLists;
+use ArrayPress\Conditions\Operators;
+use ArrayPress\Conditions\Options\Periods;
 use ArrayPress\IPUtils\IP;
 use ArrayPress\EmailUtils\Email;
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
 
 /**
  * Class Comparator
@@ -88,15 +95,24 @@ class Comparator {
 	/**
 	 * Compare numeric values.
 	 *
-	 * Operators: ==, !=, >, <, >=, <=
+	 * Operators: ==, !=, >, <, >=, <=, between, not_between
 	 *
 	 * @param string $operator      The operator.
-	 * @param mixed  $user_value    The user value.
+	 * @param mixed  $user_value    The user value (from/to range for between).
 	 * @param mixed  $compare_value The compare value.
 	 *
 	 * @return bool
 	 */
 	private function compare_numeric( string $operator, mixed $user_value, mixed $compare_value ): bool {
+		$range = self::get_range( $user_value );
+
+		if ( $range !== null ) {
+			$compare_value = (float) $compare_value;
+			$in_range      = $compare_value >= (float) $range[0] && $compare_value <= (float) $range[1];
+
+			return self::compare_range( $operator, $in_range );
+		}
+
 		$user_value    = (float) $user_value;
 		$compare_value = (float) $compare_value;
 
@@ -114,7 +130,10 @@ class Comparator {
 	/**
 	 * Compare text values.
 	 *
-	 * Operators: ==, !=, contains, not_contains, starts_with, ends_with, empty, not_empty, regex
+	 * Operators: ==, !=, contains, not_contains, starts_with, ends_with, empty, not_empty, regex, not_regex
+	 *
+	 * Invalid regex patterns, or patterns that hit the backtracking limit,
+	 * fail both regex operators.
 	 *
 	 * @param string $operator      The operator.
 	 * @param mixed  $user_value    The user value.
@@ -135,7 +154,8 @@ class Comparator {
 			'ends_with' => str_ends_with( strtolower( $compare_value ), strtolower( $user_value ) ),
 			'empty' => empty( $compare_value ),
 			'not_empty' => ! empty( $compare_value ),
-			'regex' => (bool) @preg_match( $user_value, $compare_value ),
+			'regex' => Regex::matches( $user_value, $compare_value ) === true,
+			'not_regex' => Regex::matches( $user_value, $compare_value ) === false,
 			default => false,
 		};
 	}
@@ -208,8 +228,8 @@ class Comparator {
 			return $operator === 'ip_not_match';
 		}
 
-		// Normalize patterns to array
-		$patterns = array_map( 'trim', (array) $user_value );
+		// Normalize patterns to array, expanding value lists
+		$patterns = array_map( 'trim', ValueLists::expand( (array) $user_value ) );
 		$patterns = array_filter( $patterns );
 
 		// Use IP::is_match which handles exact, CIDR, and wildcard
@@ -243,8 +263,8 @@ class Comparator {
 			return $operator === 'email_not_match';
 		}
 
-		// Normalize patterns to array
-		$patterns = array_map( 'trim', (array) $user_value );
+		// Normalize patterns to array, expanding value lists
+		$patterns = array_map( 'trim', ValueLists::expand( (array) $user_value ) );
 		$patterns = array_filter( $patterns );
 
 		if ( empty( $patterns ) ) {
@@ -280,7 +300,7 @@ class Comparator {
 	 * @return bool
 	 */
 	private function compare_tags( string $operator, mixed $user_value, mixed $compare_value ): bool {
-		$tags          = (array) $user_value;
+		$tags          = ValueLists::expand( (array) $user_value );
 		$compare_value = strtolower( (string) $compare_value );
 
 		// Determine match type from operator
@@ -348,15 +368,38 @@ class Comparator {
 	/**
 	 * Compare date values.
 	 *
-	 * Operators: ==, !=, >, <, >=, <=
+	 * Operators: ==, !=, >, <, >=, <=, between, not_between,
+	 * in_last, not_in_last, in_next, not_in_next
 	 *
 	 * @param string $operator      The operator.
-	 * @param mixed  $user_value    The user value.
+	 * @param mixed  $user_value    The user value (from/to range for between, number/unit for relative).
 	 * @param mixed  $compare_value The compare value.
 	 *
 	 * @return bool
 	 */
 	private function compare_date( string $operator, mixed $user_value, mixed $compare_value ): bool {
+		if ( Operators::is_relative( $operator ) ) {
+			return self::compare_relative_date( $operator, $user_value, $compare_value );
+		}
+
+		$range = self::get_range( $user_value );
+
+		if ( $range !== null ) {
+			$from    = strtotime( (string) $range[0] );
+			$to      = strtotime( (string) $range[1] );
+			$compare = strtotime( (string) $compare_value );
+
+			if ( $from === false || $to === false || $compare === false ) {
+				return false;
+			}
+
+			// Inclusive of both days
+			$compare  = strtotime( 'midnight', $compare );
+			$in_range = $compare >= strtotime( 'midnight', $from ) && $compare <= strtotime( 'midnight', $to );
+
+			return self::compare_range( $operator, $in_range );
+		}
+
 		$user_date    = strtotime( (string) $user_value );
 		$compare_date = strtotime( (string) $compare_value );
 
@@ -382,15 +425,34 @@ class Comparator {
 	/**
 	 * Compare time values.
 	 *
-	 * Operators: ==, !=, >,
+	 * Operators: ==, !=, >, <, between, not_between
 	 *
 	 * @param string $operator      The operator.
-	 * @param mixed  $user_value    The user value.
+	 * @param mixed  $user_value    The user value (from/to range for between).
 	 * @param mixed  $compare_value The compare value.
 	 *
 	 * @return bool
 	 */
 	private function compare_time( string $operator, mixed $user_value, mixed $compare_value ): bool {
+		$range = self::get_range( $user_value );
+
+		if ( $range !== null ) {
+			$from    = strtotime( '1970-01-01 ' . $range[0] );
+			$to      = strtotime( '1970-01-01 ' . $range[1] );
+			$compare = strtotime( '1970-01-01 ' . $compare_value );
+
+			if ( $from === false || $to === false || $compare === false ) {
+				return false;
+			}
+
+			// Ranges that end before they start wrap past midnight (22:00 to 06:00)
+			$in_range = $from <= $to
+				? $compare >= $from && $compare <= $to
+				: $compare >= $from || $compare <= $to;
+
+			return self::compare_range( $operator, $in_range );
+		}
+
 		$user_time    = strtotime( '1970-01-01 ' . $user_value );
 		$compare_time = strtotime( '1970-01-01 ' . $compare_value );
 
@@ -407,4 +469,84 @@ class Comparator {
 		};
 	}
 
+	/**
+	 * Get the bounds of a range value.
+	 *
+	 * @param mixed $user_value The user value.
+	 *
+	 * @return array{0: mixed, 1: mixed}|null The from and to bounds, or null if not a range.
+	 */
+	private static function get_range( mixed $user_value ): ?array {
+		if ( ! is_array( $user_value ) || ! array_key_exists( 'from', $user_value ) ) {
+			return null;
+		}
+
+		return [ $user_value['from'], $user_value['to'] ?? '' ];
+	}
+
+	/**
+	 * Compare a date against a window relative to now.
+	 *
+	 * The window runs from today back (in_last) or forward (in_next) by the
+	 * number of days, weeks, months or years, and includes today. Both sides
+	 * are calendar dates in the site's timezone: date-only values (Y-m-d) are
+	 * taken as site dates, and date and time values are read as UTC, like the
+	 * GMT dates WordPress stores (post_date_gmt), then moved to the site's date.
+	 *
+	 * @param string $operator      The operator.
+	 * @param mixed  $user_value    The user value with 'number' and 'unit'.
+	 * @param mixed  $compare_value The compare value.
+	 *
+	 * @return bool
+	 */
+	private static function compare_relative_date( string $operator, mixed $user_value, mixed $compare_value ): bool {
+		if ( ! is_array( $user_value ) || ! is_scalar( $compare_value ) || trim( (string) $compare_value ) === '' ) {
+			return false;
+		}
+
+		$amount = absint( $user_value['number'] ?? 0 );
+		$unit   = (string) ( $user_value['unit'] ?? '' );
+
+		if ( $amount === 0 || ! in_array( $unit, array_column( Periods::get_age_units(), 'value' ), true ) ) {
+			return false;
+		}
+
+		$timezone = wp_timezone();
+		$value    = trim( (string) $compare_value );
+
+		try {
+			$compare = preg_match( '/^\d{4}-\d{2}-\d{2}$/', $value )
+				? new DateTimeImmutable( $value, $timezone )
+				: ( new DateTimeImmutable( $value, new DateTimeZone( 'UTC' ) ) )->setTimezone( $timezone )->setTime( 0, 0 );
+		} catch ( Exception $e ) {
+			return false;
+		}
+
+		// Both sides at midnight on the site, so whole days are compared
+		$today  = new DateTimeImmutable( 'today', $timezone );
+		$past   = in_array( $operator, [ 'in_last', 'not_in_last' ], true );
+		$edge   = $today->modify( ( $past ? '-' : '+' ) . $amount . ' ' . $unit );
+		$within = $past
+			? $compare >= $edge && $compare <= $today
+			: $compare >= $today && $compare <= $edge;
+
+		return str_starts_with( $operator, 'not_' ) ? ! $within : $within;
+	}
+
+	/**
+	 * Resolve a between/not_between operator.
+	 *
+	 * @param string $operator The operator.
+	 * @param bool   $in_range Whether the value is within the range (inclusive).
+	 *
+	 * @return bool
+	 */
+	private static function compare_range( string $operator, bool $in_range ): bool {
+		return match ( $operator ) {
+			'between' => $in_range,
+			'not_between' => ! $in_range,
+			default => false,
+		};
+	}
+
 }
\ No newline at end of file
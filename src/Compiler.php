@@ -0,0 +1,380 @@
+<?php
+/**
+ * Condition Compiler
+ *
+ * Compiles saved condition groups into an evaluation plan.
+ *
+ * @package     ArrayPress\Conditions
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions;
+
+use ArrayPress\Conditions\Admin\TypeSanitizer;
+use ArrayPress\Conditions\Helpers\ValueLists;
+
+/**
+ * Class Compiler
+ *
+ * Turns a rule's _conditions into a plan the Matcher can run without
+ * re-checking it: rules with unknown conditions are dropped, rules with an
+ * operator the condition doesn't offer or a value that fails validation
+ * are marked invalid so they fail their group, and values are parsed ahead
+ * of time. Both are reported as errors. The compiled groups are also linted
+ * (see Linter). Plans are stored with the rule when it is saved, and
+ * compiled on first use for rules saved before.
+ *
+ * Each plan carries a stamp of the set's registered conditions, so it is
+ * recompiled when a condition is added, removed or changes its operators
+ * or validation settings (e.g. an add-on registering a condition later).
+ * Plans that dropped rules only because their condition isn't registered
+ * right now aren't stored.
+ */
+class Compiler {
+
+	/**
+	 * Meta key of the compiled plan.
+	 *
+	 * @var string
+	 */
+	public const META_KEY = '_conditions_plan';
+
+	/**
+	 * Plan format version. Plans with another version are recompiled.
+	 *
+	 * @var int
+	 */
+	public const VERSION = 5;
+
+	/**
+	 * Condition costs, cheapest first.
+	 *
+	 * @var array<string, int>
+	 */
+	public const COSTS = [
+		'cheap'  => 0,
+		'query'  => 1,
+		'remote' => 2,
+	];
+
+	/**
+	 * Get the plan for a rule post, compiling and storing it if missing or outdated.
+	 *
+	 * Outdated plans (another version or stamp) are rewritten on the first
+	 * check after the change, then reused.
+	 *
+	 * @param int    $post_id The rule post ID.
+	 * @param string $set_id  The condition set ID.
+	 *
+	 * @return array{version: int, stamp: string, groups: array, errors: array, warnings: array}
+	 */
+	public static function get_plan( int $post_id, string $set_id ): array {
+		$plan = self::get_stored_plan( $post_id, $set_id );
+
+		if ( $plan !== null ) {
+			return $plan;
+		}
+
+		$conditions = get_post_meta( $post_id, '_conditions', true );
+
+		return self::compile_post( $post_id, $set_id, is_array( $conditions ) ? $conditions : [] );
+	}
+
+	/**
+	 * Get the stored plan for a rule post, if it is up to date.
+	 *
+	 * Never writes, so it is safe to call while only displaying a rule.
+	 *
+	 * @param int    $post_id The rule post ID.
+	 * @param string $set_id  The condition set ID.
+	 *
+	 * @return array{version: int, stamp: string, groups: array, errors: array, warnings: array}|null
+	 */
+	public static function get_stored_plan( int $post_id, string $set_id ): ?array {
+		$plan = get_post_meta( $post_id, self::META_KEY, true );
+
+		if ( is_array( $plan ) && ( $plan['version'] ?? 0 ) === self::VERSION && ( $plan['stamp'] ?? '' ) === self::get_stamp( $set_id ) ) {
+			return $plan;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Compile a rule post's conditions and store the plan.
+	 *
+	 * @param int    $post_id    The rule post ID.
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $conditions The saved condition groups.
+	 *
+	 * @return array{version: int, stamp: string, groups: array, errors: array, warnings: array}
+	 */
+	public static function compile_post( int $post_id, string $set_id, array $conditions ): array {
+		$plan = self::compile( $set_id, $conditions );
+
+		// A condition that isn't registered yet may be later in the request or on the next one
+		if ( in_array( 'unavailable', array_column( $plan['errors'], 'code' ), true ) ) {
+			delete_post_meta( $post_id, self::META_KEY );
+		} else {
+			update_post_meta( $post_id, self::META_KEY, $plan );
+		}
+
+		return $plan;
+	}
+
+	/**
+	 * Get the stamp of a set's registered conditions.
+	 *
+	 * Covers each condition's ID, type, operators and validation settings,
+	 * which decide whether a rule compiles.
+	 *
+	 * @param string $set_id The condition set ID.
+	 *
+	 * @return string
+	 */
+	public static function get_stamp( string $set_id ): string {
+		$conditions = [];
+
+		foreach ( Registry::get_conditions_raw( $set_id ) as $condition_id => $config ) {
+			$conditions[ $condition_id ] = [
+				$config['type'] ?? 'text',
+				! empty( $config['multiple'] ),
+				is_array( $config['operators'] ?? null ) ? array_keys( $config['operators'] ) : null,
+				$config['min'] ?? null,
+				$config['max'] ?? null,
+				$config['step'] ?? null,
+				(bool) ( $config['required'] ?? true ),
+				! empty( $config['sanitize'] ) && is_callable( $config['sanitize'] ),
+			];
+		}
+
+		ksort( $conditions );
+
+		/**
+		 * Filter the stamp compiled plans are checked against.
+		 *
+		 * Change it (e.g. with a deploy version) to recompile every plan in a set.
+		 *
+		 * @param string $stamp  The stamp.
+		 * @param string $set_id The condition set ID.
+		 */
+		return (string) apply_filters( 'conditions_plan_stamp', md5( serialize( $conditions ) ), $set_id );
+	}
+
+	/**
+	 * Compile condition groups into a plan.
+	 *
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $conditions Sanitized condition groups.
+	 *
+	 * @return array{version: int, stamp: string, groups: array, errors: array, warnings: array}
+	 */
+	public static function compile( string $set_id, array $conditions ): array {
+		$configs = Registry::get_conditions_raw( $set_id );
+		$errors  = [];
+		$groups  = [];
+
+		foreach ( $conditions as $group ) {
+			if ( ! is_array( $group ) ) {
+				continue;
+			}
+
+			$group['rules'] = self::compile_items( (array) ( $group['rules'] ?? [] ), $configs, $errors );
+			$groups[]       = $group;
+		}
+
+		$plan = [
+			'version'  => self::VERSION,
+			'stamp'    => self::get_stamp( $set_id ),
+			'groups'   => $groups,
+			'errors'   => $errors,
+			'warnings' => Linter::lint( $set_id, $groups ),
+		];
+
+		/**
+		 * Filter a compiled condition plan.
+		 *
+		 * @param array  $plan       The plan (version, stamp, groups, errors and lint warnings).
+		 * @param string $set_id     The condition set ID.
+		 * @param array  $conditions The condition groups it was compiled from.
+		 */
+		return apply_filters( 'conditions_compiled_plan', $plan, $set_id, $conditions );
+	}
+
+	/**
+	 * Compile the items of a group or subgroup.
+	 *
+	 * Switched-off items are kept as they are, so traces can still show them.
+	 * Items are put in cost order (see get_cost()), keeping the saved order
+	 * among items of the same cost, so a group can fail on a cheap rule
+	 * before reaching a query or remote call.
+	 *
+	 * @param array $items   Rules and subgroups.
+	 * @param array $configs Condition configurations.
+	 * @param array $errors  Collects rules that couldn't be compiled.
+	 *
+	 * @return array
+	 */
+	private static function compile_items( array $items, array $configs, array &$errors ): array {
+		$compiled = [];
+
+		foreach ( $items as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			if ( Matcher::is_disabled( $item ) ) {
+				$compiled[] = $item;
+				continue;
+			}
+
+			if ( Matcher::is_subgroup( $item ) ) {
+				$item['rules'] = self::compile_items( (array) ( $item['rules'] ?? [] ), $configs, $errors );
+				$compiled[]    = $item;
+				continue;
+			}
+
+			$condition_id = (string) ( $item['condition'] ?? '' );
+			$config       = $configs[ $condition_id ] ?? null;
+			$error        = self::get_rule_error( $item, $config );
+
+			if ( $error !== null ) {
+				$errors[] = [
+					'rule'      => (string) ( $item['id'] ?? '' ),
+					'condition' => $condition_id,
+					'code'      => $config === null ? 'unavailable' : 'invalid',
+					'message'   => sprintf( '%s: %s', $config['label'] ?? $condition_id, $error ),
+				];
+
+				// Dropping an invalid rule would widen an "all" group, so it fails instead
+				if ( $config !== null ) {
+					$item['invalid'] = true;
+					$compiled[]      = $item;
+				}
+
+				continue;
+			}
+
+			$item['value'] = self::parse_value( $item['value'] ?? null, $config, (string) $item['operator'] );
+			$compiled[]    = $item;
+		}
+
+		$costs = array_map( fn( $item ) => self::get_cost( $item, $configs ), $compiled );
+
+		// usort is stable, so equal costs keep their saved order
+		$order = array_keys( $compiled );
+		usort( $order, fn( $a, $b ) => $costs[ $a ] <=> $costs[ $b ] );
+
+		return array_map( fn( $index ) => $compiled[ $index ], $order );
+	}
+
+	/**
+	 * Get the cost of evaluating a rule or subgroup.
+	 *
+	 * A subgroup costs as much as its most expensive enabled rule. Invalid
+	 * rules always fail, so they are cheap.
+	 *
+	 * @param array $item    The rule or subgroup.
+	 * @param array $configs Condition configurations.
+	 *
+	 * @return int A value from COSTS.
+	 */
+	private static function get_cost( array $item, array $configs ): int {
+		if ( Matcher::is_disabled( $item ) || ! empty( $item['invalid'] ) ) {
+			return self::COSTS['cheap'];
+		}
+
+		if ( Matcher::is_subgroup( $item ) ) {
+			$costs = array_map( fn( $child ) => self::get_cost( $child, $configs ), (array) ( $item['rules'] ?? [] ) );
+
+			return $costs ? max( $costs ) : self::COSTS['cheap'];
+		}
+
+		$cost = $configs[ $item['condition'] ?? '' ]['cost'] ?? 'cheap';
+
+		return self::COSTS[ $cost ] ?? self::COSTS['cheap'];
+	}
+
+	/**
+	 * Get the reason a rule can't be compiled.
+	 *
+	 * @param array      $rule   The rule.
+	 * @param array|null $config The condition configuration, or null if unknown.
+	 *
+	 * @return string|null An error message, or null if the rule compiles.
+	 */
+	private static function get_rule_error( array $rule, ?array $config ): ?string {
+		if ( $config === null ) {
+			return __( 'This condition is no longer available.', 'arraypress' );
+		}
+
+		$operator  = (string) ( $rule['operator'] ?? '' );
+		$operators = is_array( $config['operators'] ?? null )
+			? $config['operators']
+			: Operators::for_type( $config['type'] ?? 'text', (bool) ( $config['multiple'] ?? false ) );
+
+		if ( $operator === '' || ! isset( $operators[ $operator ] ) ) {
+			return __( 'Select an operator.', 'arraypress' );
+		}
+
+		foreach ( (array) ( $rule['value'] ?? [] ) as $value ) {
+			if ( ValueLists::is_reference( $value ) && ValueLists::get_list( $value ) === null ) {
+				return __( 'A value list it uses no longer exists.', 'arraypress' );
+			}
+		}
+
+		return TypeSanitizer::validate( $rule['value'] ?? null, $config, $operator );
+	}
+
+	/**
+	 * Parse a rule value into the form its comparison uses.
+	 *
+	 * IP and email patterns become trimmed lists (emails lowercased), and
+	 * numbers, ranges and number-with-unit values are cast to floats.
+	 *
+	 * @param mixed  $value    The saved value.
+	 * @param array  $config   The condition configuration.
+	 * @param string $operator The rule operator.
+	 *
+	 * @return mixed
+	 */
+	private static function parse_value( mixed $value, array $config, string $operator ): mixed {
+		$type = $config['type'] ?? 'text';
+
+		if ( str_starts_with( $operator, 'ip_' ) || str_starts_with( $operator, 'email_' ) ) {
+			$patterns = array_map( 'trim', array_map( 'strval', array_filter( (array) $value, 'is_scalar' ) ) );
+
+			if ( str_starts_with( $operator, 'email_' ) ) {
+				$patterns = array_map( 'strtolower', $patterns );
+			}
+
+			return array_values( array_unique( array_filter( $patterns, 'strlen' ) ) );
+		}
+
+		if ( ! in_array( $type, [ 'number', 'number_unit' ], true ) ) {
+			return $value;
+		}
+
+		if ( is_array( $value ) && array_key_exists( 'from', $value ) ) {
+			return [
+				'from' => (float) $value['from'],
+				'to'   => (float) ( $value['to'] ?? 0 ),
+			];
+		}
+
+		if ( $type === 'number_unit' && is_array( $value ) ) {
+			return [
+				'number' => (float) ( $value['number'] ?? 0 ),
+				'unit'   => (string) ( $value['unit'] ?? '' ),
+			];
+		}
+
+		return is_numeric( $value ) ? (float) $value : $value;
+	}
+
+}
\ No newline at end of file
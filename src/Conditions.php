@@ -73,11 +73,11 @@ class Conditions {
 	 * @return array<string, array>
 	 */
 	public static function get_services(): array {
-		return array_merge(
+		return self::with_cost( array_merge(
 			Services\ProxyCheck::get_all(),
 			Services\IPInfo::get_all(),
 			Services\IPQualityScore::get_all()
-		);
+		), 'remote' );
 	}
 
 	/**
@@ -90,7 +90,7 @@ class Conditions {
 
 		// Easy Digital Downloads
 		if ( function_exists( 'EDD' ) || class_exists( 'Easy_Digital_Downloads' ) ) {
-			$conditions = array_merge( $conditions, EDD\Conditions::get_all() );
+			$conditions = array_merge( $conditions, self::with_cost( EDD\Conditions::get_all(), 'query' ) );
 		}
 
 		// WooCommerce (future)
@@ -106,4 +106,25 @@ class Conditions {
 		return $conditions;
 	}
 
+	/**
+	 * Set the cost of conditions that compute their value.
+	 *
+	 * Conditions that read an argument stay cheap, and any cost already set
+	 * is kept.
+	 *
+	 * @param array<string, array> $conditions The conditions.
+	 * @param string               $cost       The cost: 'query' or 'remote'.
+	 *
+	 * @return array<string, array>
+	 */
+	private static function with_cost( array $conditions, string $cost ): array {
+		foreach ( $conditions as $id => $condition ) {
+			if ( ! isset( $condition['cost'] ) && isset( $condition['compare_value'] ) ) {
+				$conditions[ $id ]['cost'] = $cost;
+			}
+		}
+
+		return $conditions;
+	}
+
 }
\ No newline at end of file
@@ -42,6 +42,7 @@ class Request {
 				'type'          => 'text',
 				'placeholder'   => __( 'e.g. /checkout/', 'arraypress' ),
 				'description'   => __( 'Match against the current URL.', 'arraypress' ),
+				'operators'     => Operators::text_advanced(),
 				'compare_value' => fn( $args ) => RequestHelper::get_current_url( $args ),
 				'required_args' => [],
 			],
@@ -116,6 +117,7 @@ class Request {
 				'description'   => __( 'Match against the visitor country (requires Cloudflare or geo-IP service).', 'arraypress' ),
 				'operators'     => Operators::collection_any_none(),
 				'options'       => fn() => function_exists( 'get_country_options' ) ? get_country_options() : [],
+				'lazy_options'  => true,
 				'compare_value' => fn( $args ) => $args['country'] ?? IP::get_country(),
 				'required_args' => [],
 			],
@@ -169,6 +171,16 @@ class Request {
 				'compare_value' => fn( $args ) => $args['operating_system'] ?? UserAgent::get_os(),
 				'required_args' => [],
 			],
+			'user_agent'           => [
+				'label'         => __( 'User Agent', 'arraypress' ),
+				'group'         => __( 'Request', 'arraypress' ),
+				'type'          => 'text',
+				'placeholder'   => __( 'e.g. Firefox', 'arraypress' ),
+				'description'   => __( 'Match against the raw browser user agent string.', 'arraypress' ),
+				'operators'     => Operators::text_advanced(),
+				'compare_value' => fn( $args ) => RequestHelper::get_user_agent( $args ),
+				'required_args' => [],
+			],
 			'is_bot'               => [
 				'label'         => __( 'Is Bot/Crawler', 'arraypress' ),
 				'group'         => __( 'Request', 'arraypress' ),
@@ -185,6 +197,7 @@ class Request {
 				'type'          => 'text',
 				'placeholder'   => __( 'e.g. example.com/page', 'arraypress' ),
 				'description'   => __( 'Match against the full HTTP referrer URL.', 'arraypress' ),
+				'operators'     => Operators::text_advanced(),
 				'compare_value' => fn( $args ) => $args['referrer_url'] ?? Referrer::get(),
 				'required_args' => [],
 			],
@@ -194,6 +207,7 @@ class Request {
 				'type'          => 'text',
 				'placeholder'   => __( 'e.g. google.com', 'arraypress' ),
 				'description'   => __( 'Match against the referrer root domain.', 'arraypress' ),
+				'operators'     => Operators::text_advanced(),
 				'compare_value' => fn( $args ) => $args['referrer_domain'] ?? Referrer::get_root_domain(),
 				'required_args' => [],
 			],
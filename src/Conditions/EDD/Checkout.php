@@ -83,6 +83,7 @@ class Checkout {
 				'placeholder'   => __( 'Select countries...', 'arraypress' ),
 				'description'   => __( 'The billing country entered at checkout.', 'arraypress' ),
 				'options'       => fn() => Options::get_countries(),
+				'lazy_options'  => true,
 				'operators'     => Operators::collection_any_none(),
 				'compare_value' => fn( $args ) => CheckoutHelper::get_country( $args ),
 				'required_args' => [],
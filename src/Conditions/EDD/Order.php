@@ -249,6 +249,7 @@ class Order {
 				'placeholder'   => __( 'Select countries...', 'arraypress' ),
 				'description'   => __( 'The billing country for the order.', 'arraypress' ),
 				'options'       => fn() => Options::get_countries(),
+				'lazy_options'  => true,
 				'operators'     => Operators::collection_any_none(),
 				'compare_value' => fn( $args ) => OrderHelper::get_country( $args ),
 				'required_args' => [ 'order_id' ],
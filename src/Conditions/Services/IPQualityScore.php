@@ -114,7 +114,8 @@ class IPQualityScore {
 				'multiple'      => true,
 				'placeholder'   => __( 'Select countries...', 'arraypress' ),
 				'description'   => __( 'The country of the IP address.', 'arraypress' ),
-				'options'       => Countries::get_options(),
+				'options'       => fn() => Countries::get_options(),
+				'lazy_options'  => true,
 				'operators'     => Operators::collection_any_none(),
 				'compare_value' => fn( $args ) => IPQSHelper::get_country( $args ),
 				'required_args' => [ 'ip', 'ipqs_api_key' ],
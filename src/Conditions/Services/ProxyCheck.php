@@ -110,7 +110,8 @@ class ProxyCheck {
 				'multiple'      => true,
 				'placeholder'   => __( 'Select countries...', 'arraypress' ),
 				'description'   => __( 'The country of the IP address.', 'arraypress' ),
-				'options'       => Countries::get_options(),
+				'options'       => fn() => Countries::get_options(),
+				'lazy_options'  => true,
 				'operators'     => Operators::collection_any_none(),
 				'compare_value' => fn( $args ) => ProxyCheckHelper::get_country_code( $args ),
 				'required_args' => [ 'ip', 'proxycheck_api_key' ],
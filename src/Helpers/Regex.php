@@ -0,0 +1,147 @@
+<?php
+/**
+ * Regex Helper
+ *
+ * Provides safe regular expression matching for user-entered patterns.
+ *
+ * @package     ArrayPress\Conditions\Helpers
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Helpers;
+
+/**
+ * Class Regex
+ *
+ * Compiles and runs patterns from the regex operators with length caps and
+ * tight PCRE limits, so a bad pattern fails the rule instead of the request.
+ */
+class Regex {
+
+	/**
+	 * Maximum pattern length.
+	 *
+	 * @var int
+	 */
+	public const MAX_LENGTH = 255;
+
+	/**
+	 * Maximum length of the value being matched.
+	 *
+	 * @var int
+	 */
+	public const MAX_SUBJECT = 4096;
+
+	/**
+	 * Backtracking limit while matching (PHP's default is 1,000,000).
+	 *
+	 * @var int
+	 */
+	private const BACKTRACK_LIMIT = 100000;
+
+	/**
+	 * Matches a pattern that already has delimiters and optional modifiers.
+	 *
+	 * Any delimiter PCRE accepts counts, except bracket pairs: "(a|b)" and
+	 * "[abc]" are read as a group and a character class.
+	 *
+	 * @var string
+	 */
+	private const DELIMITED = '/^([^\w\s\\\\(){}\[\]<>])(.+)\1[imsxuADSUXJn]*$/s';
+
+	/**
+	 * Convert a user pattern to a delimited PCRE pattern.
+	 *
+	 * Patterns are written without delimiters and match case-insensitively
+	 * (e.g. "^Mozilla.*Firefox"). Patterns that already have delimiters and
+	 * optional modifiers (e.g. "/firefox/i" or "#^/shop/#") are used as they
+	 * are, so they keep their own flags.
+	 *
+	 * @param string $pattern The user pattern.
+	 *
+	 * @return string
+	 */
+	public static function to_pcre( string $pattern ): string {
+		if ( preg_match( self::DELIMITED, $pattern ) ) {
+			return $pattern;
+		}
+
+		return '~' . preg_replace( '/(?<!\\\\)~/', '\\~', $pattern ) . '~i';
+	}
+
+	/**
+	 * Get the error for an invalid pattern.
+	 *
+	 * @param string $pattern The user pattern.
+	 *
+	 * @return string|null An error message, or null if the pattern is valid.
+	 */
+	public static function get_error( string $pattern ): ?string {
+		if ( strlen( $pattern ) > self::MAX_LENGTH ) {
+			/* translators: %d: maximum pattern length */
+			return sprintf( __( 'Patterns must be no longer than %d characters.', 'arraypress' ), self::MAX_LENGTH );
+		}
+
+		if ( self::run( self::to_pcre( $pattern ), '' ) === false ) {
+			return __( 'Enter a valid regular expression.', 'arraypress' );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Match a value against a user pattern.
+	 *
+	 * JIT is switched off for the match so the backtracking limit applies,
+	 * stopping patterns like "(a+)+$" from stalling the request.
+	 *
+	 * @param string $pattern The user pattern.
+	 * @param string $subject The value to match.
+	 *
+	 * @return bool|null True or false, or null if the pattern is invalid or hit a limit.
+	 */
+	public static function matches( string $pattern, string $subject ): ?bool {
+		if ( $pattern === '' || strlen( $pattern ) > self::MAX_LENGTH ) {
+			return null;
+		}
+
+		$result = self::run( self::to_pcre( $pattern ), substr( $subject, 0, self::MAX_SUBJECT ) );
+
+		return $result === false ? null : $result === 1;
+	}
+
+	/**
+	 * Run a PCRE pattern with JIT off and the backtracking limit lowered.
+	 *
+	 * PHP caches compiled patterns along with their JIT code, so validating
+	 * a pattern with JIT on would let later matches skip the limit. Every
+	 * compile goes through here for that reason.
+	 *
+	 * @param string $pcre    The delimited pattern.
+	 * @param string $subject The value to match.
+	 *
+	 * @return int|false 1 or 0, or false if the pattern is invalid or hit a limit.
+	 */
+	private static function run( string $pcre, string $subject ): int|false {
+		$jit       = ini_set( 'pcre.jit', '0' );
+		$backtrack = ini_set( 'pcre.backtrack_limit', (string) self::BACKTRACK_LIMIT );
+
+		$result = @preg_match( $pcre, $subject );
+
+		if ( $jit !== false ) {
+			ini_set( 'pcre.jit', $jit );
+		}
+
+		if ( $backtrack !== false ) {
+			ini_set( 'pcre.backtrack_limit', $backtrack );
+		}
+
+		return $result;
+	}
+
+}
\ No newline at end of file
@@ -55,6 +55,17 @@ class Request {
 		return $args['is_ssl'] ?? is_ssl();
 	}
 
+	/**
+	 * Get the raw user agent string.
+	 *
+	 * @param array $args The condition arguments.
+	 *
+	 * @return string
+	 */
+	public static function get_user_agent( array $args = [] ): string {
+		return $args['user_agent'] ?? sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ?? '' ) );
+	}
+
 	/**
 	 * Get the HTTP request method.
 	 *
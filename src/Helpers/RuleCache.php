@@ -0,0 +1,95 @@
+<?php
+/**
+ * Rule Cache Helper
+ *
+ * Stores compiled rule sets in the object cache.
+ *
+ * @package     ArrayPress\Conditions\Helpers
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Helpers;
+
+use ArrayPress\Conditions\Compiler;
+
+/**
+ * Class RuleCache
+ *
+ * Caches the rules of a set (IDs, groups and schedule windows) so a
+ * persistent object cache can answer checks without querying rule posts.
+ * Entries are keyed by a per-set "last changed" stamp, so flushing a set
+ * only needs a new stamp.
+ */
+class RuleCache {
+
+	/**
+	 * Object cache group.
+	 *
+	 * @var string
+	 */
+	public const GROUP = 'conditions';
+
+	/**
+	 * Get a cached rule set.
+	 *
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $query_args The query arguments the rules were found with.
+	 *
+	 * @return array|null The compiled rules, or null if not cached.
+	 */
+	public static function get( string $set_id, array $query_args ): ?array {
+		$rules = wp_cache_get( self::get_key( $set_id, $query_args ), self::GROUP );
+
+		return is_array( $rules ) ? $rules : null;
+	}
+
+	/**
+	 * Cache a rule set.
+	 *
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $query_args The query arguments the rules were found with.
+	 * @param array  $rules      The compiled rules.
+	 *
+	 * @return void
+	 */
+	public static function set( string $set_id, array $query_args, array $rules ): void {
+		wp_cache_set( self::get_key( $set_id, $query_args ), $rules, self::GROUP );
+	}
+
+	/**
+	 * Invalidate every cached rule set for a condition set.
+	 *
+	 * @param string $set_id The condition set ID.
+	 *
+	 * @return void
+	 */
+	public static function flush( string $set_id ): void {
+		wp_cache_set( 'last_changed:' . $set_id, microtime(), self::GROUP );
+	}
+
+	/**
+	 * Get the cache key for a rule set.
+	 *
+	 * @param string $set_id     The condition set ID.
+	 * @param array  $query_args The query arguments.
+	 *
+	 * @return string
+	 */
+	private static function get_key( string $set_id, array $query_args ): string {
+		$last_changed = wp_cache_get( 'last_changed:' . $set_id, self::GROUP );
+
+		if ( ! $last_changed ) {
+			$last_changed = microtime();
+			wp_cache_set( 'last_changed:' . $set_id, $last_changed, self::GROUP );
+		}
+
+		// Cached plans go stale with the set's registered conditions too
+		return 'rules:' . $set_id . ':' . md5( serialize( $query_args ) ) . ':' . $last_changed . ':' . Compiler::get_stamp( $set_id );
+	}
+
+}
\ No newline at end of file
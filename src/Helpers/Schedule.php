@@ -0,0 +1,189 @@
+<?php
+/**
+ * Schedule Helper
+ *
+ * Reads and checks the active-from / active-until window of rule posts.
+ *
+ * @package     ArrayPress\Conditions\Helpers
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Helpers;
+
+use DateTimeImmutable;
+use DateTimeZone;
+
+/**
+ * Class Schedule
+ *
+ * Rule schedules are stored as GMT "Y-m-d H:i:s" strings so they can be
+ * compared in a meta query. Either end may be missing (no limit).
+ */
+class Schedule {
+
+	/**
+	 * Meta key for the start of the window.
+	 *
+	 * @var string
+	 */
+	public const FROM_KEY = '_active_from';
+
+	/**
+	 * Meta key for the end of the window.
+	 *
+	 * @var string
+	 */
+	public const UNTIL_KEY = '_active_until';
+
+	/**
+	 * Format of the datetime-local inputs in the schedule panel.
+	 *
+	 * @var string
+	 */
+	public const INPUT_FORMAT = 'Y-m-d\TH:i';
+
+	/**
+	 * Get a rule's schedule window.
+	 *
+	 * @param int $post_id The rule post ID.
+	 *
+	 * @return array{from: string, until: string} GMT datetimes, empty for no limit.
+	 */
+	public static function get_window( int $post_id ): array {
+		return [
+			'from'  => (string) get_post_meta( $post_id, self::FROM_KEY, true ),
+			'until' => (string) get_post_meta( $post_id, self::UNTIL_KEY, true ),
+		];
+	}
+
+	/**
+	 * Get a rule's schedule status.
+	 *
+	 * @param int      $post_id The rule post ID.
+	 * @param int|null $now     Optional. Unix timestamp to check against. Default now.
+	 *
+	 * @return string 'scheduled', 'active' or 'expired'.
+	 */
+	public static function get_status( int $post_id, ?int $now = null ): string {
+		return self::get_window_status( self::get_window( $post_id ), $now );
+	}
+
+	/**
+	 * Get the status of a schedule window.
+	 *
+	 * @param array{from: string, until: string} $window The window, as returned by get_window().
+	 * @param int|null                           $now    Optional. Unix timestamp to check against. Default now.
+	 *
+	 * @return string 'scheduled', 'active' or 'expired'.
+	 */
+	public static function get_window_status( array $window, ?int $now = null ): string {
+		$now = gmdate( 'Y-m-d H:i:s', $now ?? time() );
+
+		if ( $window['from'] !== '' && $window['from'] > $now ) {
+			return 'scheduled';
+		}
+
+		if ( $window['until'] !== '' && $window['until'] <= $now ) {
+			return 'expired';
+		}
+
+		return 'active';
+	}
+
+	/**
+	 * Get the label for a schedule status.
+	 *
+	 * @param string $status The status.
+	 *
+	 * @return string
+	 */
+	public static function get_status_label( string $status ): string {
+		return match ( $status ) {
+			'scheduled' => __( 'Scheduled', 'arraypress' ),
+			'expired' => __( 'Expired', 'arraypress' ),
+			default => __( 'Active', 'arraypress' ),
+		};
+	}
+
+	/**
+	 * Get a meta query that only finds rules inside their window.
+	 *
+	 * @param int|null $now Optional. Unix timestamp to check against. Default now.
+	 *
+	 * @return array
+	 */
+	public static function get_meta_query( ?int $now = null ): array {
+		$now = gmdate( 'Y-m-d H:i:s', $now ?? time() );
+
+		return [
+			'relation' => 'AND',
+			[
+				'relation' => 'OR',
+				[
+					'key'     => self::FROM_KEY,
+					'compare' => 'NOT EXISTS',
+				],
+				[
+					'key'     => self::FROM_KEY,
+					'value'   => $now,
+					'compare' => '<=',
+					'type'    => 'DATETIME',
+				],
+			],
+			[
+				'relation' => 'OR',
+				[
+					'key'     => self::UNTIL_KEY,
+					'compare' => 'NOT EXISTS',
+				],
+				[
+					'key'     => self::UNTIL_KEY,
+					'value'   => $now,
+					'compare' => '>',
+					'type'    => 'DATETIME',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Convert a datetime-local input value in the site timezone to GMT.
+	 *
+	 * @param string $value The input value (e.g. 2026-03-01T09:00).
+	 *
+	 * @return string GMT "Y-m-d H:i:s", or an empty string if invalid.
+	 */
+	public static function to_gmt( string $value ): string {
+		$date = DateTimeImmutable::createFromFormat( self::INPUT_FORMAT, $value, wp_timezone() );
+
+		if ( ! $date || $date->format( self::INPUT_FORMAT ) !== $value ) {
+			return '';
+		}
+
+		return $date->setTimezone( new DateTimeZone( 'UTC' ) )->format( 'Y-m-d H:i:s' );
+	}
+
+	/**
+	 * Convert a stored GMT datetime to the site timezone.
+	 *
+	 * @param string $gmt    GMT "Y-m-d H:i:s".
+	 * @param string $format Optional. Output format. Default the input format.
+	 *
+	 * @return string The formatted date, or an empty string if not set.
+	 */
+	public static function to_local( string $gmt, string $format = self::INPUT_FORMAT ): string {
+		if ( $gmt === '' ) {
+			return '';
+		}
+
+		$date = DateTimeImmutable::createFromFormat( 'Y-m-d H:i:s', $gmt, new DateTimeZone( 'UTC' ) );
+
+		return $date ? (string) wp_date( $format, $date->getTimestamp() ) : '';
+	}
+
+}
\ No newline at end of file
@@ -260,7 +260,8 @@ class User {
 			return '';
 		}
 
-		return date( 'Y-m-d', strtotime( $user->user_registered ) );
+		// Stored in GMT, compared as a date on the site
+		return wp_date( 'Y-m-d', strtotime( $user->user_registered . ' UTC' ) );
 	}
 
 }
\ No newline at end of file
@@ -0,0 +1,214 @@
+<?php
+/**
+ * Value Lists Helper
+ *
+ * Reads and expands the named value lists rules can reference.
+ *
+ * @package     ArrayPress\Conditions\Helpers
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Helpers;
+
+use ArrayPress\Conditions\Admin\TypeSanitizer;
+
+/**
+ * Class ValueLists
+ *
+ * Value lists are posts holding a list of IPs, email patterns or text
+ * values. Tags, IP and email rules reference a list with a "list:{ID}"
+ * value, which is swapped for the list's values at match time, so
+ * editing a list updates every rule that uses it.
+ */
+class ValueLists {
+
+	/**
+	 * Post type of value lists.
+	 *
+	 * @var string
+	 */
+	public const POST_TYPE = 'conditions_list';
+
+	/**
+	 * Meta key of a list's values.
+	 *
+	 * @var string
+	 */
+	public const VALUES_KEY = '_list_values';
+
+	/**
+	 * Meta key of a list's type.
+	 *
+	 * @var string
+	 */
+	public const TYPE_KEY = '_list_type';
+
+	/**
+	 * Prefix of list references in rule values.
+	 *
+	 * @var string
+	 */
+	public const PREFIX = 'list:';
+
+	/**
+	 * Loaded lists, by post ID.
+	 *
+	 * @var array<int, array{label: string, type: string, values: string[]}|null>
+	 */
+	private static array $lists = [];
+
+	/**
+	 * Get the list types and their labels.
+	 *
+	 * Tags fields use text lists.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function get_types(): array {
+		return [
+			'ip'    => __( 'IP addresses and ranges', 'arraypress' ),
+			'email' => __( 'Email addresses and domains', 'arraypress' ),
+			'text'  => __( 'Text values', 'arraypress' ),
+		];
+	}
+
+	/**
+	 * Get the list type used by a field type.
+	 *
+	 * @param string $field_type The condition field type.
+	 *
+	 * @return string|null The list type, or null if the field can't use lists.
+	 */
+	public static function get_type_for_field( string $field_type ): ?string {
+		return match ( $field_type ) {
+			'ip' => 'ip',
+			'email' => 'email',
+			'tags' => 'text',
+			default => null,
+		};
+	}
+
+	/**
+	 * Check whether a rule value is a list reference.
+	 *
+	 * @param mixed $value The value.
+	 *
+	 * @return bool
+	 */
+	public static function is_reference( mixed $value ): bool {
+		return is_string( $value ) && preg_match( '/^list:\d+$/', $value ) === 1;
+	}
+
+	/**
+	 * Get the list a reference points to.
+	 *
+	 * @param string $reference The reference (e.g. "list:12").
+	 *
+	 * @return array{label: string, type: string, values: string[]}|null Null if missing or not published.
+	 */
+	public static function get_list( string $reference ): ?array {
+		if ( ! self::is_reference( $reference ) ) {
+			return null;
+		}
+
+		$id = (int) substr( $reference, strlen( self::PREFIX ) );
+
+		if ( ! array_key_exists( $id, self::$lists ) ) {
+			$post = get_post( $id );
+
+			self::$lists[ $id ] = $post && $post->post_type === self::POST_TYPE && $post->post_status === 'publish'
+				? [
+					'label'  => $post->post_title,
+					'type'   => (string) get_post_meta( $id, self::TYPE_KEY, true ),
+					'values' => array_values( array_filter( (array) get_post_meta( $id, self::VALUES_KEY, true ), 'is_string' ) ),
+				]
+				: null;
+		}
+
+		return self::$lists[ $id ];
+	}
+
+	/**
+	 * Replace list references with the values of their lists.
+	 *
+	 * References to missing lists expand to nothing.
+	 *
+	 * @param array $values Rule values, possibly including references.
+	 *
+	 * @return array
+	 */
+	public static function expand( array $values ): array {
+		$expanded = [];
+
+		foreach ( $values as $value ) {
+			if ( ! self::is_reference( $value ) ) {
+				$expanded[] = $value;
+				continue;
+			}
+
+			array_push( $expanded, ...( self::get_list( $value )['values'] ?? [] ) );
+		}
+
+		return $expanded;
+	}
+
+	/**
+	 * Get published lists as reference/label options, by list type.
+	 *
+	 * @return array<string, array<array{value: string, label: string}>>
+	 */
+	public static function get_options(): array {
+		$options = array_fill_keys( array_keys( self::get_types() ), [] );
+
+		$posts = get_posts( [
+			'post_type'      => self::POST_TYPE,
+			'post_status'    => 'publish',
+			'posts_per_page' => -1,
+			'orderby'        => 'title',
+			'order'          => 'ASC',
+		] );
+
+		foreach ( $posts as $post ) {
+			$type = (string) get_post_meta( $post->ID, self::TYPE_KEY, true );
+
+			if ( isset( $options[ $type ] ) ) {
+				$options[ $type ][] = [
+					'value' => self::PREFIX . $post->ID,
+					'label' => $post->post_title,
+				];
+			}
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Sanitize the values of a list, entered one per line.
+	 *
+	 * Values are checked as the matching rule field would check them, and
+	 * lists can't reference other lists.
+	 *
+	 * @param string $type The list type.
+	 * @param string $raw  The raw values.
+	 *
+	 * @return string[]
+	 */
+	public static function sanitize_values( string $type, string $raw ): array {
+		$lines = array_filter( array_map( 'trim', preg_split( '/[\r\n,]+/', $raw ) ?: [] ), 'strlen' );
+		$lines = array_filter( $lines, fn( $line ) => ! self::is_reference( $line ) );
+
+		$values = match ( $type ) {
+			'ip' => TypeSanitizer::ip( array_values( $lines ) ),
+			'email' => TypeSanitizer::email( array_values( $lines ) ),
+			default => TypeSanitizer::tags( array_values( $lines ) ),
+		};
+
+		return array_values( array_unique( (array) $values ) );
+	}
+
+}
\ No newline at end of file
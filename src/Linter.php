@@ -0,0 +1,642 @@
+<?php
+/**
+ * Rule Linter
+ *
+ * Finds rules that contradict or repeat each other, and groups that can
+ * never change whether a rule matches.
+ *
+ * @package     ArrayPress\Conditions
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions;
+
+use ArrayPress\Conditions\Abstracts\Condition;
+use ArrayPress\Conditions\Admin\Sanitizer;
+use ArrayPress\Conditions\Comparators\Comparator;
+use ReflectionMethod;
+
+/**
+ * Class Linter
+ *
+ * Compares the rules of each group in pairs, using the same operator
+ * semantics as the Comparator:
+ *
+ * - contradiction: two rules of an "all" group can never pass together
+ *   (cart total > 100 and cart total < 50), so the group never matches.
+ * - redundant: a rule never changes its group's outcome, because another
+ *   rule in the group already implies it ("all") or is implied by it ("any").
+ * - covered: a top-level group can only match when another group does, so
+ *   it never changes whether the rule matches.
+ *
+ * Only rules on the same condition (and unit) are compared, and only for
+ * conditions whose compare value is worked out once per check and compared
+ * with the default Comparator. Warnings are advisory: rules are still saved
+ * and matched as they are.
+ */
+class Linter {
+
+	/**
+	 * Lint compiled condition groups.
+	 *
+	 * @param string $set_id The condition set ID.
+	 * @param array  $groups Compiled condition groups (see Compiler).
+	 *
+	 * @return array<array{type: string, group: string, rules: string[], message: string}>
+	 */
+	public static function lint( string $set_id, array $groups ): array {
+		$configs  = Registry::get_conditions_raw( $set_id );
+		$warnings = [];
+
+		foreach ( $groups as $group ) {
+			if ( is_array( $group ) && ! Matcher::is_disabled( $group ) ) {
+				self::lint_items( $group, $configs, $warnings );
+			}
+		}
+
+		array_push( $warnings, ...self::get_covered_groups( $groups ) );
+
+		/**
+		 * Filter the lint warnings of a set of condition groups.
+		 *
+		 * @param array  $warnings The warnings (type, group, rules and message).
+		 * @param string $set_id   The condition set ID.
+		 * @param array  $groups   The compiled condition groups.
+		 */
+		return apply_filters( 'conditions_lint_warnings', $warnings, $set_id, $groups );
+	}
+
+	/**
+	 * Compare the rules of a group or subgroup, then lint its subgroups.
+	 *
+	 * @param array $group    The group or subgroup.
+	 * @param array $configs  Condition configurations.
+	 * @param array $warnings Collects warnings.
+	 *
+	 * @return void
+	 */
+	private static function lint_items( array $group, array $configs, array &$warnings ): void {
+		$match_any = ( $group['match'] ?? 'all' ) === 'any';
+		$group_id  = (string) ( $group['id'] ?? '' );
+		$buckets   = [];
+
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( ! is_array( $item ) || Matcher::is_disabled( $item ) ) {
+				continue;
+			}
+
+			if ( Matcher::is_subgroup( $item ) ) {
+				self::lint_items( $item, $configs, $warnings );
+				continue;
+			}
+
+			$config = $configs[ $item['condition'] ?? '' ] ?? null;
+
+			// Invalid rules always fail, whatever their value says
+			if ( $config !== null && empty( $item['invalid'] ) && self::is_lintable( $config ) ) {
+				$buckets[ self::get_key( $item, $config ) ][] = $item;
+			}
+		}
+
+		foreach ( $buckets as $rules ) {
+			$config    = $configs[ $rules[0]['condition'] ];
+			$label     = (string) ( $config['label'] ?? $rules[0]['condition'] );
+			$redundant = [];
+
+			foreach ( $rules as $i => $a ) {
+				foreach ( array_slice( $rules, $i + 1, null, true ) as $j => $b ) {
+					if ( isset( $redundant[ $i ] ) || isset( $redundant[ $j ] ) ) {
+						continue;
+					}
+
+					$relation = self::get_relation( $a, $b, $config );
+
+					if ( $relation === null ) {
+						continue;
+					}
+
+					if ( $relation === 'contradiction' ) {
+						// Either rule passing is enough for an "any" group
+						if ( ! $match_any ) {
+							$warnings[] = self::get_warning( 'contradiction', $group_id, [ $a, $b ], sprintf(
+								/* translators: %s: condition label */
+								__( '%s: these rules can never pass together, so this group never matches.', 'arraypress' ),
+								$label
+							) );
+						}
+						continue;
+					}
+
+					// "all" drops the implied rule, "any" the rule that implies it
+					$drop_b = $relation === 'equivalent' || ( $relation === 'forward' ) !== $match_any;
+
+					$redundant[ $drop_b ? $j : $i ] = true;
+
+					$warnings[] = self::get_warning( 'redundant', $group_id, $drop_b ? [ $b, $a ] : [ $a, $b ], sprintf(
+						$match_any
+							/* translators: %s: condition label */
+							? __( '%s: another rule in this group passes whenever this one does, so it has no effect.', 'arraypress' )
+							/* translators: %s: condition label */
+							: __( '%s: this rule always passes when another rule in this group does, so it has no effect.', 'arraypress' ),
+						$label
+					) );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Build a warning.
+	 *
+	 * @param string $type     contradiction, redundant or covered.
+	 * @param string $group_id The group or subgroup ID.
+	 * @param array  $rules    The rules involved, the one the warning is about first.
+	 * @param string $message  The message.
+	 *
+	 * @return array{type: string, group: string, rules: string[], message: string}
+	 */
+	private static function get_warning( string $type, string $group_id, array $rules, string $message ): array {
+		return [
+			'type'    => $type,
+			'group'   => $group_id,
+			'rules'   => array_map( fn( $rule ) => (string) ( $rule['id'] ?? '' ), $rules ),
+			'message' => $message,
+		];
+	}
+
+	/**
+	 * Check whether rules on a condition can be compared with each other.
+	 *
+	 * The rules must see the same compare value in a check (memoized, and
+	 * not depending on the rule's own value) and be compared with the
+	 * default Comparator.
+	 *
+	 * @param array $config The condition configuration.
+	 *
+	 * @return bool
+	 */
+	private static function is_lintable( array $config ): bool {
+		if ( ! ( $config['memoize'] ?? true ) || Matcher::depends_on_user_value( $config ) ) {
+			return false;
+		}
+
+		if ( isset( $config['instance'] ) && $config['instance'] instanceof Condition ) {
+			$method = new ReflectionMethod( $config['instance'], 'compare' );
+
+			return $method->getDeclaringClass()->getName() === Condition::class;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the key of the compare value a rule is checked against.
+	 *
+	 * Number and text fields with units are compared per unit, matching
+	 * how the Matcher memoizes their compare values.
+	 *
+	 * @param array $rule   The rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return string
+	 */
+	private static function get_key( array $rule, array $config ): string {
+		$key = (string) $rule['condition'];
+
+		if ( in_array( $config['type'] ?? '', [ 'number_unit', 'text_unit' ], true ) ) {
+			$key .= '|' . (string) ( $rule['value']['unit'] ?? '' );
+		}
+
+		return $key;
+	}
+
+	/**
+	 * Get the value a rule compares against, as the Matcher passes it to the Comparator.
+	 *
+	 * @param array $rule   The rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return mixed
+	 */
+	private static function get_operand( array $rule, array $config ): mixed {
+		$value = $rule['value'] ?? null;
+
+		return match ( $config['type'] ?? 'text' ) {
+			'number_unit' => is_array( $value ) && ! array_key_exists( 'from', $value ) ? ( $value['number'] ?? null ) : $value,
+			'text_unit' => is_array( $value ) ? ( $value['text'] ?? null ) : $value,
+			default => $value,
+		};
+	}
+
+	/**
+	 * Work out how two rules on the same compare value relate.
+	 *
+	 * @param array $a      The first rule.
+	 * @param array $b      The second rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return string|null 'contradiction' (never both pass), 'forward' (a passing
+	 *                     means b passes), 'backward' (b passing means a passes),
+	 *                     'equivalent', or null if unrelated or unknown.
+	 */
+	private static function get_relation( array $a, array $b, array $config ): ?string {
+		$type = $config['type'] ?? 'text';
+
+		if ( in_array( $type, [ 'number', 'number_unit', 'date' ], true ) ) {
+			return self::relate_intervals( self::get_interval( $a, $config ), self::get_interval( $b, $config ) );
+		}
+
+		if ( in_array( $type, [ 'post', 'term', 'user', 'ajax' ], true ) || ( $type === 'select' && ! empty( $config['multiple'] ) ) ) {
+			return self::relate_sets( $a, $b );
+		}
+
+		if ( in_array( $type, [ 'tags', 'ip', 'email' ], true ) ) {
+			return null;
+		}
+
+		return self::relate_pinned( $a, $b, $config );
+	}
+
+	/**
+	 * Relate two rules when one of them pins the compare value to a single value.
+	 *
+	 * Once a rule like "is X" passes, the compare value is known, so the
+	 * other rule can be run through the Comparator to see if it passes too.
+	 *
+	 * @param array $a      The first rule.
+	 * @param array $b      The second rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return string|null
+	 */
+	private static function relate_pinned( array $a, array $b, array $config ): ?string {
+		$pin_a = self::get_pin( $a, $config );
+		$pin_b = self::get_pin( $b, $config );
+
+		if ( $pin_a === null && $pin_b === null ) {
+			return null;
+		}
+
+		$comparator = new Comparator( $config['type'] ?? 'text', (bool) ( $config['multiple'] ?? false ) );
+
+		if ( $pin_a !== null ) {
+			if ( ! $comparator->compare( (string) $b['operator'], self::get_operand( $b, $config ), $pin_a[0] ) ) {
+				return 'contradiction';
+			}
+
+			return $pin_b !== null ? 'equivalent' : 'forward';
+		}
+
+		return $comparator->compare( (string) $a['operator'], self::get_operand( $a, $config ), $pin_b[0] )
+			? 'backward'
+			: 'contradiction';
+	}
+
+	/**
+	 * Get the single compare value a rule allows, if it allows only one.
+	 *
+	 * @param array $rule   The rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return array{0: mixed}|null The value, wrapped so null can be pinned, or null.
+	 */
+	private static function get_pin( array $rule, array $config ): ?array {
+		$operator = (string) ( $rule['operator'] ?? '' );
+
+		if ( ( $config['type'] ?? '' ) === 'boolean' ) {
+			return in_array( $operator, [ 'yes', 'no' ], true ) ? [ $operator === 'yes' ] : null;
+		}
+
+		return $operator === '==' ? [ self::get_operand( $rule, $config ) ] : null;
+	}
+
+	/**
+	 * Get the interval of compare values a number or date rule passes for.
+	 *
+	 * @param array $rule   The rule.
+	 * @param array $config The condition configuration.
+	 *
+	 * @return array{in: bool, lo: float, lo_open: bool, hi: float, hi_open: bool}|null
+	 *         With 'in' false the rule passes outside the interval. Null if unknown.
+	 */
+	private static function get_interval( array $rule, array $config ): ?array {
+		$operator = (string) ( $rule['operator'] ?? '' );
+		$operand  = self::get_operand( $rule, $config );
+		$is_date  = ( $config['type'] ?? '' ) === 'date';
+
+		if ( $is_date && Operators::is_relative( $operator ) ) {
+			return null;
+		}
+
+		if ( in_array( $operator, [ 'between', 'not_between' ], true ) ) {
+			if ( ! is_array( $operand ) || ! array_key_exists( 'from', $operand ) ) {
+				return null;
+			}
+
+			$from = self::to_number( $operand['from'], $is_date );
+			$to   = self::to_number( $operand['to'] ?? '', $is_date );
+
+			if ( $from === null || $to === null || $from > $to ) {
+				return null;
+			}
+
+			return [ 'in' => $operator === 'between', 'lo' => $from, 'lo_open' => false, 'hi' => $to, 'hi_open' => false ];
+		}
+
+		$number = self::to_number( $operand, $is_date );
+
+		if ( $number === null ) {
+			return null;
+		}
+
+		return match ( $operator ) {
+			'==', '!=' => [ 'in' => $operator === '==', 'lo' => $number, 'lo_open' => false, 'hi' => $number, 'hi_open' => false ],
+			'>', '>=' => [ 'in' => true, 'lo' => $number, 'lo_open' => $operator === '>', 'hi' => INF, 'hi_open' => true ],
+			'<', '<=' => [ 'in' => true, 'lo' => -INF, 'lo_open' => true, 'hi' => $number, 'hi_open' => $operator === '<' ],
+			default => null,
+		};
+	}
+
+	/**
+	 * Convert a rule value into the number the Comparator compares.
+	 *
+	 * @param mixed $value   The value.
+	 * @param bool  $is_date Whether the value is a date (compared by day).
+	 *
+	 * @return float|null
+	 */
+	private static function to_number( mixed $value, bool $is_date ): ?float {
+		if ( ! is_scalar( $value ) ) {
+			return null;
+		}
+
+		if ( $is_date ) {
+			$time = strtotime( (string) $value );
+
+			return $time === false ? null : (float) strtotime( 'midnight', $time );
+		}
+
+		return (float) $value;
+	}
+
+	/**
+	 * Relate two number or date rules by their intervals.
+	 *
+	 * @param array|null $a The first rule's interval.
+	 * @param array|null $b The second rule's interval.
+	 *
+	 * @return string|null
+	 */
+	private static function relate_intervals( ?array $a, ?array $b ): ?string {
+		if ( $a === null || $b === null ) {
+			return null;
+		}
+
+		$a_in_b = self::interval_contains( $b, $a );
+		$b_in_a = self::interval_contains( $a, $b );
+
+		if ( $a['in'] && $b['in'] ) {
+			if ( ! self::intervals_overlap( $a, $b ) ) {
+				return 'contradiction';
+			}
+
+			return self::get_direction( $a_in_b, $b_in_a );
+		}
+
+		if ( ! $a['in'] && ! $b['in'] ) {
+			// Passing outside the larger interval means passing outside the smaller one
+			return self::get_direction( $b_in_a, $a_in_b );
+		}
+
+		[ $inside, $outside ] = $a['in'] ? [ $a, $b ] : [ $b, $a ];
+
+		if ( self::interval_contains( $outside, $inside ) ) {
+			return 'contradiction';
+		}
+
+		if ( ! self::intervals_overlap( $inside, $outside ) ) {
+			return $a['in'] ? 'forward' : 'backward';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether one interval contains another.
+	 *
+	 * @param array $outer The outer interval.
+	 * @param array $inner The inner interval.
+	 *
+	 * @return bool
+	 */
+	private static function interval_contains( array $outer, array $inner ): bool {
+		$lo = $outer['lo'] < $inner['lo'] || ( $outer['lo'] == $inner['lo'] && ( ! $outer['lo_open'] || $inner['lo_open'] ) );
+		$hi = $outer['hi'] > $inner['hi'] || ( $outer['hi'] == $inner['hi'] && ( ! $outer['hi_open'] || $inner['hi_open'] ) );
+
+		return $lo && $hi;
+	}
+
+	/**
+	 * Check whether two intervals share at least one value.
+	 *
+	 * @param array $a The first interval.
+	 * @param array $b The second interval.
+	 *
+	 * @return bool
+	 */
+	private static function intervals_overlap( array $a, array $b ): bool {
+		[ $lo, $lo_open ] = $a['lo'] > $b['lo'] ? [ $a['lo'], $a['lo_open'] ]
+			: ( $a['lo'] < $b['lo'] ? [ $b['lo'], $b['lo_open'] ] : [ $a['lo'], $a['lo_open'] || $b['lo_open'] ] );
+		[ $hi, $hi_open ] = $a['hi'] < $b['hi'] ? [ $a['hi'], $a['hi_open'] ]
+			: ( $a['hi'] > $b['hi'] ? [ $b['hi'], $b['hi_open'] ] : [ $a['hi'], $a['hi_open'] || $b['hi_open'] ] );
+
+		return $lo < $hi || ( $lo == $hi && ! $lo_open && ! $hi_open );
+	}
+
+	/**
+	 * Relate two collection rules (any, none and all of a set of values).
+	 *
+	 * @param array $a The first rule.
+	 * @param array $b The second rule.
+	 *
+	 * @return string|null
+	 */
+	private static function relate_sets( array $a, array $b ): ?string {
+		$kinds = [
+			'=='   => 'any',
+			'any'  => 'any',
+			'!='   => 'none',
+			'none' => 'none',
+			'all'  => 'all',
+		];
+
+		$kind_a = $kinds[ $a['operator'] ?? '' ] ?? null;
+		$kind_b = $kinds[ $b['operator'] ?? '' ] ?? null;
+		$set_a  = array_unique( array_map( 'strval', array_filter( (array) ( $a['value'] ?? [] ), 'is_scalar' ) ) );
+		$set_b  = array_unique( array_map( 'strval', array_filter( (array) ( $b['value'] ?? [] ), 'is_scalar' ) ) );
+
+		if ( $kind_a === null || $kind_b === null || empty( $set_a ) || empty( $set_b ) ) {
+			return null;
+		}
+
+		$a_in_b  = empty( array_diff( $set_a, $set_b ) );
+		$b_in_a  = empty( array_diff( $set_b, $set_a ) );
+		$overlap = ! empty( array_intersect( $set_a, $set_b ) );
+
+		return match ( $kind_a . ':' . $kind_b ) {
+			'any:any' => self::get_direction( $a_in_b, $b_in_a ),
+			'none:none', 'all:all' => self::get_direction( $b_in_a, $a_in_b ),
+			'any:none' => $a_in_b ? 'contradiction' : null,
+			'none:any' => $b_in_a ? 'contradiction' : null,
+			'all:none', 'none:all' => $overlap ? 'contradiction' : null,
+			'all:any' => $overlap ? 'forward' : null,
+			'any:all' => $overlap ? 'backward' : null,
+			default => null,
+		};
+	}
+
+	/**
+	 * Turn two implications into a relation.
+	 *
+	 * @param bool $forward  Whether the first rule passing means the second passes.
+	 * @param bool $backward Whether the second rule passing means the first passes.
+	 *
+	 * @return string|null
+	 */
+	private static function get_direction( bool $forward, bool $backward ): ?string {
+		if ( $forward && $backward ) {
+			return 'equivalent';
+		}
+
+		if ( $forward ) {
+			return 'forward';
+		}
+
+		return $backward ? 'backward' : null;
+	}
+
+	/**
+	 * Find top-level groups that only match when another group does.
+	 *
+	 * Groups are compared by the signatures of their enabled items. When
+	 * two groups are the same, only the later one is reported.
+	 *
+	 * @param array $groups Compiled condition groups.
+	 *
+	 * @return array
+	 */
+	private static function get_covered_groups( array $groups ): array {
+		$sets     = [];
+		$warnings = [];
+
+		foreach ( $groups as $index => $group ) {
+			if ( ! is_array( $group ) || Matcher::is_disabled( $group ) ) {
+				continue;
+			}
+
+			$signatures = self::get_signatures( $group );
+
+			if ( ! empty( $signatures ) ) {
+				$sets[ $index ] = [
+					'id'         => (string) ( $group['id'] ?? '' ),
+					'match'      => $group['match'] ?? 'all',
+					'signatures' => $signatures,
+				];
+			}
+		}
+
+		foreach ( $sets as $index => $covered ) {
+			foreach ( $sets as $other => $covering ) {
+				if ( $other === $index || ! self::covers( $covering, $covered ) ) {
+					continue;
+				}
+
+				if ( $other > $index && self::covers( $covered, $covering ) ) {
+					continue;
+				}
+
+				$warnings[] = [
+					'type'    => 'covered',
+					'group'   => $covered['id'],
+					'rules'   => [],
+					'message' => sprintf(
+						/* translators: %d: position of the other group */
+						__( 'This group only matches when group %d also matches, so it never changes the result.', 'arraypress' ),
+						array_search( $other, array_keys( $groups ), true ) + 1
+					),
+				];
+				break;
+			}
+		}
+
+		return $warnings;
+	}
+
+	/**
+	 * Check whether one group matches whenever another does.
+	 *
+	 * A group with a single item counts as both "all" and "any".
+	 *
+	 * @param array $covering The group that may cover the other.
+	 * @param array $covered  The group that may be covered.
+	 *
+	 * @return bool
+	 */
+	private static function covers( array $covering, array $covered ): bool {
+		$covering_all = $covering['match'] !== 'any' || count( $covering['signatures'] ) === 1;
+		$covering_any = $covering['match'] === 'any' || count( $covering['signatures'] ) === 1;
+		$covered_all  = $covered['match'] !== 'any' || count( $covered['signatures'] ) === 1;
+		$covered_any  = $covered['match'] === 'any' || count( $covered['signatures'] ) === 1;
+
+		if ( $covering_all && $covered_all && empty( array_diff( $covering['signatures'], $covered['signatures'] ) ) ) {
+			return true;
+		}
+
+		if ( $covering_any && $covered_any && empty( array_diff( $covered['signatures'], $covering['signatures'] ) ) ) {
+			return true;
+		}
+
+		return $covering_any && $covered_all && ! empty( array_intersect( $covering['signatures'], $covered['signatures'] ) );
+	}
+
+	/**
+	 * Get the signatures of a group's enabled items.
+	 *
+	 * Subgroups are signed by their match mode and their items' signatures.
+	 *
+	 * @param array $group The group or subgroup.
+	 *
+	 * @return string[] Sorted, unique signatures.
+	 */
+	private static function get_signatures( array $group ): array {
+		$signatures = [];
+
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( ! is_array( $item ) || Matcher::is_disabled( $item ) ) {
+				continue;
+			}
+
+			if ( ! Matcher::is_subgroup( $item ) ) {
+				$signatures[] = Sanitizer::get_rule_signature( $item );
+				continue;
+			}
+
+			$children = self::get_signatures( $item );
+
+			if ( ! empty( $children ) ) {
+				$signatures[] = ( $item['match'] ?? 'all' ) . '(' . implode( ';', $children ) . ')';
+			}
+		}
+
+		$signatures = array_values( array_unique( $signatures ) );
+		sort( $signatures, SORT_STRING );
+
+		return $signatures;
+	}
+
+}
\ No newline at end of file
@@ -16,8 +16,13 @@ declare( strict_types=1 );
 namespace ArrayPress\Conditions;
 
 use ArrayPress\Conditions\Abstracts\Condition;
+use ArrayPress\Conditions\Helpers\RuleCache;
+use ArrayPress\Conditions\Helpers\Schedule;
 use ArrayPress\Conditions\Models\MatchResult;
 use ArrayPress\Conditions\Models\MatchResultCollection;
+use Closure;
+use ReflectionFunction;
+use ReflectionMethod;
 use WP_Post;
 
 /**
@@ -48,6 +53,48 @@ class Matcher {
 	 */
 	private array $query_args;
 
+	/**
+	 * Whether to record an evaluation trace.
+	 *
+	 * @var bool
+	 */
+	private bool $explain = false;
+
+	/**
+	 * Trace of the groups evaluated for the current rule post.
+	 *
+	 * @var array
+	 */
+	private array $group_trace = [];
+
+	/**
+	 * Compare values resolved so far, by condition and the inputs they depend on.
+	 *
+	 * @var array<string, mixed>
+	 */
+	private array $compare_values = [];
+
+	/**
+	 * Whether each condition's compare value depends on the rule's value, by condition ID.
+	 *
+	 * @var array<string, bool>
+	 */
+	private array $reads_user_value = [];
+
+	/**
+	 * Comparators created so far, by field type and multiple flag.
+	 *
+	 * @var array<string, Comparators\Comparator>
+	 */
+	private array $comparators = [];
+
+	/**
+	 * Meta key of the "stop processing lower-priority rules" flag.
+	 *
+	 * @var string
+	 */
+	public const STOP_PROCESSING_KEY = '_stop_processing';
+
 	/**
 	 * Default query arguments for retrieving rules.
 	 *
@@ -73,6 +120,23 @@ class Matcher {
 		$this->query_args = $query_args;
 	}
 
+	/**
+	 * Record an evaluation trace with the results.
+	 *
+	 * Every rule in each group that is reached is evaluated and recorded,
+	 * along with its configured and resolved values. Meant for debugging:
+	 * rules are not short-circuited within a group while explaining.
+	 *
+	 * @param bool $explain Whether to record a trace.
+	 *
+	 * @return self
+	 */
+	public function explain( bool $explain = true ): self {
+		$this->explain = $explain;
+
+		return $this;
+	}
+
 	/**
 	 * Check conditions and return on first match.
 	 *
@@ -80,82 +144,351 @@ class Matcher {
 	 */
 	public function check(): MatchResult {
 		$rules = $this->get_rules();
+		$trace = [];
 
-		foreach ( $rules as $rule_post ) {
-			$conditions = get_post_meta( $rule_post->ID, '_conditions', true );
+		foreach ( $rules as $rule ) {
+			$rule_post  = $rule['post'];
+			$conditions = $rule['conditions'];
 
-			if ( empty( $conditions ) || ! is_array( $conditions ) ) {
+			if ( empty( $conditions ) ) {
 				continue;
 			}
 
+			$this->group_trace = [];
+
 			// OR logic between groups
 			foreach ( $conditions as $group ) {
 				if ( $this->check_group( $group ) ) {
-					return new MatchResult( true, $rule_post, $group );
+					$trace[] = $this->get_rule_trace( $rule_post, true );
+
+					return new MatchResult( true, $rule_post, $group, $this->explain ? $trace : [] );
 				}
 			}
+
+			$trace[] = $this->get_rule_trace( $rule_post, false );
 		}
 
-		return new MatchResult( false );
+		return new MatchResult( false, null, null, $this->explain ? $trace : [] );
 	}
 
 	/**
 	 * Check all conditions and return all matches.
 	 *
+	 * Rules are checked in priority order (menu_order). A matching rule with
+	 * "stop processing" set ends the check, leaving lower-priority rules
+	 * unchecked.
+	 *
 	 * @return MatchResultCollection
 	 */
 	public function check_all(): MatchResultCollection {
-		$rules   = $this->get_rules();
-		$matches = [];
+		$rules      = $this->get_rules();
+		$matches    = [];
+		$trace      = [];
+		$stopped_by = null;
 
-		foreach ( $rules as $rule_post ) {
-			$conditions = get_post_meta( $rule_post->ID, '_conditions', true );
+		foreach ( $rules as $rule ) {
+			$rule_post  = $rule['post'];
+			$conditions = $rule['conditions'];
 
-			if ( empty( $conditions ) || ! is_array( $conditions ) ) {
+			if ( empty( $conditions ) ) {
 				continue;
 			}
 
+			$this->group_trace = [];
+			$matched_group     = null;
+
 			foreach ( $conditions as $group ) {
 				if ( $this->check_group( $group ) ) {
-					$matches[] = new MatchResult( true, $rule_post, $group );
+					$matched_group = $group;
 					break; // Move to next rule
 				}
 			}
+
+			$rule_trace = $this->get_rule_trace( $rule_post, $matched_group !== null );
+			$trace[]    = $rule_trace;
+
+			if ( $matched_group === null ) {
+				continue;
+			}
+
+			$match     = new MatchResult( true, $rule_post, $matched_group, $this->explain ? [ $rule_trace ] : [] );
+			$matches[] = $match;
+
+			if ( $match->stops_processing() ) {
+				$stopped_by = $match;
+				break;
+			}
 		}
 
-		return new MatchResultCollection( $matches );
+		return new MatchResultCollection( $matches, $this->explain ? $trace : [], $stopped_by );
 	}
 
 	/**
-	 * Check a single AND group.
+	 * Preview a set of unsaved condition groups.
+	 *
+	 * Unlike check(), every enabled group and rule is evaluated (no short-circuit)
+	 * so the admin builder can show the outcome of each one. The groups are
+	 * compiled first, as a save would, so rules whose condition is missing are
+	 * left out and invalid rules fail. Both are listed under 'errors', with
+	 * lint warnings under 'warnings'.
 	 *
-	 * All conditions in the group must pass.
+	 * @param array $conditions Sanitized condition groups.
+	 *
+	 * @return array{matched: bool, groups: array, errors: array, warnings: array}
+	 */
+	public function preview( array $conditions ): array {
+		$plan    = Compiler::compile( $this->set_id, $conditions );
+		$matched = false;
+
+		$this->group_trace = [];
+
+		foreach ( $plan['groups'] as $group ) {
+			$matched = $this->trace_group( $group ) || $matched;
+		}
+
+		return [
+			'matched'  => $matched,
+			'groups'   => $this->group_trace,
+			'errors'   => $plan['errors'],
+			'warnings' => $plan['warnings'] ?? [],
+		];
+	}
+
+	/**
+	 * Get the trace entry for a rule post.
+	 *
+	 * @param WP_Post $rule_post The rule post.
+	 * @param bool    $matched   Whether one of its groups matched.
+	 *
+	 * @return array
+	 */
+	private function get_rule_trace( WP_Post $rule_post, bool $matched ): array {
+		return [
+			'rule_id'    => $rule_post->ID,
+			'rule_title' => $rule_post->post_title,
+			'matched'    => $matched,
+			'groups'     => $this->group_trace,
+		];
+	}
+
+	/**
+	 * Evaluate a top-level group in full and add it to the group trace.
+	 *
+	 * @param array $group The condition group.
+	 *
+	 * @return bool Whether the group matched (same semantics as check_group()).
+	 */
+	private function trace_group( array $group ): bool {
+		$disabled = self::is_disabled( $group );
+
+		[ $outcome, $items ] = $disabled ? [ null, [] ] : $this->trace_items( $group );
+
+		// Disabled and empty groups never match
+		$matched = ! $disabled && self::has_enabled_rules( $group ) && $outcome !== false;
+
+		$this->group_trace[] = [
+			'id'       => $group['id'] ?? '',
+			'match'    => $group['match'] ?? 'all',
+			'matched'  => $matched,
+			'disabled' => $disabled,
+			'rules'    => $items,
+		];
+
+		return $matched;
+	}
+
+	/**
+	 * Evaluate every item in a group or subgroup for a trace.
+	 *
+	 * @param array $group The condition group or subgroup.
+	 *
+	 * @return array{0: bool|null, 1: array} The group outcome and per-item results.
+	 */
+	private function trace_items( array $group ): array {
+		$results = [];
+		$items   = [];
+
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( self::is_subgroup( $item ) ) {
+				$disabled = self::is_disabled( $item );
+
+				[ $result, $children ] = $disabled ? [ null, [] ] : $this->trace_items( $item );
+
+				$items[] = [
+					'id'     => $item['id'] ?? '',
+					'type'   => 'group',
+					'match'  => $item['match'] ?? 'all',
+					'result' => $disabled ? 'off' : self::describe_result( $result ),
+					'rules'  => $children,
+				];
+			} else {
+				$evaluation = self::is_disabled( $item )
+					? [ 'result' => null, 'compare_value' => null, 'reason' => 'disabled', 'missing_args' => [] ]
+					: $this->evaluate_rule( $item );
+
+				$result = $evaluation['result'];
+
+				$items[] = [
+					'id'            => $item['id'] ?? '',
+					'condition'     => $item['condition'] ?? '',
+					'operator'      => $item['operator'] ?? '',
+					'value'         => $item['value'] ?? null,
+					'compare_value' => self::export_value( $evaluation['compare_value'] ),
+					'result'        => $evaluation['reason'] === 'disabled' ? 'off' : self::describe_result( $result ),
+					'reason'        => $evaluation['reason'],
+					'missing_args'  => $evaluation['missing_args'],
+				];
+			}
+
+			// Switched-off items don't count towards the group
+			if ( ! self::is_disabled( $item ) ) {
+				$results[] = $result;
+			}
+		}
+
+		return [ self::combine_results( $group, $results ), $items ];
+	}
+
+	/**
+	 * Check a top-level group.
 	 *
 	 * @param array $group The condition group.
 	 *
 	 * @return bool
 	 */
 	private function check_group( array $group ): bool {
-		$rules = $group['rules'] ?? [];
+		if ( $this->explain ) {
+			return $this->trace_group( $group );
+		}
 
-		if ( empty( $rules ) ) {
+		if ( self::is_disabled( $group ) || ! self::has_enabled_rules( $group ) ) {
 			return false;
 		}
 
-		foreach ( $rules as $rule ) {
-			$result = $this->check_rule( $rule );
+		// A group whose rules were all skipped still matches
+		return $this->evaluate_group( $group ) !== false;
+	}
+
+	/**
+	 * Evaluate a group or subgroup.
+	 *
+	 * Groups match "all" (AND) or "any" (OR) of their items. Items are either
+	 * rules or nested subgroups, evaluated recursively, in the order of the
+	 * compiled plan (cheapest first), stopping as soon as the outcome is known.
+	 *
+	 * @param array $group The condition group.
+	 *
+	 * @return bool|null True if passed, false if failed, null if every item was skipped.
+	 */
+	private function evaluate_group( array $group ): ?bool {
+		$match_any = ( $group['match'] ?? 'all' ) === 'any';
+		$outcome   = null;
+
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( self::is_disabled( $item ) ) {
+				continue;
+			}
+
+			$result = self::is_subgroup( $item )
+				? $this->evaluate_group( $item )
+				: $this->check_rule( $item );
 
 			// null = couldn't evaluate (missing args), skip
-			// false = evaluated and failed
-			// true = evaluated and passed
-			if ( $result === false ) {
-				return false;
+			if ( $result === null ) {
+				continue;
 			}
+
+			// First pass decides an "any" group, first failure decides an "all" group
+			if ( $result === $match_any ) {
+				return $result;
+			}
+
+			$outcome = $result;
 		}
 
-		return true;
+		return $outcome;
 	}
-	
+
+	/**
+	 * Combine item results using a group's match mode.
+	 *
+	 * @param array            $group   The condition group.
+	 * @param array<bool|null> $results Item results.
+	 *
+	 * @return bool|null Null if every item was skipped.
+	 */
+	private static function combine_results( array $group, array $results ): ?bool {
+		$evaluated = array_filter( $results, fn( $result ) => $result !== null );
+
+		if ( empty( $evaluated ) ) {
+			return null;
+		}
+
+		return ( $group['match'] ?? 'all' ) === 'any'
+			? in_array( true, $evaluated, true )
+			: ! in_array( false, $evaluated, true );
+	}
+
+	/**
+	 * Describe a rule or group result for display.
+	 *
+	 * @param bool|null $result The result.
+	 *
+	 * @return string pass, fail or skip.
+	 */
+	private static function describe_result( ?bool $result ): string {
+		return match ( $result ) {
+			true => 'pass',
+			false => 'fail',
+			default => 'skip',
+		};
+	}
+
+	/**
+	 * Check whether a group item is a nested subgroup rather than a rule.
+	 *
+	 * @param array $item The group item.
+	 *
+	 * @return bool
+	 */
+	public static function is_subgroup( array $item ): bool {
+		return ( $item['type'] ?? '' ) === 'group';
+	}
+
+	/**
+	 * Check whether a group, subgroup or rule has been switched off.
+	 *
+	 * @param array $item The group or item.
+	 *
+	 * @return bool
+	 */
+	public static function is_disabled( array $item ): bool {
+		return ! empty( $item['disabled'] );
+	}
+
+	/**
+	 * Check whether a group holds at least one enabled rule, at any depth.
+	 *
+	 * Stops a group whose rules are all switched off from matching everything.
+	 *
+	 * @param array $group The condition group or subgroup.
+	 *
+	 * @return bool
+	 */
+	private static function has_enabled_rules( array $group ): bool {
+		foreach ( $group['rules'] ?? [] as $item ) {
+			if ( ! is_array( $item ) || self::is_disabled( $item ) ) {
+				continue;
+			}
+
+			if ( ! self::is_subgroup( $item ) || self::has_enabled_rules( $item ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
 	/**
 	 * Check a single rule.
 	 *
@@ -164,29 +497,67 @@ class Matcher {
 	 * @return bool|null True if passed, false if failed, null if skipped.
 	 */
 	private function check_rule( array $rule ): ?bool {
+		return $this->evaluate_rule( $rule )['result'];
+	}
+
+	/**
+	 * Evaluate a single rule, keeping the details needed to explain the result.
+	 *
+	 * @param array $rule The rule configuration.
+	 *
+	 * @return array{result: bool|null, compare_value: mixed, reason: string, missing_args: string[]}
+	 *               The reason is set when the rule was skipped ('incomplete',
+	 *               'unknown_condition' or 'missing_args') or failed without
+	 *               being evaluated ('invalid').
+	 */
+	private function evaluate_rule( array $rule ): array {
 		$condition_id = $rule['condition'] ?? '';
 		$operator     = $rule['operator'] ?? '';
 		$user_value   = $rule['value'] ?? null;
+		$evaluation   = [
+			'result'        => null,
+			'compare_value' => null,
+			'reason'        => '',
+			'missing_args'  => [],
+		];
 
 		if ( empty( $condition_id ) || empty( $operator ) ) {
-			return null;
+			$evaluation['reason'] = 'incomplete';
+
+			return $evaluation;
+		}
+
+		// Marked by the Compiler: an operator or value that fails validation
+		if ( ! empty( $rule['invalid'] ) ) {
+			$evaluation['result'] = false;
+			$evaluation['reason'] = 'invalid';
+
+			return $evaluation;
 		}
 
 		// Get condition configuration
 		$condition = Registry::get_condition( $this->set_id, $condition_id );
 
 		if ( ! $condition ) {
-			return null;
+			$evaluation['reason'] = 'unknown_condition';
+
+			return $evaluation;
 		}
 
 		// Check required args
 		$required_args = $condition['required_args'] ?? [];
 		foreach ( $required_args as $arg ) {
 			if ( ! array_key_exists( $arg, $this->args ) ) {
-				return null;
+				$evaluation['missing_args'][] = $arg;
 			}
 		}
 
+		if ( ! empty( $evaluation['missing_args'] ) ) {
+			$evaluation['reason'] = 'missing_args';
+
+			return $evaluation;
+		}
+
 		// Handle number_unit type - extract unit and number into args
 		if ( $condition['type'] === 'number_unit' && is_array( $user_value ) ) {
 			$this->args['_unit']   = $user_value['unit'] ?? null;
@@ -202,21 +573,122 @@ class Matcher {
 		}
 
 		// Get compare value (passing user_value for conditions that need it)
-		$compare_value = $this->get_compare_value( $condition, $user_value );
+		$compare_value = $this->get_compare_value( $condition_id, $condition, $user_value );
 
 		// Perform comparison
-		return $this->compare( $condition, $operator, $user_value, $compare_value );
+		$evaluation['compare_value'] = $compare_value;
+		$evaluation['result']        = $this->compare( $condition, $operator, $user_value, $compare_value );
+
+		return $evaluation;
+	}
+
+	/**
+	 * Convert a compare value into something safe to return in a trace.
+	 *
+	 * Objects are replaced by their class name and long lists are cut short.
+	 *
+	 * @param mixed $value The compare value.
+	 *
+	 * @return mixed
+	 */
+	private static function export_value( mixed $value ): mixed {
+		if ( $value === null || is_scalar( $value ) ) {
+			return $value;
+		}
+
+		if ( is_array( $value ) ) {
+			return array_map( [ self::class, 'export_value' ], array_slice( $value, 0, 50, true ) );
+		}
+
+		return is_object( $value ) ? get_class( $value ) : gettype( $value );
+	}
+
+	/**
+	 * Get the compare value for a condition, resolving it once per Matcher.
+	 *
+	 * Values are reused by every rule with the same condition (and, for
+	 * unit conditions, the same unit and value passed in $args), and also
+	 * the same rule value if the resolver reads it. Conditions can opt
+	 * out with 'memoize' => false.
+	 *
+	 * @param string $condition_id The condition ID.
+	 * @param array  $condition    The condition configuration.
+	 * @param mixed  $user_value   The value configured by the user in the admin UI.
+	 *
+	 * @return mixed
+	 */
+	private function get_compare_value( string $condition_id, array $condition, mixed $user_value = null ): mixed {
+		if ( ! ( $condition['memoize'] ?? true ) ) {
+			return $this->resolve_compare_value( $condition, $user_value );
+		}
+
+		// Unit conditions pass the rule's unit and value through $args, which any resolver can read
+		$inputs = match ( $condition['type'] ?? '' ) {
+			'number_unit' => [ $this->args['_unit'] ?? null, $this->args['_number'] ?? null ],
+			'text_unit'   => [ $this->args['_unit'] ?? null, $this->args['_text'] ?? null ],
+			default       => [],
+		};
+
+		if ( $this->reads_user_value( $condition_id, $condition ) ) {
+			$inputs[] = $user_value;
+		}
+
+		$key = $condition_id . ':' . md5( serialize( $inputs ) );
+
+		if ( ! array_key_exists( $key, $this->compare_values ) ) {
+			$this->compare_values[ $key ] = $this->resolve_compare_value( $condition, $user_value );
+		}
+
+		return $this->compare_values[ $key ];
 	}
 
 	/**
-	 * Get the compare value for a condition.
+	 * Check (once per condition) whether a condition's compare value may depend on the rule's value.
+	 *
+	 * @param string $condition_id The condition ID.
+	 * @param array  $condition    The condition configuration.
+	 *
+	 * @return bool
+	 */
+	private function reads_user_value( string $condition_id, array $condition ): bool {
+		return $this->reads_user_value[ $condition_id ] ??= self::depends_on_user_value( $condition );
+	}
+
+	/**
+	 * Check whether a condition's compare value may depend on the rule's value.
+	 *
+	 * True for class-based conditions that override get_compare_value() and
+	 * callbacks that accept a second ($user_value) parameter.
+	 *
+	 * @param array $condition The condition configuration.
+	 *
+	 * @return bool
+	 */
+	public static function depends_on_user_value( array $condition ): bool {
+		if ( isset( $condition['instance'] ) && $condition['instance'] instanceof Condition ) {
+			$method = new ReflectionMethod( $condition['instance'], 'get_compare_value' );
+
+			return $method->getDeclaringClass()->getName() !== Condition::class;
+		}
+
+		if ( isset( $condition['compare_value'] ) && is_callable( $condition['compare_value'] ) ) {
+			$function = new ReflectionFunction( Closure::fromCallable( $condition['compare_value'] ) );
+
+			return $function->isVariadic() || $function->getNumberOfParameters() > 1;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Resolve the compare value for a condition.
 	 *
 	 * @param array $condition  The condition configuration.
 	 * @param mixed $user_value The value configured by the user in the admin UI.
 	 *
 	 * @return mixed
 	 */
-	private function get_compare_value( array $condition, mixed $user_value = null ): mixed {
+	private function resolve_compare_value( array $condition, mixed $user_value = null ): mixed {
 		// If condition has an instance (class-based), use its method
 		if ( isset( $condition['instance'] ) && $condition['instance'] instanceof Condition ) {
 			return $condition['instance']->get_compare_value( $this->args, $user_value );
@@ -255,26 +727,82 @@ class Matcher {
 		$type     = $condition['type'] ?? 'text';
 		$multiple = $condition['multiple'] ?? false;
 
-		$comparator = new Comparators\Comparator( $type, $multiple );
+		$key = $type . ( $multiple ? ':multiple' : '' );
 
-		return $comparator->compare( $operator, $user_value, $compare_value );
+		$this->comparators[ $key ] ??= new Comparators\Comparator( $type, $multiple );
+
+		return $this->comparators[ $key ]->compare( $operator, $user_value, $compare_value );
 	}
 
 	/**
-	 * Get rule posts for this condition set.
+	 * Get the rules for this condition set.
 	 *
 	 * Merges user-provided query arguments with defaults. The post_type
-	 * is always forced to the set_id and cannot be overridden.
+	 * is always forced to the set_id and cannot be overridden. Rules
+	 * outside their schedule window are left out.
+	 *
+	 * Each rule's groups come from its compiled plan (see Compiler).
 	 *
-	 * @return WP_Post[]
+	 * Sets registered with 'object_cache' => true keep the compiled rules
+	 * in the object cache until a rule is saved, trashed or deleted.
+	 *
+	 * @return array<array{post: WP_Post, conditions: array}>
 	 */
 	private function get_rules(): array {
-		$args = wp_parse_args( $this->query_args, self::DEFAULT_QUERY_ARGS );
+		$args     = wp_parse_args( $this->query_args, self::DEFAULT_QUERY_ARGS );
+		$set      = Registry::get_set( $this->set_id ) ?? [];
+		$schedule = $set['schedule'] ?? true;
 
 		// Force post_type to the set_id (cannot be overridden)
 		$args['post_type'] = $this->set_id;
 
-		return get_posts( $args );
+		if ( empty( $set['object_cache'] ) ) {
+			// Only rules inside their active-from / active-until window
+			if ( $schedule ) {
+				$args['meta_query'] = empty( $args['meta_query'] )
+					? Schedule::get_meta_query()
+					: [ 'relation' => 'AND', $args['meta_query'], Schedule::get_meta_query() ];
+			}
+
+			return array_map( fn( WP_Post $post ) => [
+				'post'       => $post,
+				'conditions' => Compiler::get_plan( $post->ID, $this->set_id )['groups'],
+			], get_posts( $args ) );
+		}
+
+		$compiled = RuleCache::get( $this->set_id, $args );
+
+		if ( $compiled === null ) {
+			$compiled = array_map( fn( WP_Post $post ) => [
+				'id'         => $post->ID,
+				'conditions' => Compiler::get_plan( $post->ID, $this->set_id )['groups'],
+				'window'     => Schedule::get_window( $post->ID ),
+			], get_posts( $args ) );
+
+			RuleCache::set( $this->set_id, $args, $compiled );
+		}
+
+		// The window is checked here, as the cached set holds every rule
+		if ( $schedule ) {
+			$compiled = array_filter( $compiled, fn( $rule ) => Schedule::get_window_status( $rule['window'] ) === 'active' );
+		}
+
+		_prime_post_caches( array_column( $compiled, 'id' ), false );
+
+		$rules = [];
+
+		foreach ( $compiled as $rule ) {
+			$post = get_post( $rule['id'] );
+
+			if ( $post instanceof WP_Post ) {
+				$rules[] = [
+					'post'       => $post,
+					'conditions' => $rule['conditions'],
+				];
+			}
+		}
+
+		return $rules;
 	}
 
 }
\ No newline at end of file
@@ -15,6 +15,7 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Models;
 
+use ArrayPress\Conditions\Matcher;
 use WP_Post;
 
 /**
@@ -45,17 +46,26 @@ class MatchResult {
 	 */
 	private ?array $group;
 
+	/**
+	 * Evaluation trace, recorded when the matcher runs in explain mode.
+	 *
+	 * @var array
+	 */
+	private array $trace;
+
 	/**
 	 * Constructor.
 	 *
 	 * @param bool         $matched Whether a match was found.
 	 * @param WP_Post|null $rule    The matched rule post.
 	 * @param array|null   $group   The matched condition group.
+	 * @param array        $trace   Optional. The evaluation trace.
 	 */
-	public function __construct( bool $matched, ?WP_Post $rule = null, ?array $group = null ) {
+	public function __construct( bool $matched, ?WP_Post $rule = null, ?array $group = null, array $trace = [] ) {
 		$this->matched = $matched;
 		$this->rule    = $rule;
 		$this->group   = $group;
+		$this->trace   = $trace;
 	}
 
 	/**
@@ -103,6 +113,29 @@ class MatchResult {
 		return $this->group;
 	}
 
+	/**
+	 * Check if the matched rule stops lower-priority rules from being checked.
+	 *
+	 * @return bool
+	 */
+	public function stops_processing(): bool {
+		return $this->matched && (bool) $this->get_rule_meta( Matcher::STOP_PROCESSING_KEY );
+	}
+
+	/**
+	 * Get the evaluation trace.
+	 *
+	 * One entry per rule post evaluated (rule_id, rule_title, matched, groups),
+	 * with each group's rules showing the operator, configured value,
+	 * resolved compare value and pass/fail/skip/off result. Empty unless
+	 * the matcher ran with explain().
+	 *
+	 * @return array
+	 */
+	public function get_trace(): array {
+		return $this->trace;
+	}
+
 	/**
 	 * Get post meta from the matched rule.
 	 *
@@ -34,13 +34,31 @@ class MatchResultCollection implements Countable, IteratorAggregate {
 	 */
 	private array $results;
 
+	/**
+	 * Evaluation trace of every rule checked, recorded in explain mode.
+	 *
+	 * @var array
+	 */
+	private array $trace;
+
+	/**
+	 * The match whose "stop processing" flag ended the check.
+	 *
+	 * @var MatchResult|null
+	 */
+	private ?MatchResult $stopped_by;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param MatchResult[] $results Array of match results.
+	 * @param MatchResult[]    $results    Array of match results.
+	 * @param array            $trace      Optional. The evaluation trace.
+	 * @param MatchResult|null $stopped_by Optional. The match that stopped processing.
 	 */
-	public function __construct( array $results = [] ) {
-		$this->results = $results;
+	public function __construct( array $results = [], array $trace = [], ?MatchResult $stopped_by = null ) {
+		$this->results    = $results;
+		$this->trace      = $trace;
+		$this->stopped_by = $stopped_by;
 	}
 
 	/**
@@ -70,6 +88,45 @@ class MatchResultCollection implements Countable, IteratorAggregate {
 		return $this->results;
 	}
 
+	/**
+	 * Check if a rule stopped lower-priority rules from being checked.
+	 *
+	 * @return bool
+	 */
+	public function was_stopped(): bool {
+		return $this->stopped_by !== null;
+	}
+
+	/**
+	 * Get the match whose "stop processing" flag ended the check.
+	 *
+	 * @return MatchResult|null Null if every rule was checked.
+	 */
+	public function get_stopped_by(): ?MatchResult {
+		return $this->stopped_by;
+	}
+
+	/**
+	 * Get why the check ended.
+	 *
+	 * @return string 'stop_processing' if a matching rule stopped it, 'completed' if every rule was checked.
+	 */
+	public function get_stop_reason(): string {
+		return $this->stopped_by !== null ? 'stop_processing' : 'completed';
+	}
+
+	/**
+	 * Get the evaluation trace.
+	 *
+	 * Covers every rule post checked, including those that didn't match
+	 * (see MatchResult::get_trace()). Empty unless the matcher ran with explain().
+	 *
+	 * @return array
+	 */
+	public function get_trace(): array {
+		return $this->trace;
+	}
+
 	/**
 	 * Get the first match result.
 	 *
@@ -160,7 +217,7 @@ class MatchResultCollection implements Countable, IteratorAggregate {
 	 * @return self
 	 */
 	public function filter( callable $callback ): self {
-		return new self( array_filter( $this->results, $callback ) );
+		return new self( array_filter( $this->results, $callback ), $this->trace, $this->stopped_by );
 	}
 
 	/**
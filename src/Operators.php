@@ -22,6 +22,28 @@ namespace ArrayPress\Conditions;
  */
 class Operators {
 
+	/**
+	 * Operators whose value is a from/to range.
+	 *
+	 * @var string[]
+	 */
+	public const RANGE = [ 'between', 'not_between' ];
+
+	/**
+	 * Date operators whose value is a number and a period unit, resolved
+	 * against the current time when the rule is matched.
+	 *
+	 * @var string[]
+	 */
+	public const RELATIVE = [ 'in_last', 'not_in_last', 'in_next', 'not_in_next' ];
+
+	/**
+	 * Operators whose value is a regular expression.
+	 *
+	 * @var string[]
+	 */
+	public const REGEX = [ 'regex', 'not_regex' ];
+
 	/** -------------------------------------------------------------------------
 	 * Core Comparison Operators
 	 * ------------------------------------------------------------------------ */
@@ -45,15 +67,29 @@ class Operators {
 	 */
 	public static function numeric(): array {
 		return [
-			'==' => __( 'Equal to', 'arraypress' ),
-			'!=' => __( 'Not equal to', 'arraypress' ),
-			'>'  => __( 'Greater than', 'arraypress' ),
-			'<'  => __( 'Less than', 'arraypress' ),
-			'>=' => __( 'Greater than or equal to', 'arraypress' ),
-			'<=' => __( 'Less than or equal to', 'arraypress' ),
+			'=='          => __( 'Equal to', 'arraypress' ),
+			'!='          => __( 'Not equal to', 'arraypress' ),
+			'>'           => __( 'Greater than', 'arraypress' ),
+			'<'           => __( 'Less than', 'arraypress' ),
+			'>='          => __( 'Greater than or equal to', 'arraypress' ),
+			'<='          => __( 'Less than or equal to', 'arraypress' ),
+			'between'     => __( 'Between', 'arraypress' ),
+			'not_between' => __( 'Not between', 'arraypress' ),
 		];
 	}
 
+	/**
+	 * Numeric operators for number with unit fields.
+	 *
+	 * The same as numeric() without the range operators, as the unit
+	 * applies to a single number.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function numeric_unit(): array {
+		return array_diff_key( self::numeric(), array_flip( self::RANGE ) );
+	}
+
 	/**
 	 * Boolean operators.
 	 *
@@ -93,7 +129,8 @@ class Operators {
 	 */
 	public static function text_advanced(): array {
 		return array_merge( self::text(), [
-			'regex' => __( 'Matches pattern', 'arraypress' ),
+			'regex'     => __( 'Matches regex', 'arraypress' ),
+			'not_regex' => __( 'Does not match regex', 'arraypress' ),
 		] );
 	}
 
@@ -156,12 +193,18 @@ class Operators {
 	 */
 	public static function date(): array {
 		return [
-			'==' => __( 'Is', 'arraypress' ),
-			'!=' => __( 'Is not', 'arraypress' ),
-			'>'  => __( 'Is after', 'arraypress' ),
-			'<'  => __( 'Is before', 'arraypress' ),
-			'>=' => __( 'Is on or after', 'arraypress' ),
-			'<=' => __( 'Is on or before', 'arraypress' ),
+			'=='          => __( 'Is', 'arraypress' ),
+			'!='          => __( 'Is not', 'arraypress' ),
+			'>'           => __( 'Is after', 'arraypress' ),
+			'<'           => __( 'Is before', 'arraypress' ),
+			'>='          => __( 'Is on or after', 'arraypress' ),
+			'<='          => __( 'Is on or before', 'arraypress' ),
+			'between'     => __( 'Is between', 'arraypress' ),
+			'not_between' => __( 'Is not between', 'arraypress' ),
+			'in_last'     => __( 'Is in the last', 'arraypress' ),
+			'not_in_last' => __( 'Is not in the last', 'arraypress' ),
+			'in_next'     => __( 'Is in the next', 'arraypress' ),
+			'not_in_next' => __( 'Is not in the next', 'arraypress' ),
 		];
 	}
 
@@ -172,10 +215,12 @@ class Operators {
 	 */
 	public static function time(): array {
 		return [
-			'==' => __( 'Is', 'arraypress' ),
-			'!=' => __( 'Is not', 'arraypress' ),
-			'>'  => __( 'Is after', 'arraypress' ),
-			'<'  => __( 'Is before', 'arraypress' ),
+			'=='          => __( 'Is', 'arraypress' ),
+			'!='          => __( 'Is not', 'arraypress' ),
+			'>'           => __( 'Is after', 'arraypress' ),
+			'<'           => __( 'Is before', 'arraypress' ),
+			'between'     => __( 'Is between', 'arraypress' ),
+			'not_between' => __( 'Is not between', 'arraypress' ),
 		];
 	}
 
@@ -273,7 +318,8 @@ class Operators {
 	 */
 	public static function for_type( string $type, bool $multiple = false ): array {
 		return match ( $type ) {
-			'number', 'number_unit' => self::numeric(),
+			'number' => self::numeric(),
+			'number_unit' => self::numeric_unit(),
 			'text_unit' => self::text(),
 			'boolean' => self::boolean(),
 			'date' => self::date(),
@@ -287,6 +333,39 @@ class Operators {
 		};
 	}
 
+	/**
+	 * Check whether an operator takes a from/to range value.
+	 *
+	 * @param string $operator The operator.
+	 *
+	 * @return bool
+	 */
+	public static function is_range( string $operator ): bool {
+		return in_array( $operator, self::RANGE, true );
+	}
+
+	/**
+	 * Check whether an operator takes a relative (number and unit) date value.
+	 *
+	 * @param string $operator The operator.
+	 *
+	 * @return bool
+	 */
+	public static function is_relative( string $operator ): bool {
+		return in_array( $operator, self::RELATIVE, true );
+	}
+
+	/**
+	 * Check whether an operator takes a regular expression value.
+	 *
+	 * @param string $operator The operator.
+	 *
+	 * @return bool
+	 */
+	public static function is_regex( string $operator ): bool {
+		return in_array( $operator, self::REGEX, true );
+	}
+
 	/**
 	 * Get all operators grouped by type.
 	 *
@@ -299,6 +378,7 @@ class Operators {
 			'text'             => self::text(),
 			'text_advanced'    => self::text_advanced(),
 			'number'           => self::numeric(),
+			'number_unit'      => self::numeric_unit(),
 			'boolean'          => self::boolean(),
 			'date'             => self::date(),
 			'time'             => self::time(),
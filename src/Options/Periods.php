@@ -45,7 +45,8 @@ class Periods {
 	/**
 	 * Get age units (excludes minutes/hours).
 	 *
-	 * Used for conditions like "Account age > X days".
+	 * Used for conditions like "Account age > X days", and for the relative
+	 * date operators, since date values have no time of day.
 	 *
 	 * @return array<array{value: string, label: string}>
 	 */
@@ -0,0 +1,262 @@
+<?php
+/**
+ * REST Labels Endpoint
+ *
+ * Resolves the labels of saved select values in one request.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Registry;
+use Exception;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class Labels
+ *
+ * Hydrates every post, term, user and custom AJAX select of a builder at
+ * once, instead of one "include" request per select. Values that no
+ * longer resolve come back labelled as deleted rather than as bare IDs.
+ */
+class Labels {
+
+	/**
+	 * Resolve labels for a batch of lookups.
+	 *
+	 * Each lookup is keyed by the caller and has a type (post, term, user,
+	 * ajax or options), a source (post type, taxonomy, role or condition ID)
+	 * and the IDs to resolve. Lookups for sources that aren't allowed are left
+	 * out of the response.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id  = $request->get_param( 'set_id' );
+		$lookups = (array) $request->get_param( 'lookups' );
+
+		if ( ! Registry::get_set( $set_id ) ) {
+			return new WP_Error(
+				'invalid_set',
+				__( 'Invalid condition set ID.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$results = [];
+
+		foreach ( $lookups as $key => $lookup ) {
+			if ( ! is_array( $lookup ) ) {
+				continue;
+			}
+
+			$source = sanitize_text_field( (string) ( $lookup['source'] ?? '' ) );
+			$ids    = array_values( array_unique( array_filter( array_map(
+				fn( $id ) => sanitize_text_field( (string) $id ),
+				array_filter( (array) ( $lookup['ids'] ?? [] ), 'is_scalar' )
+			), 'strlen' ) ) );
+
+			if ( empty( $ids ) ) {
+				continue;
+			}
+
+			$labels = match ( $lookup['type'] ?? '' ) {
+				'post' => self::get_post_labels( $source, $ids ),
+				'term' => self::get_term_labels( $source, $ids ),
+				'user' => self::get_user_labels( $source, $ids ),
+				'ajax' => self::get_ajax_labels( $set_id, $source, $ids ),
+				'options' => self::get_option_labels( $set_id, $source, $ids ),
+				default => null,
+			};
+
+			if ( $labels === null ) {
+				continue;
+			}
+
+			$results[ (string) $key ] = [];
+
+			foreach ( $ids as $id ) {
+				$results[ (string) $key ][] = [
+					'value'   => $id,
+					'label'   => $labels[ $id ] ?? self::get_missing_label( $id ),
+					'missing' => ! isset( $labels[ $id ] ),
+				];
+			}
+		}
+
+		return new WP_REST_Response( (object) $results, 200 );
+	}
+
+	/**
+	 * Get the label shown for a value that no longer exists.
+	 *
+	 * @param string $id The saved value.
+	 *
+	 * @return string
+	 */
+	private static function get_missing_label( string $id ): string {
+		/* translators: %s: the saved ID, e.g. "#123" */
+		return sprintf( __( '%s (deleted)', 'arraypress' ), is_numeric( $id ) ? '#' . $id : $id );
+	}
+
+	/**
+	 * Get post titles by ID.
+	 *
+	 * @param string   $post_type The post type.
+	 * @param string[] $ids       Post IDs.
+	 *
+	 * @return array<string, string>|null Null if the post type isn't allowed.
+	 */
+	private static function get_post_labels( string $post_type, array $ids ): ?array {
+		if ( ! Registry::is_post_type_allowed( $post_type ) ) {
+			return null;
+		}
+
+		$posts = get_posts( [
+			'post_type'      => $post_type,
+			'post_status'    => 'any',
+			'post__in'       => wp_parse_id_list( $ids ),
+			'posts_per_page' => count( $ids ),
+		] );
+
+		$labels = [];
+		foreach ( $posts as $post ) {
+			$labels[ (string) $post->ID ] = $post->post_title;
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Get term names by ID.
+	 *
+	 * @param string   $taxonomy The taxonomy.
+	 * @param string[] $ids      Term IDs.
+	 *
+	 * @return array<string, string>|null Null if the taxonomy isn't allowed or doesn't exist.
+	 */
+	private static function get_term_labels( string $taxonomy, array $ids ): ?array {
+		if ( ! Registry::is_taxonomy_allowed( $taxonomy ) || ! taxonomy_exists( $taxonomy ) ) {
+			return null;
+		}
+
+		$terms = get_terms( [
+			'taxonomy'   => $taxonomy,
+			'include'    => wp_parse_id_list( $ids ),
+			'hide_empty' => false,
+		] );
+
+		if ( is_wp_error( $terms ) ) {
+			return [];
+		}
+
+		$labels = [];
+		foreach ( $terms as $term ) {
+			$labels[ (string) $term->term_id ] = $term->name;
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Get user display names by ID.
+	 *
+	 * Users keep their label if their role has changed since the rule was saved.
+	 *
+	 * @param string   $role Comma-separated roles the select searches, if any.
+	 * @param string[] $ids  User IDs.
+	 *
+	 * @return array<string, string>|null Null if a role isn't allowed.
+	 */
+	private static function get_user_labels( string $role, array $ids ): ?array {
+		$roles = array_filter( array_map( 'trim', explode( ',', $role ) ) );
+
+		foreach ( $roles as $r ) {
+			if ( ! Registry::is_role_allowed( $r ) ) {
+				return null;
+			}
+		}
+
+		$users = get_users( [
+			'include' => wp_parse_id_list( $ids ),
+			'fields'  => [ 'ID', 'display_name' ],
+		] );
+
+		$labels = [];
+		foreach ( $users as $user ) {
+			$labels[ (string) $user->ID ] = $user->display_name;
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Get labels from a lazy select condition's options.
+	 *
+	 * @param string   $set_id       The condition set ID.
+	 * @param string   $condition_id The condition ID.
+	 * @param string[] $ids          The saved values.
+	 *
+	 * @return array<string, string>|null Null if the condition doesn't have lazy options.
+	 */
+	private static function get_option_labels( string $set_id, string $condition_id, array $ids ): ?array {
+		if ( empty( Registry::get_condition( $set_id, $condition_id )['lazy_options'] ) ) {
+			return null;
+		}
+
+		$labels = [];
+		foreach ( Registry::get_options( $set_id, $condition_id ) as $option ) {
+			if ( in_array( $option['value'], $ids, true ) ) {
+				$labels[ $option['value'] ] = $option['label'];
+			}
+		}
+
+		return $labels;
+	}
+
+	/**
+	 * Get labels from a custom AJAX condition's callback.
+	 *
+	 * @param string   $set_id       The condition set ID.
+	 * @param string   $condition_id The condition ID.
+	 * @param string[] $ids          The saved values.
+	 *
+	 * @return array<string, string>|null Null if the condition isn't an AJAX condition.
+	 */
+	private static function get_ajax_labels( string $set_id, string $condition_id, array $ids ): ?array {
+		$condition = Registry::get_conditions_raw( $set_id )[ $condition_id ] ?? null;
+
+		if ( ( $condition['type'] ?? '' ) !== 'ajax' || ! is_callable( $condition['ajax'] ?? null ) ) {
+			return null;
+		}
+
+		try {
+			$results = call_user_func( $condition['ajax'], null, $ids );
+		} catch ( Exception $e ) {
+			return null;
+		}
+
+		$labels = [];
+		foreach ( is_array( $results ) ? $results : [] as $item ) {
+			if ( is_array( $item ) && isset( $item['value'] ) ) {
+				$labels[ (string) $item['value'] ] = (string) ( $item['label'] ?? $item['value'] );
+			} elseif ( is_scalar( $item ) ) {
+				$labels[ (string) $item ] = (string) $item;
+			}
+		}
+
+		return $labels;
+	}
+
+}
\ No newline at end of file
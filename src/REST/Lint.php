@@ -0,0 +1,62 @@
+<?php
+/**
+ * REST Lint Endpoint
+ *
+ * Checks unsaved conditions from the builder for conflicting rules.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Admin\Sanitizer;
+use ArrayPress\Conditions\Compiler;
+use ArrayPress\Conditions\Registry;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class Lint
+ *
+ * REST endpoint for flagging contradictions, redundant rules and covered
+ * groups while a rule is edited, without needing sample arguments.
+ */
+class Lint {
+
+	/**
+	 * Lint conditions as they would be saved.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id     = $request->get_param( 'set_id' );
+		$conditions = $request->get_param( 'conditions' );
+
+		// Validate the set exists
+		if ( ! Registry::get_set( $set_id ) ) {
+			return new WP_Error(
+				'invalid_set',
+				__( 'Invalid condition set ID.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// Sanitize and compile exactly as a save would, so warnings match the saved plan
+		$conditions = Sanitizer::sanitize_conditions( $conditions, Registry::get_conditions_raw( $set_id ) );
+		$plan       = Compiler::compile( $set_id, $conditions );
+
+		return new WP_REST_Response( [
+			'warnings' => $plan['warnings'] ?? [],
+		], 200 );
+	}
+
+}
\ No newline at end of file
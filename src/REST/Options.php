@@ -0,0 +1,77 @@
+<?php
+/**
+ * REST Options Endpoint
+ *
+ * Handles paginated searching of lazy select options via REST API.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Registry;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class Options
+ *
+ * REST endpoint for select conditions registered with 'lazy_options',
+ * whose options are searched a page at a time rather than sent to the
+ * builder with every admin page.
+ */
+class Options {
+
+	/**
+	 * Options returned per page.
+	 *
+	 * @var int
+	 */
+	public const PER_PAGE = 30;
+
+	/**
+	 * Search a condition's options.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function search( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id       = $request->get_param( 'set_id' );
+		$condition_id = $request->get_param( 'condition_id' );
+		$search       = (string) $request->get_param( 'search' );
+		$page         = max( 1, (int) $request->get_param( 'page' ) );
+
+		$condition = Registry::get_condition( $set_id, $condition_id );
+
+		if ( ( $condition['type'] ?? '' ) !== 'select' || empty( $condition['lazy_options'] ) ) {
+			return new WP_Error(
+				'invalid_condition',
+				__( 'Condition does not search its options.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$options = Registry::get_options( $set_id, $condition_id );
+
+		if ( $search !== '' ) {
+			$options = array_values( array_filter(
+				$options,
+				fn( $option ) => stripos( $option['label'], $search ) !== false || stripos( $option['value'], $search ) !== false
+			) );
+		}
+
+		return new WP_REST_Response( [
+			'results' => array_slice( $options, ( $page - 1 ) * self::PER_PAGE, self::PER_PAGE ),
+			'more'    => count( $options ) > $page * self::PER_PAGE,
+		], 200 );
+	}
+
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+<?php
+/**
+ * REST Order Endpoint
+ *
+ * Saves the priority order of rules dragged on the list screen.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Registry;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class Order
+ *
+ * REST endpoint for reordering rules.
+ */
+class Order {
+
+	/**
+	 * Save rule order.
+	 *
+	 * The dragged rules swap the priorities they already hold, so spaced-out
+	 * priorities (10, 20, 30) are kept. The whole set is then walked in list
+	 * order, and any rule whose priority would repeat or fall behind the one
+	 * above is moved up by as little as needed, including rules on other
+	 * list pages.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id = $request->get_param( 'set_id' );
+		$ids    = array_values( array_unique( array_filter( array_map( 'absint', (array) $request->get_param( 'ids' ) ) ) ) );
+
+		if ( ! Registry::get_set( $set_id ) ) {
+			return new WP_Error(
+				'invalid_set',
+				__( 'Invalid condition set ID.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		foreach ( $ids as $id ) {
+			$post = get_post( $id );
+
+			if ( ! $post || $post->post_type !== $set_id || ! current_user_can( 'edit_post', $id ) ) {
+				return new WP_Error(
+					'invalid_rule',
+					__( 'One or more rules could not be reordered.', 'arraypress' ),
+					[ 'status' => 403 ]
+				);
+			}
+		}
+
+		// Every rule in the set, in the order the list screen shows them
+		$current = [];
+
+		foreach ( get_posts( [
+			'post_type'      => $set_id,
+			'post_status'    => 'any',
+			'posts_per_page' => -1,
+			'orderby'        => [ 'menu_order' => 'ASC', 'title' => 'ASC' ],
+		] ) as $post ) {
+			$current[ $post->ID ] = (int) $post->menu_order;
+		}
+
+		foreach ( $ids as $id ) {
+			$current[ $id ] ??= (int) get_post_field( 'menu_order', $id );
+		}
+
+		// The dragged rules take over each other's places and priorities
+		$dragged  = array_flip( $ids );
+		$queue    = $ids;
+		$sequence = array_map( fn( $id ) => isset( $dragged[ $id ] ) ? array_shift( $queue ) : $id, array_keys( $current ) );
+		$swapped  = array_map( fn( $id ) => $current[ $id ], $ids );
+		sort( $swapped );
+
+		$priorities = array_combine( $ids, $swapped );
+
+		$order = [];
+		$last  = null;
+
+		foreach ( $sequence as $id ) {
+			// Rules that share a priority are spread out so the new order holds
+			$priority   = $priorities[ $id ] ?? $current[ $id ];
+			$menu_order = $last === null ? $priority : max( $priority, $last + 1 );
+			$last       = $menu_order;
+
+			if ( $current[ $id ] !== $menu_order ) {
+				wp_update_post( [
+					'ID'         => $id,
+					'menu_order' => $menu_order,
+				] );
+			}
+
+			if ( isset( $dragged[ $id ] ) || $current[ $id ] !== $menu_order ) {
+				$order[ $id ] = $menu_order;
+			}
+		}
+
+		/**
+		 * Action fired after rules are reordered.
+		 *
+		 * @param array<int, int> $order  Rule ID => new menu_order, for the dragged
+		 *                                rules and any moved up to make room.
+		 * @param string          $set_id The condition set ID.
+		 */
+		do_action( 'conditions_rules_reordered', $order, $set_id );
+
+		return new WP_REST_Response( [ 'order' => $order ], 200 );
+	}
+
+}
\ No newline at end of file
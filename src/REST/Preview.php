@@ -0,0 +1,97 @@
+<?php
+/**
+ * REST Preview Endpoint
+ *
+ * Evaluates unsaved conditions from the builder against sample arguments.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Admin\Sanitizer;
+use ArrayPress\Conditions\Matcher;
+use ArrayPress\Conditions\Registry;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class Preview
+ *
+ * REST endpoint for testing rules before they are saved.
+ */
+class Preview {
+
+	/**
+	 * Evaluate conditions against sample arguments.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function handle( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id     = $request->get_param( 'set_id' );
+		$conditions = $request->get_param( 'conditions' );
+		$args       = $request->get_param( 'args' );
+
+		// Validate the set exists
+		if ( ! Registry::get_set( $set_id ) ) {
+			return new WP_Error(
+				'invalid_set',
+				__( 'Invalid condition set ID.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		// Sanitize exactly as a save would, so the preview matches saved behavior
+		$conditions = Sanitizer::sanitize_conditions( $conditions, Registry::get_conditions_raw( $set_id ) );
+		$args       = self::sanitize_args( is_array( $args ) ? $args : [] );
+
+		/**
+		 * Filter the sample arguments used to preview rules.
+		 *
+		 * Useful for casting values (e.g. numeric strings) or adding
+		 * context that can't be entered in the builder.
+		 *
+		 * @param array  $args       The sanitized sample arguments.
+		 * @param string $set_id     The condition set ID.
+		 * @param array  $conditions The sanitized conditions.
+		 */
+		$args = apply_filters( 'conditions_preview_args', $args, $set_id, $conditions );
+
+		$matcher = new Matcher( $set_id, $args );
+
+		return new WP_REST_Response( $matcher->preview( $conditions ), 200 );
+	}
+
+	/**
+	 * Sanitize sample arguments.
+	 *
+	 * @param array $args Raw key => value pairs.
+	 *
+	 * @return array
+	 */
+	private static function sanitize_args( array $args ): array {
+		$sanitized = [];
+
+		foreach ( $args as $key => $value ) {
+			$key = sanitize_key( (string) $key );
+
+			if ( $key === '' || ! is_scalar( $value ) ) {
+				continue;
+			}
+
+			$sanitized[ $key ] = sanitize_text_field( (string) $value );
+		}
+
+		return $sanitized;
+	}
+
+}
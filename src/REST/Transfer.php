@@ -0,0 +1,415 @@
+<?php
+/**
+ * REST Transfer Endpoints
+ *
+ * Exports and imports rule sets as versioned JSON documents.
+ *
+ * @package     ArrayPress\Conditions\REST
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\REST;
+
+use ArrayPress\Conditions\Admin\Sanitizer;
+use ArrayPress\Conditions\Matcher;
+use ArrayPress\Conditions\Registry;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_Term;
+
+/**
+ * Class Transfer
+ *
+ * REST endpoints for moving rule sets between sites.
+ *
+ * Documents hold the groups in the _conditions shape, plus the slugs of any
+ * posts, terms and users referenced by ID so they can be matched up on a
+ * site where the IDs differ.
+ */
+class Transfer {
+
+	/**
+	 * Current document format version.
+	 *
+	 * @var int
+	 */
+	public const VERSION = 1;
+
+	/**
+	 * Condition types whose values are object IDs.
+	 *
+	 * @var string[]
+	 */
+	private const OBJECT_TYPES = [ 'post', 'term', 'user' ];
+
+	/**
+	 * Export builder conditions as a document.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function export( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id     = $request->get_param( 'set_id' );
+		$conditions = $request->get_param( 'conditions' );
+
+		if ( ! Registry::get_set( $set_id ) ) {
+			return self::invalid_set_error();
+		}
+
+		$configs    = Registry::get_conditions_raw( $set_id );
+		$conditions = Sanitizer::sanitize_conditions( $conditions, $configs );
+		$references = [];
+
+		self::walk_rules( $conditions, function ( array $rule ) use ( $configs, &$references ) {
+			$config = $configs[ $rule['condition'] ] ?? [];
+			$type   = $config['type'] ?? '';
+
+			if ( ! in_array( $type, self::OBJECT_TYPES, true ) ) {
+				return $rule;
+			}
+
+			foreach ( self::get_ids( $rule['value'] ) as $id ) {
+				$slug = self::get_slug( $type, $id, $config );
+
+				if ( $slug !== null ) {
+					$references[ $type ][ (string) $id ] = $slug;
+				}
+			}
+
+			return $rule;
+		} );
+
+		$document = [
+			'version'    => self::VERSION,
+			'set_id'     => $set_id,
+			'exported'   => gmdate( 'c' ),
+			'site'       => home_url(),
+			'conditions' => $conditions,
+			'references' => $references,
+		];
+
+		/**
+		 * Filter an exported rule set document.
+		 *
+		 * @param array  $document The export document.
+		 * @param string $set_id   The condition set ID.
+		 */
+		$document = apply_filters( 'conditions_export_document', $document, $set_id );
+
+		return new WP_REST_Response( $document, 200 );
+	}
+
+	/**
+	 * Import a document into builder conditions.
+	 *
+	 * Nothing is saved: the conditions are returned for the builder to load,
+	 * along with any condition IDs the set doesn't know about and any object
+	 * references that couldn't be found on this site.
+	 *
+	 * @param WP_REST_Request $request The request object.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function import( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$set_id   = $request->get_param( 'set_id' );
+		$document = $request->get_param( 'document' );
+
+		if ( ! Registry::get_set( $set_id ) ) {
+			return self::invalid_set_error();
+		}
+
+		if ( ! is_array( $document ) || ! isset( $document['version'], $document['conditions'] ) || ! is_array( $document['conditions'] ) ) {
+			return new WP_Error(
+				'invalid_document',
+				__( 'This file is not a conditions export.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( (int) $document['version'] > self::VERSION ) {
+			return new WP_Error(
+				'unsupported_version',
+				__( 'This export was made with a newer version and cannot be imported.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		/**
+		 * Filter a rule set document before it is imported.
+		 *
+		 * @param array  $document The import document.
+		 * @param string $set_id   The condition set ID.
+		 */
+		$document = apply_filters( 'conditions_import_document', $document, $set_id );
+
+		$known      = Registry::get_conditions( $set_id );
+		$references = is_array( $document['references'] ?? null ) ? $document['references'] : [];
+		$unknown    = [];
+		$unresolved = [];
+
+		$conditions = self::walk_rules( $document['conditions'], function ( array $rule ) use ( $known, $references, &$unknown, &$unresolved ) {
+			$condition_id = (string) ( $rule['condition'] ?? '' );
+
+			if ( ! isset( $known[ $condition_id ] ) ) {
+				$unknown[] = $condition_id;
+
+				return null;
+			}
+
+			$config = $known[ $condition_id ];
+			$type   = $config['type'] ?? '';
+
+			if ( in_array( $type, self::OBJECT_TYPES, true ) ) {
+				$rule['value'] = self::translate_ids( $rule, $config, $references[ $type ] ?? [], $unresolved );
+			}
+
+			return $rule;
+		} );
+
+		// Sanitize exactly as a save would
+		$conditions = Sanitizer::sanitize_conditions( self::key_by_id( $conditions ), Registry::get_conditions_raw( $set_id ) );
+
+		return new WP_REST_Response( [
+			'conditions' => $conditions,
+			'unknown'    => array_values( array_unique( $unknown ) ),
+			'unresolved' => $unresolved,
+		], 200 );
+	}
+
+	/**
+	 * Apply a callback to every rule in a list of groups.
+	 *
+	 * The callback receives each rule and returns it (possibly modified),
+	 * or null to drop it.
+	 *
+	 * @param array    $items    Groups, subgroups or rules.
+	 * @param callable $callback The rule callback.
+	 *
+	 * @return array
+	 */
+	private static function walk_rules( array $items, callable $callback ): array {
+		$walked = [];
+
+		foreach ( $items as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			// Groups and subgroups hold rules, rules hold a condition
+			if ( isset( $item['rules'] ) || Matcher::is_subgroup( $item ) ) {
+				$item['rules'] = self::walk_rules( (array) ( $item['rules'] ?? [] ), $callback );
+				$walked[]      = $item;
+				continue;
+			}
+
+			$item = $callback( $item );
+
+			if ( $item !== null ) {
+				$walked[] = $item;
+			}
+		}
+
+		return $walked;
+	}
+
+	/**
+	 * Key groups and rules by their IDs, as the builder form submits them.
+	 *
+	 * @param array $items Groups, subgroups or rules.
+	 *
+	 * @return array
+	 */
+	private static function key_by_id( array $items ): array {
+		$keyed = [];
+
+		foreach ( $items as $item ) {
+			$id = sanitize_key( (string) ( $item['id'] ?? '' ) );
+
+			if ( $id === '' || isset( $keyed[ $id ] ) ) {
+				$id = strtolower( wp_generate_password( 9, false ) );
+			}
+
+			if ( isset( $item['rules'] ) ) {
+				$item['rules'] = self::key_by_id( $item['rules'] );
+			}
+
+			$keyed[ $id ] = $item;
+		}
+
+		return $keyed;
+	}
+
+	/**
+	 * Get the object IDs in a rule value.
+	 *
+	 * @param mixed $value A single ID or a list of IDs.
+	 *
+	 * @return int[]
+	 */
+	private static function get_ids( mixed $value ): array {
+		return array_values( array_filter( array_map( 'absint', is_array( $value ) ? $value : [ $value ] ) ) );
+	}
+
+	/**
+	 * Get the slug of a referenced post, term or user.
+	 *
+	 * @param string $type   The condition type (post, term or user).
+	 * @param int    $id     The object ID.
+	 * @param array  $config The condition configuration.
+	 *
+	 * @return string|null
+	 */
+	private static function get_slug( string $type, int $id, array $config ): ?string {
+		switch ( $type ) {
+			case 'post':
+				$post = get_post( $id );
+
+				return $post ? $post->post_name : null;
+
+			case 'term':
+				$term = get_term( $id, $config['taxonomy'] ?? '' );
+
+				return $term instanceof WP_Term ? $term->slug : null;
+
+			case 'user':
+				$user = get_userdata( $id );
+
+				return $user ? $user->user_nicename : null;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a referenced post, term or user exists on this site.
+	 *
+	 * @param string $type   The condition type (post, term or user).
+	 * @param int    $id     The object ID.
+	 * @param array  $config The condition configuration.
+	 *
+	 * @return bool
+	 */
+	private static function object_exists( string $type, int $id, array $config ): bool {
+		switch ( $type ) {
+			case 'post':
+				$post = get_post( $id );
+
+				return $post && ( empty( $config['post_type'] ) || $post->post_type === $config['post_type'] );
+
+			case 'term':
+				return get_term( $id, $config['taxonomy'] ?? '' ) instanceof WP_Term;
+
+			case 'user':
+				return (bool) get_userdata( $id );
+		}
+
+		return false;
+	}
+
+	/**
+	 * Find a post, term or user on this site by slug.
+	 *
+	 * @param string $type   The condition type (post, term or user).
+	 * @param string $slug   The object slug.
+	 * @param array  $config The condition configuration.
+	 *
+	 * @return int|null The object ID, or null if not found.
+	 */
+	private static function find_by_slug( string $type, string $slug, array $config ): ?int {
+		switch ( $type ) {
+			case 'post':
+				$ids = get_posts( [
+					'name'           => $slug,
+					'post_type'      => $config['post_type'] ?? 'any',
+					'post_status'    => 'any',
+					'posts_per_page' => 1,
+					'fields'         => 'ids',
+				] );
+
+				return $ids ? (int) $ids[0] : null;
+
+			case 'term':
+				$term = get_term_by( 'slug', $slug, $config['taxonomy'] ?? '' );
+
+				return $term instanceof WP_Term ? $term->term_id : null;
+
+			case 'user':
+				$user = get_user_by( 'slug', $slug );
+
+				return $user ? $user->ID : null;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Translate a rule's object IDs for this site.
+	 *
+	 * IDs are kept when the object with that ID here has the slug recorded at
+	 * export (or exists, if no slug was recorded). Otherwise, including when
+	 * the ID belongs to a different object here, the object is looked up by
+	 * slug, and dropped (and reported) if no match is found.
+	 *
+	 * @param array $rule       The rule.
+	 * @param array $config     The condition configuration.
+	 * @param array $references Exported ID => slug map for the condition type.
+	 * @param array $unresolved Collects references that couldn't be found.
+	 *
+	 * @return mixed The translated value.
+	 */
+	private static function translate_ids( array $rule, array $config, array $references, array &$unresolved ): mixed {
+		$type = $config['type'];
+		$ids  = [];
+
+		foreach ( self::get_ids( $rule['value'] ?? null ) as $id ) {
+			$slug = isset( $references[ $id ] ) ? sanitize_title( (string) $references[ $id ] ) : '';
+
+			// An ID that collides with a different object here must not be kept
+			if ( self::object_exists( $type, $id, $config ) && ( $slug === '' || self::get_slug( $type, $id, $config ) === $slug ) ) {
+				$ids[] = $id;
+				continue;
+			}
+
+			$new_id = $slug !== '' ? self::find_by_slug( $type, $slug, $config ) : null;
+
+			if ( $new_id !== null ) {
+				$ids[] = $new_id;
+				continue;
+			}
+
+			$unresolved[] = [
+				'condition' => $rule['condition'],
+				'type'      => $type,
+				'id'        => $id,
+				'slug'      => $slug,
+			];
+		}
+
+		if ( ! empty( $config['multiple'] ) ) {
+			return array_map( 'strval', $ids );
+		}
+
+		return $ids ? (string) $ids[0] : '';
+	}
+
+	/**
+	 * Get the error returned for an unknown condition set.
+	 *
+	 * @return WP_Error
+	 */
+	private static function invalid_set_error(): WP_Error {
+		return new WP_Error(
+			'invalid_set',
+			__( 'Invalid condition set ID.', 'arraypress' ),
+			[ 'status' => 400 ]
+		);
+	}
+
+}
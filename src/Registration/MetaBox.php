@@ -17,6 +17,9 @@ namespace ArrayPress\Conditions\Registration;
 
 use ArrayPress\Conditions\Admin\MetaBoxRenderer;
 use ArrayPress\Conditions\Admin\Sanitizer;
+use ArrayPress\Conditions\Compiler;
+use ArrayPress\Conditions\Helpers\Schedule;
+use ArrayPress\Conditions\Matcher;
 use ArrayPress\Conditions\Registry;
 use WP_Post;
 
@@ -91,6 +94,26 @@ class MetaBox {
 			'high',
 			[ 'set_id' => $this->set_id ]
 		);
+
+		if ( $this->config['schedule'] ?? true ) {
+			add_meta_box(
+				$this->set_id . '_schedule',
+				__( 'Schedule', 'arraypress' ),
+				[ MetaBoxRenderer::class, 'render_schedule' ],
+				$this->set_id,
+				'side',
+				'default'
+			);
+		}
+
+		add_meta_box(
+			$this->set_id . '_processing',
+			__( 'Processing', 'arraypress' ),
+			[ MetaBoxRenderer::class, 'render_processing' ],
+			$this->set_id,
+			'side',
+			'default'
+		);
 	}
 
 	/**
@@ -109,6 +132,41 @@ class MetaBox {
 				return current_user_can( $capability, $post_id );
 			},
 		] );
+
+		register_post_meta( $this->set_id, Compiler::META_KEY, [
+			'type'          => 'object',
+			'single'        => true,
+			'show_in_rest'  => false,
+			'auth_callback' => function ( $allowed, $meta_key, $post_id ) {
+				$capability = $this->config['capability'] ?? 'manage_options';
+
+				return current_user_can( $capability, $post_id );
+			},
+		] );
+
+		register_post_meta( $this->set_id, Matcher::STOP_PROCESSING_KEY, [
+			'type'          => 'boolean',
+			'single'        => true,
+			'show_in_rest'  => false,
+			'auth_callback' => function ( $allowed, $meta_key, $post_id ) {
+				$capability = $this->config['capability'] ?? 'manage_options';
+
+				return current_user_can( $capability, $post_id );
+			},
+		] );
+
+		foreach ( [ Schedule::FROM_KEY, Schedule::UNTIL_KEY ] as $key ) {
+			register_post_meta( $this->set_id, $key, [
+				'type'          => 'string',
+				'single'        => true,
+				'show_in_rest'  => false,
+				'auth_callback' => function ( $allowed, $meta_key, $post_id ) {
+					$capability = $this->config['capability'] ?? 'manage_options';
+
+					return current_user_can( $capability, $post_id );
+				},
+			] );
+		}
 	}
 
 	/**
@@ -142,12 +200,47 @@ class MetaBox {
 			return;
 		}
 
-		// Get raw conditions from form
-		$raw_conditions = $_POST['_conditions'] ?? [];
+		// A rejected rules payload leaves the saved rules alone, not the other fields
+		$this->save_conditions( $post_id, $post );
+
+		if ( $this->config['schedule'] ?? true ) {
+			$this->save_schedule( $post_id );
+		}
+
+		// Priority is saved by core from the menu_order field
+		if ( ! empty( $_POST['conditions_stop_processing'] ) ) {
+			update_post_meta( $post_id, Matcher::STOP_PROCESSING_KEY, '1' );
+		} else {
+			delete_post_meta( $post_id, Matcher::STOP_PROCESSING_KEY );
+		}
+	}
+
+	/**
+	 * Save the conditions and their compiled plan from the builder's JSON payload.
+	 *
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 *
+	 * @return void
+	 */
+	private function save_conditions( int $post_id, WP_Post $post ): void {
+		// Get raw conditions from the builder's JSON payload
+		$raw_conditions = Sanitizer::decode_payload( (string) wp_unslash( $_POST['_conditions'] ?? '' ) );
 
 		// Get condition configurations for custom sanitization
 		$condition_configs = Registry::get_conditions_raw( $this->set_id );
 
+		if ( ! is_wp_error( $raw_conditions ) ) {
+			$raw_conditions = Sanitizer::validate_conditions( $raw_conditions, $condition_configs ) ?? $raw_conditions;
+		}
+
+		// Keep the saved rules rather than overwrite them with a rejected payload or drop invalid rules
+		if ( is_wp_error( $raw_conditions ) ) {
+			set_transient( self::get_payload_error_key( $post_id ), $raw_conditions->get_error_message(), MINUTE_IN_SECONDS );
+
+			return;
+		}
+
 		// Sanitize with condition configs for custom sanitizers
 		$conditions = Sanitizer::sanitize_conditions( $raw_conditions, $condition_configs );
 
@@ -161,8 +254,9 @@ class MetaBox {
 		 */
 		$conditions = apply_filters( "{$this->set_id}_save_conditions", $conditions, $post_id, $post, $this->set_id );
 
-		// Save
+		// Save, along with the compiled plan the matcher runs
 		update_post_meta( $post_id, '_conditions', $conditions );
+		Compiler::compile_post( $post_id, $this->set_id, $conditions );
 
 		/**
 		 * Action fired after conditions are saved.
@@ -175,4 +269,42 @@ class MetaBox {
 		do_action( "{$this->set_id}_conditions_saved", $post_id, $conditions, $post, $this->set_id );
 	}
 
+	/**
+	 * Get the transient key holding a rejected payload's error for the current user.
+	 *
+	 * @param int $post_id The rule post ID.
+	 *
+	 * @return string
+	 */
+	public static function get_payload_error_key( int $post_id ): string {
+		return 'conditions_payload_error_' . get_current_user_id() . '_' . $post_id;
+	}
+
+	/**
+	 * Save the schedule window from form submission.
+	 *
+	 * Inputs are in the site timezone and stored in GMT. An empty or invalid
+	 * input removes that end of the window.
+	 *
+	 * @param int $post_id Post ID.
+	 *
+	 * @return void
+	 */
+	private function save_schedule( int $post_id ): void {
+		$fields = [
+			Schedule::FROM_KEY  => 'conditions_active_from',
+			Schedule::UNTIL_KEY => 'conditions_active_until',
+		];
+
+		foreach ( $fields as $meta_key => $field ) {
+			$value = Schedule::to_gmt( sanitize_text_field( wp_unslash( $_POST[ $field ] ?? '' ) ) );
+
+			if ( $value === '' ) {
+				delete_post_meta( $post_id, $meta_key );
+			} else {
+				update_post_meta( $post_id, $meta_key, $value );
+			}
+		}
+	}
+
 }
\ No newline at end of file
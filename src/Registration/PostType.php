@@ -15,6 +15,13 @@ declare( strict_types=1 );
 
 namespace ArrayPress\Conditions\Registration;
 
+use ArrayPress\Conditions\Admin\Summary;
+use ArrayPress\Conditions\Helpers\RuleCache;
+use ArrayPress\Conditions\Helpers\Schedule;
+use ArrayPress\Conditions\Matcher;
+use WP_Post;
+use WP_Query;
+
 /**
  * Class PostType
  *
@@ -116,6 +123,19 @@ class PostType {
 		if ( ! empty( $this->config['redirect']['show_undo'] ) ) {
 			add_action( 'admin_notices', [ $this, 'display_trash_notice' ] );
 		}
+
+		// Conditions summary column on the list screen
+		add_filter( "manage_{$this->set_id}_posts_columns", [ $this, 'filter_columns' ] );
+		add_action( "manage_{$this->set_id}_posts_custom_column", [ $this, 'render_column' ], 10, 2 );
+
+		// List rules in priority order by default
+		add_action( 'pre_get_posts', [ $this, 'set_default_order' ] );
+
+		// Flush cached rule sets when a rule or its meta changes
+		add_action( 'clean_post_cache', [ $this, 'flush_rule_cache' ], 10, 2 );
+		add_action( 'added_post_meta', [ $this, 'flush_rule_cache_for_meta' ], 10, 2 );
+		add_action( 'updated_post_meta', [ $this, 'flush_rule_cache_for_meta' ], 10, 2 );
+		add_action( 'deleted_post_meta', [ $this, 'flush_rule_cache_for_meta' ], 10, 2 );
 	}
 
 	/**
@@ -346,6 +366,178 @@ class PostType {
 		);
 	}
 
+	/**
+	 * Flush cached rule sets when a rule post is saved, trashed or deleted.
+	 *
+	 * @param int     $post_id The post ID.
+	 * @param WP_Post $post    The post object.
+	 *
+	 * @return void
+	 */
+	public function flush_rule_cache( int $post_id, WP_Post $post ): void {
+		if ( $post->post_type === $this->set_id ) {
+			RuleCache::flush( $this->set_id );
+		}
+	}
+
+	/**
+	 * Flush cached rule sets when a rule's meta changes.
+	 *
+	 * @param int|int[] $meta_id   The meta ID(s).
+	 * @param int       $object_id The post ID.
+	 *
+	 * @return void
+	 */
+	public function flush_rule_cache_for_meta( int|array $meta_id, int $object_id ): void {
+		if ( get_post_type( $object_id ) === $this->set_id ) {
+			RuleCache::flush( $this->set_id );
+		}
+	}
+
+	/**
+	 * Order the rules list screen by priority, as the matcher checks them,
+	 * unless another order was picked.
+	 *
+	 * @param WP_Query $query The query.
+	 *
+	 * @return void
+	 */
+	public function set_default_order( WP_Query $query ): void {
+		if ( ! is_admin() || ! $query->is_main_query() || $query->get( 'post_type' ) !== $this->set_id ) {
+			return;
+		}
+
+		if ( $query->get( 'orderby' ) ) {
+			return;
+		}
+
+		$query->set( 'orderby', [
+			'menu_order' => 'ASC',
+			'title'      => 'ASC',
+		] );
+	}
+
+	/**
+	 * Add the priority column before the title, and the conditions summary
+	 * and schedule columns after it.
+	 *
+	 * @param array $columns The list table columns.
+	 *
+	 * @return array
+	 */
+	public function filter_columns( array $columns ): array {
+		$filtered = [];
+
+		foreach ( $columns as $key => $label ) {
+			if ( $key === 'title' ) {
+				$filtered['conditions_priority'] = __( 'Priority', 'arraypress' );
+			}
+
+			$filtered[ $key ] = $label;
+
+			if ( $key === 'title' ) {
+				$filtered['conditions_summary'] = __( 'Conditions', 'arraypress' );
+			}
+		}
+
+		// No title column, add at the end
+		if ( ! isset( $filtered['conditions_summary'] ) ) {
+			$filtered['conditions_summary'] = __( 'Conditions', 'arraypress' );
+		}
+
+		if ( $this->config['schedule'] ?? true ) {
+			$filtered['conditions_schedule'] = __( 'Schedule', 'arraypress' );
+		}
+
+		return $filtered;
+	}
+
+	/**
+	 * Render the priority, conditions summary and schedule columns.
+	 *
+	 * @param string $column  The column key.
+	 * @param int    $post_id The post ID.
+	 *
+	 * @return void
+	 */
+	public function render_column( string $column, int $post_id ): void {
+		if ( $column === 'conditions_priority' ) {
+			$this->render_priority_column( $post_id );
+
+			return;
+		}
+
+		if ( $column === 'conditions_schedule' ) {
+			$this->render_schedule_column( $post_id );
+
+			return;
+		}
+
+		if ( $column !== 'conditions_summary' ) {
+			return;
+		}
+
+		$conditions = get_post_meta( $post_id, '_conditions', true );
+		$summary    = is_array( $conditions ) ? Summary::describe( $this->set_id, $conditions ) : '';
+
+		if ( $summary === '' ) {
+			echo '<span aria-hidden="true">&#8212;</span>';
+
+			return;
+		}
+
+		echo esc_html( $summary );
+	}
+
+	/**
+	 * Render the priority column: a drag handle, the priority and whether
+	 * the rule stops further processing.
+	 *
+	 * @param int $post_id The post ID.
+	 *
+	 * @return void
+	 */
+	private function render_priority_column( int $post_id ): void {
+		printf(
+			'<span class="conditions-order-handle dashicons dashicons-menu" title="%s" aria-hidden="true"></span> <span class="conditions-priority">%d</span>',
+			esc_attr__( 'Drag to reorder', 'arraypress' ),
+			(int) get_post_field( 'menu_order', $post_id )
+		);
+
+		if ( get_post_meta( $post_id, Matcher::STOP_PROCESSING_KEY, true ) ) {
+			echo '<br><span class="description">' . esc_html__( 'Stops processing', 'arraypress' ) . '</span>';
+		}
+	}
+
+	/**
+	 * Render the schedule column: Scheduled, Active or Expired, with the
+	 * date that status started or ends.
+	 *
+	 * @param int $post_id The post ID.
+	 *
+	 * @return void
+	 */
+	private function render_schedule_column( int $post_id ): void {
+		$window = Schedule::get_window( $post_id );
+		$status = Schedule::get_status( $post_id );
+		$format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+		$detail = match ( $status ) {
+			/* translators: %s: start date */
+			'scheduled' => sprintf( __( 'Starts %s', 'arraypress' ), Schedule::to_local( $window['from'], $format ) ),
+			/* translators: %s: end date */
+			'expired' => sprintf( __( 'Ended %s', 'arraypress' ), Schedule::to_local( $window['until'], $format ) ),
+			/* translators: %s: end date */
+			default => $window['until'] !== '' ? sprintf( __( 'Until %s', 'arraypress' ), Schedule::to_local( $window['until'], $format ) ) : '',
+		};
+
+		echo '<strong>' . esc_html( Schedule::get_status_label( $status ) ) . '</strong>';
+
+		if ( $detail !== '' ) {
+			echo '<br><span class="description">' . esc_html( $detail ) . '</span>';
+		}
+	}
+
 	/**
 	 * Get the set ID.
 	 *
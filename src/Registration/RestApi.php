@@ -66,6 +66,12 @@ class RestApi {
 		$this->register_terms_route();
 		$this->register_users_route();
 		$this->register_ajax_route();
+		$this->register_options_route();
+		$this->register_labels_route();
+		$this->register_preview_route();
+		$this->register_lint_route();
+		$this->register_transfer_routes();
+		$this->register_order_route();
 	}
 
 	/**
@@ -184,6 +190,183 @@ class RestApi {
 		] );
 	}
 
+	/**
+	 * Register options endpoint for selects with 'lazy_options'.
+	 *
+	 * @return void
+	 */
+	private function register_options_route(): void {
+		register_rest_route( $this->namespace, '/options', [
+			'methods'             => 'GET',
+			'callback'            => [ REST\Options::class, 'search' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'       => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'condition_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'search'       => [
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_text_field',
+				],
+				'page'         => [
+					'type'    => 'integer',
+					'default' => 1,
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Register labels endpoint for hydrating a builder's saved select values.
+	 *
+	 * @return void
+	 */
+	private function register_labels_route(): void {
+		register_rest_route( $this->namespace, '/labels', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Labels::class, 'handle' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'  => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'lookups' => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Register preview endpoint for testing unsaved rules.
+	 *
+	 * @return void
+	 */
+	private function register_preview_route(): void {
+		register_rest_route( $this->namespace, '/preview', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Preview::class, 'handle' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'     => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'conditions' => [
+					'type'    => 'object',
+					'default' => [],
+				],
+				'args'       => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Register lint endpoint for checking unsaved rules for conflicts.
+	 *
+	 * @return void
+	 */
+	private function register_lint_route(): void {
+		register_rest_route( $this->namespace, '/lint', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Lint::class, 'handle' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'     => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'conditions' => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Register export and import endpoints for moving rule sets between sites.
+	 *
+	 * @return void
+	 */
+	private function register_transfer_routes(): void {
+		register_rest_route( $this->namespace, '/export', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Transfer::class, 'export' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'     => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'conditions' => [
+					'type'    => 'object',
+					'default' => [],
+				],
+			],
+		] );
+
+		register_rest_route( $this->namespace, '/import', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Transfer::class, 'import' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id'   => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'document' => [
+					'required' => true,
+					'type'     => 'object',
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Register order endpoint for drag ordering on the rules list.
+	 *
+	 * @return void
+	 */
+	private function register_order_route(): void {
+		register_rest_route( $this->namespace, '/order', [
+			'methods'             => 'POST',
+			'callback'            => [ REST\Order::class, 'handle' ],
+			'permission_callback' => [ $this, 'permission_check' ],
+			'args'                => [
+				'set_id' => [
+					'required'          => true,
+					'type'              => 'string',
+					'sanitize_callback' => 'sanitize_key',
+				],
+				'ids'    => [
+					'required' => true,
+					'type'     => 'array',
+					'items'    => [
+						'type' => 'integer',
+					],
+				],
+			],
+		] );
+	}
+
 	/**
 	 * REST API permission check.
 	 *
@@ -0,0 +1,166 @@
+<?php
+/**
+ * Value List Post Type Registration
+ *
+ * Handles the post type, meta box and saving of value lists.
+ *
+ * @package     ArrayPress\Conditions\Registration
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Registration;
+
+use ArrayPress\Conditions\Admin\MetaBoxRenderer;
+use ArrayPress\Conditions\Helpers\ValueLists;
+use WP_Post;
+
+/**
+ * Class ValueListPostType
+ *
+ * Registers the shared value lists that tags, IP and email rules in any
+ * condition set can reference.
+ */
+class ValueListPostType {
+
+	/**
+	 * Register the post type and hook into WordPress.
+	 *
+	 * @return void
+	 */
+	public function register(): void {
+		if ( post_type_exists( ValueLists::POST_TYPE ) ) {
+			return;
+		}
+
+		$this->register_post_type();
+		$this->register_meta();
+
+		add_action( 'add_meta_boxes_' . ValueLists::POST_TYPE, [ $this, 'add_meta_box' ] );
+		add_action( 'save_post_' . ValueLists::POST_TYPE, [ $this, 'save_meta' ] );
+	}
+
+	/**
+	 * Register the custom post type.
+	 *
+	 * @return void
+	 */
+	private function register_post_type(): void {
+		$args = [
+			'labels'              => [
+				'name'               => __( 'Value Lists', 'arraypress' ),
+				'singular_name'      => __( 'Value List', 'arraypress' ),
+				'add_new'            => __( 'Add New Value List', 'arraypress' ),
+				'add_new_item'       => __( 'Add New Value List', 'arraypress' ),
+				'edit_item'          => __( 'Edit Value List', 'arraypress' ),
+				'new_item'           => __( 'New Value List', 'arraypress' ),
+				'search_items'       => __( 'Search Value Lists', 'arraypress' ),
+				'not_found'          => __( 'No value lists found', 'arraypress' ),
+				'not_found_in_trash' => __( 'No value lists found in trash', 'arraypress' ),
+				'all_items'          => __( 'Value Lists', 'arraypress' ),
+			],
+			'public'              => false,
+			'show_ui'             => true,
+			'show_in_menu'        => 'tools.php',
+			'capability_type'     => 'post',
+			'map_meta_cap'        => true,
+			'hierarchical'        => false,
+			'supports'            => [ 'title' ],
+			'has_archive'         => false,
+			'rewrite'             => false,
+			'show_in_rest'        => false,
+			'exclude_from_search' => true,
+		];
+
+		/**
+		 * Filter the value list post type arguments.
+		 *
+		 * @param array $args The post type arguments.
+		 */
+		register_post_type( ValueLists::POST_TYPE, apply_filters( 'conditions_value_list_post_type_args', $args ) );
+	}
+
+	/**
+	 * Register post meta for value lists.
+	 *
+	 * @return void
+	 */
+	private function register_meta(): void {
+		$meta = [
+			ValueLists::TYPE_KEY   => 'string',
+			ValueLists::VALUES_KEY => 'array',
+		];
+
+		foreach ( $meta as $key => $type ) {
+			register_post_meta( ValueLists::POST_TYPE, $key, [
+				'type'          => $type,
+				'single'        => true,
+				'show_in_rest'  => false,
+				'auth_callback' => fn( $allowed, $meta_key, $post_id ) => current_user_can( 'manage_options', $post_id ),
+			] );
+		}
+	}
+
+	/**
+	 * Add the values meta box.
+	 *
+	 * @return void
+	 */
+	public function add_meta_box(): void {
+		add_meta_box(
+			ValueLists::POST_TYPE . '_values',
+			__( 'Values', 'arraypress' ),
+			[ MetaBoxRenderer::class, 'render_value_list' ],
+			ValueLists::POST_TYPE,
+			'normal',
+			'high'
+		);
+	}
+
+	/**
+	 * Save the list type and values from form submission.
+	 *
+	 * @param int $post_id Post ID.
+	 *
+	 * @return void
+	 */
+	public function save_meta( int $post_id ): void {
+		if ( ! isset( $_POST['conditions_list_nonce'] ) ||
+		     ! wp_verify_nonce( $_POST['conditions_list_nonce'], 'save_conditions_list' ) ) {
+			return;
+		}
+
+		if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+			return;
+		}
+
+		if ( ! current_user_can( 'manage_options', $post_id ) ) {
+			return;
+		}
+
+		$type = sanitize_key( wp_unslash( $_POST['conditions_list_type'] ?? '' ) );
+
+		if ( ! isset( ValueLists::get_types()[ $type ] ) ) {
+			$type = 'text';
+		}
+
+		$values = ValueLists::sanitize_values( $type, sanitize_textarea_field( wp_unslash( $_POST['conditions_list_values'] ?? '' ) ) );
+
+		update_post_meta( $post_id, ValueLists::TYPE_KEY, $type );
+		update_post_meta( $post_id, ValueLists::VALUES_KEY, $values );
+
+		/**
+		 * Action fired after a value list is saved.
+		 *
+		 * @param int      $post_id The list post ID.
+		 * @param string   $type    The list type.
+		 * @param string[] $values  The saved values.
+		 */
+		do_action( 'conditions_value_list_saved', $post_id, $type, $values );
+	}
+
+}
\ No newline at end of file
@@ -21,6 +21,7 @@ use ArrayPress\Conditions\Admin\Assets;
 use ArrayPress\Conditions\Registration\MetaBox;
 use ArrayPress\Conditions\Registration\PostType;
 use ArrayPress\Conditions\Registration\RestApi;
+use ArrayPress\Conditions\Registration\ValueListPostType;
 use InvalidArgumentException;
 
 /**
@@ -121,6 +122,9 @@ class Registry {
 		// Initialize Assets
 		self::$assets = new Assets();
 		self::$assets->register();
+
+		// Shared value lists for tags, IP and email rules
+		( new ValueListPostType() )->register();
 	}
 
 	/**
@@ -142,6 +146,8 @@ class Registry {
 	 * @type array   $redirect      Redirect configuration (after_trash, show_undo).
 	 * @type string  $description   Meta box description text.
 	 * @type string  $metabox_title Custom meta box title.
+	 * @type bool    $schedule      Show the Schedule panel and skip rules outside their window.
+	 * @type bool    $object_cache  Keep compiled rules in the object cache between requests.
 	 * @type array   $supports      Post type supports array.
 	 *                              }
 	 *
@@ -177,6 +183,8 @@ class Registry {
 			'description'   => __( 'Configure when this rule should apply. Groups are connected with OR logic, conditions within a group use AND logic.', 'arraypress' ),
 			'metabox_title' => null,
 			'supports'      => [ 'title' ],
+			'schedule'      => true,
+			'object_cache'  => false,
 		] );
 
 		self::$sets[ $set_id ] = $args;
@@ -319,6 +327,7 @@ class Registry {
 			'type'          => 'text',
 			'multiple'      => false,
 			'options'       => [],
+			'lazy_options'  => false,
 			'units'         => [],
 			'operators'     => null,
 			'arg'           => null,
@@ -327,6 +336,7 @@ class Registry {
 			'post_type'     => null,
 			'taxonomy'      => null,
 			'role'          => null,
+			'cost'          => 'cheap',
 		] );
 	}
 
@@ -406,7 +416,10 @@ class Registry {
 
 		// Resolve any callable options for JavaScript
 		foreach ( $conditions as $key => $condition ) {
-			if ( isset( $condition['options'] ) && is_callable( $condition['options'] ) ) {
+			// Lazy options are searched through the REST API instead
+			if ( ! empty( $condition['lazy_options'] ) ) {
+				$conditions[ $key ]['options'] = [];
+			} elseif ( isset( $condition['options'] ) && is_callable( $condition['options'] ) ) {
 				$conditions[ $key ]['options'] = call_user_func( $condition['options'] );
 			}
 			if ( isset( $condition['units'] ) && is_callable( $condition['units'] ) ) {
@@ -430,6 +443,43 @@ class Registry {
 		return self::$conditions[ $set_id ] ?? [];
 	}
 
+	/**
+	 * Get the options of a select condition as value/label pairs.
+	 *
+	 * Resolves callable options, including those of lazy conditions that
+	 * aren't sent to the builder up front.
+	 *
+	 * @param string $set_id       The condition set ID.
+	 * @param string $condition_id The condition ID.
+	 *
+	 * @return array<array{value: string, label: string}>
+	 */
+	public static function get_options( string $set_id, string $condition_id ): array {
+		$options = self::$conditions[ $set_id ][ $condition_id ]['options'] ?? [];
+
+		if ( is_callable( $options ) ) {
+			$options = call_user_func( $options );
+		}
+
+		$normalized = [];
+
+		foreach ( (array) $options as $key => $option ) {
+			if ( is_array( $option ) && isset( $option['value'] ) ) {
+				$normalized[] = [
+					'value' => (string) $option['value'],
+					'label' => (string) ( $option['label'] ?? $option['value'] ),
+				];
+			} elseif ( is_scalar( $option ) ) {
+				$normalized[] = [
+					'value' => (string) $key,
+					'label' => (string) $option,
+				];
+			}
+		}
+
+		return $normalized;
+	}
+
 	/**
 	 * Check if a post type is allowed for REST queries.
 	 *
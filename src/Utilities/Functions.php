@@ -13,6 +13,7 @@
 
 declare( strict_types=1 );
 
+use ArrayPress\Conditions\Admin\MetaBoxRenderer;
 use ArrayPress\Conditions\Registry;
 use ArrayPress\Conditions\Matcher;
 use ArrayPress\Conditions\Models\MatchResult;
@@ -137,19 +138,24 @@ if ( ! function_exists( 'check_conditions' ) ) :
 	 *     $rule = $result->get_rule();
 	 *     echo "Matched rule: " . $rule->post_title;
 	 * }
+	 *
+	 * // Find out why nothing matched
+	 * $result = check_conditions( 'fraud_rule', $args, [], true );
+	 * print_r( $result->get_trace() );
 	 * ```
 	 *
 	 * @param string $set_id     The condition set ID.
 	 * @param array  $args       Arguments to evaluate conditions against.
 	 * @param array  $query_args Optional. Query arguments for retrieving rules.
 	 *                           Supports all WP_Query arguments except 'post_type'.
+	 * @param bool   $explain    Optional. Record an evaluation trace. Default false.
 	 *
 	 * @return MatchResult
 	 */
-	function check_conditions( string $set_id, array $args = [], array $query_args = [] ): MatchResult {
+	function check_conditions( string $set_id, array $args = [], array $query_args = [], bool $explain = false ): MatchResult {
 		$matcher = new Matcher( $set_id, $args, $query_args );
 
-		return $matcher->check();
+		return $matcher->explain( $explain )->check();
 	}
 endif;
 
@@ -191,12 +197,59 @@ if ( ! function_exists( 'check_all_conditions' ) ) :
 	 * @param array  $args       Arguments to evaluate conditions against.
 	 * @param array  $query_args Optional. Query arguments for retrieving rules.
 	 *                           Supports all WP_Query arguments except 'post_type'.
+	 * @param bool   $explain    Optional. Record an evaluation trace. Default false.
 	 *
 	 * @return MatchResultCollection
 	 */
-	function check_all_conditions( string $set_id, array $args = [], array $query_args = [] ): MatchResultCollection {
+	function check_all_conditions( string $set_id, array $args = [], array $query_args = [], bool $explain = false ): MatchResultCollection {
 		$matcher = new Matcher( $set_id, $args, $query_args );
 
-		return $matcher->check_all();
+		return $matcher->explain( $explain )->check_all();
+	}
+endif;
+
+if ( ! function_exists( 'render_conditions_builder' ) ) :
+	/**
+	 * Render a conditions builder outside the rule meta box.
+	 *
+	 * Can be called several times on one screen, e.g. "show when" and
+	 * "hide when" builders on the same settings page. Give each builder its
+	 * own field name, then decode and sanitize the JSON it submits before saving.
+	 *
+	 * Example usage:
+	 * ```php
+	 * render_conditions_builder( 'banner_rule', get_option( 'banner_show_when', [] ), [
+	 *     'name'    => 'banner_show_when',
+	 *     'preview' => false,
+	 * ] );
+	 *
+	 * // When saving, keep the saved rules if the JSON payload or a rule is rejected
+	 * $configs = \ArrayPress\Conditions\Registry::get_conditions_raw( 'banner_rule' );
+	 * $payload = \ArrayPress\Conditions\Admin\Sanitizer::decode_payload( wp_unslash( $_POST['banner_show_when'] ?? '' ) );
+	 *
+	 * if ( ! is_wp_error( $payload ) ) {
+	 *     $payload = \ArrayPress\Conditions\Admin\Sanitizer::validate_conditions( $payload, $configs ) ?? $payload;
+	 * }
+	 *
+	 * if ( ! is_wp_error( $payload ) ) {
+	 *     $conditions = \ArrayPress\Conditions\Admin\Sanitizer::sanitize_conditions( $payload, $configs );
+	 * }
+	 * ```
+	 *
+	 * @param string $set_id      The condition set ID.
+	 * @param array  $saved       The saved condition groups.
+	 * @param array  $args        {
+	 *                            Optional. Builder arguments.
+	 *
+	 * @type string  $name        Form field name for the groups. Default '_conditions'.
+	 * @type string  $id          HTML ID for the builder. Default generated from the set ID.
+	 * @type string  $description Text shown above the builder. Default the set's description.
+	 * @type bool    $preview     Whether to show the "test these rules" panel. Default true.
+	 *                            }
+	 *
+	 * @return void
+	 */
+	function render_conditions_builder( string $set_id, array $saved = [], array $args = [] ): void {
+		MetaBoxRenderer::render_builder( $set_id, $saved, $args );
 	}
 endif;
@@ -0,0 +1,226 @@
+<?php
+/**
+ * Sanitizer Tests
+ *
+ * @package     ArrayPress\Conditions\Tests
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Tests\Unit\Admin;
+
+use ArrayPress\Conditions\Admin\Sanitizer;
+use PHPUnit\Framework\TestCase;
+use WP_Error;
+
+/**
+ * Class SanitizerTest
+ *
+ * Covers decoding the builder's JSON payload and sanitizing the groups
+ * it holds before they're saved.
+ */
+class SanitizerTest extends TestCase {
+
+	/**
+	 * Condition configurations used by the tests.
+	 *
+	 * @var array
+	 */
+	private const CONFIGS = [
+		'cart_total'   => [ 'type' => 'number', 'min' => 0 ],
+		'cart_count'   => [ 'type' => 'number', 'min' => 0, 'step' => 1 ],
+		'user_role'    => [ 'type' => 'select', 'multiple' => true ],
+		'is_logged_in' => [ 'type' => 'boolean' ],
+	];
+
+	/**
+	 * Build a rule as the builder submits it.
+	 *
+	 * @param string $condition The condition ID.
+	 * @param mixed  $operator  The operator.
+	 * @param mixed  $value     The value.
+	 *
+	 * @return array
+	 */
+	private static function rule( string $condition, mixed $operator, mixed $value = null ): array {
+		return [ 'condition' => $condition, 'operator' => $operator, 'value' => $value ];
+	}
+
+	/**
+	 * Payloads the decoder rejects, and the error code for each.
+	 *
+	 * @return array
+	 */
+	public static function rejected_payload_provider(): array {
+		return [
+			'empty'              => [ '', 'empty_payload' ],
+			'whitespace'         => [ "  \n", 'empty_payload' ],
+			'malformed JSON'     => [ '{"g1": {"rules": [', 'invalid_payload' ],
+			'not a list'         => [ '"rules"', 'invalid_payload' ],
+			'group not an array' => [ '{"g1": "rules"}', 'invalid_payload' ],
+			'rules not an array' => [ '{"g1": {"rules": "all"}}', 'invalid_payload' ],
+			'nested too deep'    => [ str_repeat( '[', Sanitizer::PAYLOAD_DEPTH + 1 ) . str_repeat( ']', Sanitizer::PAYLOAD_DEPTH + 1 ), 'invalid_payload' ],
+		];
+	}
+
+	/**
+	 * @dataProvider rejected_payload_provider
+	 */
+	public function test_decode_payload_rejects( string $payload, string $code ): void {
+		$result = Sanitizer::decode_payload( $payload );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( $code, $result->get_error_code() );
+		$this->assertSame( [ 'status' => 400 ], $result->get_error_data() );
+	}
+
+	public function test_decode_payload_returns_groups_keyed_by_id(): void {
+		$groups = [
+			'g1' => [ 'match' => 'any', 'rules' => [ 'r1' => self::rule( 'cart_total', '>', '100' ) ] ],
+			'g2' => [ 'rules' => [] ],
+		];
+
+		$this->assertSame( $groups, Sanitizer::decode_payload( json_encode( $groups ) ) );
+	}
+
+	public function test_sanitize_conditions_decodes_a_payload(): void {
+		$payload = json_encode( [
+			'G1' => [ 'match' => 'any', 'rules' => [ 'R1' => self::rule( 'cart_total', '>', '100' ) ] ],
+		] );
+
+		$this->assertSame( [
+			[
+				'id'       => 'g1',
+				'match'    => 'any',
+				'disabled' => false,
+				'rules'    => [
+					[ 'id' => 'r1', 'condition' => 'cart_total', 'operator' => '>', 'value' => 100, 'disabled' => false ],
+				],
+			],
+		], Sanitizer::sanitize_conditions( $payload, self::CONFIGS ) );
+	}
+
+	public function test_sanitize_conditions_returns_nothing_for_a_rejected_payload(): void {
+		$this->assertSame( [], Sanitizer::sanitize_conditions( '{"g1": ', self::CONFIGS ) );
+		$this->assertSame( [], Sanitizer::sanitize_conditions( 42, self::CONFIGS ) );
+	}
+
+	public function test_sanitize_conditions_sanitizes_values_by_type(): void {
+		$result = Sanitizer::sanitize_conditions( [
+			'g1' => [
+				'rules' => [
+					'r1' => self::rule( 'cart_total', '>=', '7.9' ),
+					'r2' => self::rule( 'user_role', 'any', [ 'editor', 'admin', 'editor' ] ),
+					'r3' => self::rule( 'is_logged_in', 'yes' ),
+				'r4' => self::rule( 'cart_count', '>=', '7' ),
+				],
+			],
+		], self::CONFIGS );
+
+		$rules = $result[0]['rules'];
+
+		$this->assertCount( 4, $rules );
+		$this->assertSame( 7.9, $rules[0]['value'] );
+		$this->assertSame( [ 'editor', 'admin' ], $rules[1]['value'] );
+		$this->assertNull( $rules[2]['value'] );
+		$this->assertSame( 7, $rules[3]['value'] );
+	}
+
+	public function test_validate_conditions_accepts_valid_and_unfinished_rules(): void {
+		$this->assertNull( Sanitizer::validate_conditions( [
+			'g1' => [
+				'rules' => [
+					'r1' => self::rule( 'cart_total', '>=', '7.9' ),
+					'r2' => self::rule( 'cart_count', '>=', '7' ),
+					'r3' => self::rule( '', '', '' ),
+				],
+			],
+		], self::CONFIGS ) );
+	}
+
+	public function test_validate_conditions_rejects_rules_sanitizing_would_drop(): void {
+		$result = Sanitizer::validate_conditions( [
+			'g1' => [
+				'rules' => [
+					'r1' => self::rule( 'cart_count', '>=', '7.9' ),
+					's1' => [ 'type' => 'group', 'rules' => [ 'r2' => self::rule( 'cart_total', '', '100' ) ] ],
+				],
+			],
+		], self::CONFIGS );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'invalid_rules', $result->get_error_code() );
+		$this->assertSame( 400, $result->get_error_data()['status'] );
+		$this->assertCount( 2, $result->get_error_data()['errors'] );
+	}
+
+	public function test_sanitize_conditions_drops_incomplete_and_duplicate_rules(): void {
+		$result = Sanitizer::sanitize_conditions( [
+			'g1'    => [
+				'rules' => [
+					'kept'      => self::rule( 'cart_total', '>', '100' ),
+					'duplicate' => self::rule( 'cart_total', '>', 100 ),
+					'operator'  => self::rule( 'cart_total', 'like', '100' ),
+					'condition' => self::rule( '', '>', '100' ),
+					'value'     => self::rule( 'cart_total', '>', '' ),
+					'invalid'   => self::rule( 'cart_total', '>', 'lots' ),
+				],
+			],
+			'empty' => [ 'rules' => [ 'r1' => self::rule( 'cart_total', '', '100' ) ] ],
+		], self::CONFIGS );
+
+		$this->assertCount( 1, $result );
+		$this->assertSame( [ 'kept' ], array_column( $result[0]['rules'], 'id' ) );
+	}
+
+	public function test_sanitize_conditions_reads_non_string_fields_as_empty(): void {
+		$result = Sanitizer::sanitize_conditions( [
+			'g1' => [
+				'match' => 1,
+				'rules' => [
+					'r1' => [ 'condition' => 'cart_total', 'operator' => [ '>' ], 'value' => '100' ],
+					'r2' => [ 'condition' => 5, 'operator' => '>', 'value' => '100' ],
+					'r3' => [ 'type' => [ 'group' ], 'condition' => 'cart_total', 'operator' => '<', 'value' => '50' ],
+				],
+			],
+		], self::CONFIGS );
+
+		$this->assertSame( 'all', $result[0]['match'] );
+		$this->assertSame( [ 'r3' ], array_column( $result[0]['rules'], 'id' ) );
+	}
+
+	public function test_sanitize_conditions_limits_subgroup_depth(): void {
+		$subgroup = null;
+
+		// Nest one subgroup more than allowed, each with a rule of its own
+		for ( $depth = Sanitizer::MAX_DEPTH + 1; $depth > 0; $depth-- ) {
+			$rules = [ 'r' . $depth => self::rule( 'cart_total', '>', (string) $depth ) ];
+
+			if ( $subgroup !== null ) {
+				$rules[ 's' . $depth ] = $subgroup;
+			}
+
+			$subgroup = [ 'type' => 'group', 'rules' => $rules ];
+		}
+
+		$result = Sanitizer::sanitize_conditions( [
+			'g1' => [ 'rules' => [ 'r0' => self::rule( 'cart_total', '>', '1' ), 's0' => $subgroup ] ],
+		], self::CONFIGS );
+
+		$levels = 0;
+		$item   = $result[0];
+
+		while ( isset( $item['rules'][1]['type'] ) ) {
+			$item = $item['rules'][1];
+			$levels++;
+		}
+
+		$this->assertSame( Sanitizer::MAX_DEPTH, $levels );
+		$this->assertCount( 1, $item['rules'] );
+	}
+
+}
\ No newline at end of file
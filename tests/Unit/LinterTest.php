@@ -0,0 +1,302 @@
+<?php
+/**
+ * Linter Tests
+ *
+ * @package     ArrayPress\Conditions\Tests
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\Conditions\Tests\Unit;
+
+use ArrayPress\Conditions\Linter;
+use ArrayPress\Conditions\Registry;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Class LinterTest
+ *
+ * Covers the warnings the Linter reports for rules and groups on
+ * conditions registered to a set.
+ */
+class LinterTest extends TestCase {
+
+	/**
+	 * The condition set the tests register to.
+	 *
+	 * @var string
+	 */
+	private const SET_ID = 'linter_test';
+
+	/**
+	 * Condition configurations registered for the tests.
+	 *
+	 * @var array
+	 */
+	private const CONFIGS = [
+		'cart_total'  => [ 'label' => 'Cart Total', 'type' => 'number' ],
+		'order_date'  => [ 'label' => 'Order Date', 'type' => 'date' ],
+		'cart_weight' => [ 'label' => 'Cart Weight', 'type' => 'number_unit', 'units' => [ 'kg' => 'kg', 'lb' => 'lb' ] ],
+		'user_role'   => [ 'label' => 'User Role', 'type' => 'select', 'multiple' => true ],
+	];
+
+	protected function setUp(): void {
+		foreach ( self::CONFIGS as $condition_id => $config ) {
+			Registry::register_condition( self::SET_ID, $condition_id, $config );
+		}
+	}
+
+	protected function tearDown(): void {
+		Registry::reset();
+	}
+
+	/**
+	 * Build a rule.
+	 *
+	 * @param string $operator  The operator.
+	 * @param mixed  $value     The value.
+	 * @param string $condition The condition ID.
+	 *
+	 * @return array
+	 */
+	private static function rule( string $operator, mixed $value, string $condition = 'cart_total' ): array {
+		return [ 'condition' => $condition, 'operator' => $operator, 'value' => $value ];
+	}
+
+	/**
+	 * Lint a single group holding two rules, with IDs a and b.
+	 *
+	 * @param string $match The group's match mode.
+	 * @param array  $a     The first rule.
+	 * @param array  $b     The second rule.
+	 *
+	 * @return array The warnings.
+	 */
+	private static function lint_pair( string $match, array $a, array $b ): array {
+		return Linter::lint( self::SET_ID, [
+			[ 'id' => 'g1', 'match' => $match, 'rules' => [ $a + [ 'id' => 'a' ], $b + [ 'id' => 'b' ] ] ],
+		] );
+	}
+
+	/**
+	 * Work out how two rules relate from the warnings they raise.
+	 *
+	 * An "all" group reports the implied rule as redundant, and an "any"
+	 * group the rule that implies it, so linting the pair in both modes
+	 * tells which (if either) implies the other.
+	 *
+	 * @param array $a The first rule.
+	 * @param array $b The second rule.
+	 *
+	 * @return string|null contradiction, forward (a implies b), backward, equivalent or null.
+	 */
+	private static function relate( array $a, array $b ): ?string {
+		$all = self::lint_pair( 'all', $a, $b );
+		$any = self::lint_pair( 'any', $a, $b );
+
+		if ( empty( $all ) ) {
+			return null;
+		}
+
+		if ( $all[0]['type'] === 'contradiction' ) {
+			return 'contradiction';
+		}
+
+		if ( $all[0]['rules'][0] === 'b' ) {
+			return $any[0]['rules'][0] === 'b' ? 'equivalent' : 'forward';
+		}
+
+		return 'backward';
+	}
+
+	/**
+	 * Number rule pairs and how they relate.
+	 *
+	 * @return array
+	 */
+	public static function interval_provider(): array {
+		return [
+			'disjoint bounds'           => [ self::rule( '>', 100 ), self::rule( '<', 50 ), 'contradiction' ],
+			'touching open bounds'      => [ self::rule( '>', 10 ), self::rule( '<=', 10 ), 'contradiction' ],
+			'touching closed bounds'    => [ self::rule( '>=', 10 ), self::rule( '<=', 10 ), null ],
+			'narrower lower bound'      => [ self::rule( '>', 100 ), self::rule( '>', 50 ), 'forward' ],
+			'wider lower bound'         => [ self::rule( '>', 50 ), self::rule( '>', 100 ), 'backward' ],
+			'open inside closed'        => [ self::rule( '>', 10 ), self::rule( '>=', 10 ), 'forward' ],
+			'same bound'                => [ self::rule( '>=', 10 ), self::rule( '>=', 10 ), 'equivalent' ],
+			'value inside range'        => [ self::rule( '==', 15 ), self::rule( 'between', [ 'from' => 10, 'to' => 20 ] ), 'forward' ],
+			'value outside range'       => [ self::rule( '==', 25 ), self::rule( 'between', [ 'from' => 10, 'to' => 20 ] ), 'contradiction' ],
+			'value excluded by range'   => [ self::rule( '==', 15 ), self::rule( 'not_between', [ 'from' => 10, 'to' => 20 ] ), 'contradiction' ],
+			'value clear of exclusion'  => [ self::rule( '==', 5 ), self::rule( 'not_between', [ 'from' => 10, 'to' => 20 ] ), 'forward' ],
+			'exclusions nested'         => [ self::rule( '!=', 5 ), self::rule( 'not_between', [ 'from' => 1, 'to' => 10 ] ), 'backward' ],
+			'exclusion inside range'    => [ self::rule( 'between', [ 'from' => 10, 'to' => 20 ] ), self::rule( '!=', 15 ), null ],
+			'overlapping ranges'        => [ self::rule( 'between', [ 'from' => 1, 'to' => 10 ] ), self::rule( 'between', [ 'from' => 5, 'to' => 15 ] ), null ],
+			'reversed range is unknown' => [ self::rule( 'between', [ 'from' => 20, 'to' => 10 ] ), self::rule( '>', 5 ), null ],
+			'unknown operator'          => [ self::rule( 'contains', 5 ), self::rule( '>', 5 ), null ],
+		];
+	}
+
+	/**
+	 * @dataProvider interval_provider
+	 */
+	public function test_number_rules( array $a, array $b, ?string $expected ): void {
+		$this->assertSame( $expected, self::relate( $a, $b ) );
+	}
+
+	public function test_date_rules_compare_by_day(): void {
+		$this->assertSame( 'contradiction', self::relate(
+			self::rule( '>', '2026-03-01', 'order_date' ),
+			self::rule( '<', '2026-02-01', 'order_date' )
+		) );
+
+		$this->assertSame( 'equivalent', self::relate(
+			self::rule( '==', '2026-03-01', 'order_date' ),
+			self::rule( '==', '2026-03-01 18:30', 'order_date' )
+		) );
+	}
+
+	public function test_relative_date_rules_are_skipped(): void {
+		$this->assertNull( self::relate(
+			self::rule( 'in_last', [ 'number' => 7, 'unit' => 'day' ], 'order_date' ),
+			self::rule( '>', '2026-01-01', 'order_date' )
+		) );
+	}
+
+	public function test_number_unit_rules_compare_within_a_unit(): void {
+		$this->assertSame( 'forward', self::relate(
+			self::rule( '>', [ 'number' => 30, 'unit' => 'kg' ], 'cart_weight' ),
+			self::rule( '>', [ 'number' => 7, 'unit' => 'kg' ], 'cart_weight' )
+		) );
+
+		$this->assertNull( self::relate(
+			self::rule( '>', [ 'number' => 30, 'unit' => 'kg' ], 'cart_weight' ),
+			self::rule( '<', [ 'number' => 7, 'unit' => 'lb' ], 'cart_weight' )
+		) );
+	}
+
+	public function test_rules_on_different_conditions_are_not_compared(): void {
+		$this->assertNull( self::relate( self::rule( '>', 100 ), self::rule( '>', 100, 'unregistered' ) ) );
+	}
+
+	public function test_contradictions_are_reported_only_in_all_groups(): void {
+		$warnings = self::lint_pair( 'all', self::rule( '>', 100 ), self::rule( '<', 50 ) );
+
+		$this->assertCount( 1, $warnings );
+		$this->assertSame( 'g1', $warnings[0]['group'] );
+		$this->assertSame( [ 'a', 'b' ], $warnings[0]['rules'] );
+		$this->assertStringStartsWith( 'Cart Total:', $warnings[0]['message'] );
+
+		$this->assertSame( [], self::lint_pair( 'any', self::rule( '>', 100 ), self::rule( '<', 50 ) ) );
+	}
+
+	public function test_invalid_and_disabled_rules_are_skipped(): void {
+		$this->assertSame( [], self::lint_pair( 'all', self::rule( '>', 100 ), self::rule( '<', 50 ) + [ 'invalid' => true ] ) );
+		$this->assertSame( [], self::lint_pair( 'all', self::rule( '>', 100 ), self::rule( '<', 50 ) + [ 'disabled' => true ] ) );
+	}
+
+	/**
+	 * Collection rule pairs and how they relate.
+	 *
+	 * @return array
+	 */
+	public static function set_provider(): array {
+		return [
+			'any of a subset'        => [ [ 'any', [ 'a', 'b' ] ], [ 'any', [ 'a', 'b', 'c' ] ], 'forward' ],
+			'any of a superset'      => [ [ 'any', [ 'a', 'b', 'c' ] ], [ '==', [ 'a', 'b' ] ], 'backward' ],
+			'same values any order'  => [ [ 'any', [ 'b', 'a' ] ], [ 'any', [ 'a', 'b', 'a' ] ], 'equivalent' ],
+			'none of a superset'     => [ [ 'none', [ 'a', 'b' ] ], [ '!=', [ 'a' ] ], 'forward' ],
+			'all of a superset'      => [ [ 'all', [ 'a', 'b' ] ], [ 'all', [ 'a' ] ], 'forward' ],
+			'any excluded by none'   => [ [ 'any', [ 'a' ] ], [ 'none', [ 'a', 'b' ] ], 'contradiction' ],
+			'none excluding any'     => [ [ 'none', [ 'a', 'b' ] ], [ 'any', [ 'b' ] ], 'contradiction' ],
+			'any partly excluded'    => [ [ 'any', [ 'a', 'c' ] ], [ 'none', [ 'a' ] ], null ],
+			'all against none'       => [ [ 'all', [ 'a', 'b' ] ], [ 'none', [ 'b', 'c' ] ], 'contradiction' ],
+			'all then any'           => [ [ 'all', [ 'a', 'b' ] ], [ 'any', [ 'b', 'c' ] ], 'forward' ],
+			'any then all'           => [ [ 'any', [ 'c' ] ], [ 'all', [ 'c', 'd' ] ], 'backward' ],
+			'unrelated values'       => [ [ 'any', [ 'a' ] ], [ 'none', [ 'b' ] ], null ],
+			'numeric and string ids' => [ [ 'any', [ 1, 2 ] ], [ 'any', [ '1', '2' ] ], 'equivalent' ],
+			'empty values'           => [ [ 'any', [] ], [ 'any', [ 'a' ] ], null ],
+			'unknown operator'       => [ [ 'contains', [ 'a' ] ], [ 'any', [ 'a' ] ], null ],
+		];
+	}
+
+	/**
+	 * @dataProvider set_provider
+	 */
+	public function test_multiple_select_rules( array $a, array $b, ?string $expected ): void {
+		$this->assertSame( $expected, self::relate(
+			self::rule( $a[0], $a[1], 'user_role' ),
+			self::rule( $b[0], $b[1], 'user_role' )
+		) );
+	}
+
+	/**
+	 * Build a group of rules, one per signature letter.
+	 *
+	 * @param string   $id      The group ID.
+	 * @param string   $match   The match mode.
+	 * @param string[] $letters The rules, as letters.
+	 *
+	 * @return array
+	 */
+	private static function group( string $id, string $match, array $letters ): array {
+		return [
+			'id'    => $id,
+			'match' => $match,
+			'rules' => array_map( fn( $letter ) => self::rule( '==', $letter, 'rule_' . $letter ) + [ 'id' => $letter ], $letters ),
+		];
+	}
+
+	/**
+	 * Group pairs and whether the first covers the second.
+	 *
+	 * @return array
+	 */
+	public static function covers_provider(): array {
+		return [
+			'all with fewer rules'        => [ 'all', [ 'x' ], 'all', [ 'x', 'y' ], true ],
+			'all with more rules'         => [ 'all', [ 'x', 'y' ], 'all', [ 'x' ], false ],
+			'same all groups'             => [ 'all', [ 'x', 'y' ], 'all', [ 'x', 'y' ], true ],
+			'any with more rules'         => [ 'any', [ 'x', 'y' ], 'any', [ 'x' ], true ],
+			'any with fewer rules'        => [ 'any', [ 'x' ], 'any', [ 'x', 'y' ], false ],
+			'any missing a rule'          => [ 'any', [ 'x', 'y' ], 'any', [ 'x', 'z' ], false ],
+			'any sharing a rule with all' => [ 'any', [ 'x', 'y' ], 'all', [ 'y', 'z' ], true ],
+			'any sharing no rule'         => [ 'any', [ 'x', 'y' ], 'all', [ 'z' ], false ],
+			'all against any'             => [ 'all', [ 'x', 'y' ], 'any', [ 'x', 'z' ], false ],
+			'single rule counts as any'   => [ 'any', [ 'x', 'y' ], 'all', [ 'x' ], true ],
+		];
+	}
+
+	/**
+	 * @dataProvider covers_provider
+	 */
+	public function test_covered_groups( string $covering_match, array $covering, string $covered_match, array $covered, bool $expected ): void {
+		$warnings = Linter::lint( self::SET_ID, [
+			self::group( 'covering', $covering_match, $covering ),
+			self::group( 'covered', $covered_match, $covered ),
+		] );
+
+		$reported = array_column( array_filter( $warnings, fn( $warning ) => $warning['type'] === 'covered' ), 'group' );
+
+		$this->assertSame( $expected, in_array( 'covered', $reported, true ) );
+	}
+
+	public function test_covered_groups_report_only_the_later_of_two_equal_groups(): void {
+		$rule   = self::rule( '>', 100 );
+		$groups = [
+			[ 'id' => 'first', 'match' => 'all', 'rules' => [ $rule + [ 'id' => 'r1' ] ] ],
+			[ 'id' => 'second', 'match' => 'all', 'rules' => [ $rule + [ 'id' => 'copy' ] ] ],
+			[ 'id' => 'off', 'match' => 'all', 'disabled' => true, 'rules' => [ $rule + [ 'id' => 'r2' ] ] ],
+		];
+
+		$warnings = Linter::lint( self::SET_ID, $groups );
+
+		$this->assertCount( 1, $warnings );
+		$this->assertSame( 'covered', $warnings[0]['type'] );
+		$this->assertSame( 'second', $warnings[0]['group'] );
+		$this->assertStringContainsString( 'group 1', $warnings[0]['message'] );
+	}
+
+}
\ No newline at end of file
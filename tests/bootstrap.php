@@ -0,0 +1,154 @@
+<?php
+/**
+ * Unit Test Bootstrap
+ *
+ * Loads the library with the few WordPress functions the tested classes
+ * call, so unit tests run without a WordPress install. Hooks and meta
+ * registration are no-ops, and post types count as already registered,
+ * so condition sets can be registered through the Registry.
+ *
+ * @package     ArrayPress\Conditions\Tests
+ * @copyright   Copyright (c) 2026, ArrayPress Limited
+ * @license     GPL-2.0-or-later
+ * @since       1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+require_once dirname( __DIR__ ) . '/vendor/autoload.php';
+
+if ( ! class_exists( 'WP_Error' ) ) {
+	/**
+	 * Minimal stand-in for WordPress' error object.
+	 */
+	class WP_Error {
+
+		/**
+		 * Error code.
+		 *
+		 * @var string
+		 */
+		private string $code;
+
+		/**
+		 * Error message.
+		 *
+		 * @var string
+		 */
+		private string $message;
+
+		/**
+		 * Error data.
+		 *
+		 * @var mixed
+		 */
+		private mixed $data;
+
+		/**
+		 * Create an error.
+		 *
+		 * @param string $code    Error code.
+		 * @param string $message Error message.
+		 * @param mixed  $data    Error data.
+		 */
+		public function __construct( string $code = '', string $message = '', mixed $data = '' ) {
+			$this->code    = $code;
+			$this->message = $message;
+			$this->data    = $data;
+		}
+
+		/**
+		 * Get the error code.
+		 *
+		 * @return string
+		 */
+		public function get_error_code(): string {
+			return $this->code;
+		}
+
+		/**
+		 * Get the error message.
+		 *
+		 * @return string
+		 */
+		public function get_error_message(): string {
+			return $this->message;
+		}
+
+		/**
+		 * Get the error data.
+		 *
+		 * @return mixed
+		 */
+		public function get_error_data(): mixed {
+			return $this->data;
+		}
+
+	}
+}
+
+if ( ! function_exists( '__' ) ) {
+	function __( string $text, string $domain = 'default' ): string {
+		return $text;
+	}
+}
+
+if ( ! function_exists( 'apply_filters' ) ) {
+	function apply_filters( string $hook_name, mixed $value, mixed ...$args ): mixed {
+		return $value;
+	}
+}
+
+if ( ! function_exists( 'is_wp_error' ) ) {
+	function is_wp_error( mixed $thing ): bool {
+		return $thing instanceof WP_Error;
+	}
+}
+
+if ( ! function_exists( 'sanitize_key' ) ) {
+	function sanitize_key( string $key ): string {
+		return preg_replace( '/[^a-z0-9_\-]/', '', strtolower( $key ) );
+	}
+}
+
+if ( ! function_exists( 'sanitize_text_field' ) ) {
+	function sanitize_text_field( string $str ): string {
+		return trim( preg_replace( '/[\r\n\t ]+/', ' ', strip_tags( $str ) ) );
+	}
+}
+
+if ( ! function_exists( 'wp_check_invalid_utf8' ) ) {
+	function wp_check_invalid_utf8( string $text ): string {
+		return mb_check_encoding( $text, 'UTF-8' ) ? $text : '';
+	}
+}
+
+if ( ! function_exists( 'add_action' ) ) {
+	function add_action( string $hook_name, mixed $callback, int $priority = 10, int $accepted_args = 1 ): bool {
+		return true;
+	}
+}
+
+if ( ! function_exists( 'do_action' ) ) {
+	function do_action( string $hook_name, mixed ...$args ): void {
+	}
+}
+
+if ( ! function_exists( 'wp_parse_args' ) ) {
+	function wp_parse_args( array $args, array $defaults = [] ): array {
+		return array_merge( $defaults, $args );
+	}
+}
+
+if ( ! function_exists( 'post_type_exists' ) ) {
+	function post_type_exists( string $post_type ): bool {
+		return true;
+	}
+}
+
+if ( ! function_exists( 'register_post_meta' ) ) {
+	function register_post_meta( string $post_type, string $meta_key, array $args ): bool {
+		return true;
+	}
+}
\ No newline at end of file